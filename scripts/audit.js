@@ -0,0 +1,266 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { scrapeEvents } from './scrapers/events-scraper.js';
+import { scrapeEventDetails, extractDivisions } from './scrapers/event-details-scraper.js';
+import { resolveTargetSeasonIds } from './utils/season-resolver.js';
+import { runPool } from './utils/worker-pool.js';
+import { contentHash } from './utils/hash.js';
+import { DIVISIONS, EVENT_COLLECTIONS, DIVISION_COLLECTIONS } from './utils/collections.js';
+import { getStoredAwards, writeTeamAwards } from './utils/team-awards.js';
+import { normalizeRecords } from './schema/records.js';
+import { batchWriteToFirestore, reconcileCollection, stripBookkeeping, cleanForComparison } from './utils/firebase-helpers.js';
+import { getStorage, flushStorage } from './storage/index.js';
+import { setCacheModeOverride, flushResponseCache } from './utils/response-cache.js';
+import { getSyncConcurrency } from './sync.js';
+import { log } from './utils/logger.js';
+
+/**
+ * Data integrity audit
+ * Walks every event of a season and compares each stored collection
+ * (event doc, divisions, teams, skills, awards, rankings, matches, finalist rankings)
+ * against the API by document count and per-document content hash.
+ *
+ * Usage:
+ *   node scripts/audit.js [--season=<id>] [--repair] [--out=<dir>]
+ *
+ * --repair re-syncs only the collections that were found broken.
+ * Every API response is revalidated (API_CACHE=refresh): a cached body could hide the very drift the audit looks for.
+ */
+
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const inline = process.argv.find(a => a.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Compare one stored collection with the upstream docs
+ * @param {Object} upstream - normalized { docs, ids } (ids include quarantined records, which are not extra)
+ */
+async function auditCollection(storage, collectionPath, { docs: upstreamDocs, ids }) {
+  const stored = new Map();
+  for (const { id, data } of await storage.listDocs(collectionPath)) {
+    if (data.removed === true) continue;
+    stored.set(id, contentHash(cleanForComparison(stripBookkeeping(data))));
+  }
+
+  const missing = [];
+  const mismatched = [];
+  const upstreamIds = new Set(ids);
+
+  for (const { id, data } of upstreamDocs) {
+    if (!stored.has(id)) {
+      missing.push(id);
+    } else if (stored.get(id) !== contentHash(cleanForComparison(data))) {
+      mismatched.push(id);
+    }
+  }
+
+  const extra = [...stored.keys()].filter(id => !upstreamIds.has(id));
+
+  return {
+    path: collectionPath,
+    upstreamCount: upstreamDocs.length,
+    storedCount: stored.size,
+    missing,
+    extra,
+    mismatched,
+    ok: missing.length === 0 && extra.length === 0 && mismatched.length === 0,
+  };
+}
+
+/**
+ * Re-sync a single broken collection from the docs we already fetched
+ */
+async function repairCollection(result, { docs, ids }, { afterRepair, subcollections } = {}) {
+  log.info(`  🔧 Repairing ${result.path}...`, { collection: result.path });
+  // Overwrite rather than merge: the audit compares whole docs, so stale or extra stored fields must go too
+  await batchWriteToFirestore(result.path, docs, false);
+  await reconcileCollection(result.path, ids, { subcollections });
+  if (afterRepair) await afterRepair();
+}
+
+/**
+ * Audit (and optionally repair) every stored piece of one event
+ */
+async function auditEvent(storage, event, { repair }) {
+  const eventId = String(event.id);
+  const problems = [];
+
+  const check = async (collectionPath, upstream, repairOptions) => {
+    const result = await auditCollection(storage, collectionPath, upstream);
+    if (!result.ok) {
+      problems.push(result);
+      if (repair) await repairCollection(result, upstream, repairOptions);
+    }
+    return result;
+  };
+
+  // Event metadata
+  const eventDoc = await storage.getDoc('events', eventId);
+  const [upstreamEvent] = normalizeRecords('event', [event], 'events').docs;
+  const eventMatches = !upstreamEvent || (eventDoc && contentHash(cleanForComparison(stripBookkeeping(eventDoc))) === contentHash(cleanForComparison(upstreamEvent.data)));
+  if (!eventMatches) {
+    problems.push({ path: `events/${eventId}`, missing: eventDoc ? [] : [eventId], extra: [], mismatched: eventDoc ? [eventId] : [], ok: false });
+    if (repair) {
+      log.info(`  🔧 Repairing events/${eventId}...`, { eventId });
+      // Overwrite, keeping the finalize flags (bookkeeping the audit ignores)
+      const kept = {};
+      for (const field of ['finalized', 'finalizedAt']) {
+        if (eventDoc?.[field] !== undefined) kept[field] = eventDoc[field];
+      }
+      await batchWriteToFirestore('events', [{ id: upstreamEvent.id, data: { ...upstreamEvent.data, ...kept } }], false);
+    }
+  }
+
+  // Divisions
+  const divisions = extractDivisions(await scrapeEventDetails(eventId));
+  await check(DIVISIONS.path(eventId), normalizeRecords(DIVISIONS.record, divisions, DIVISIONS.path(eventId)), {
+    subcollections: DIVISION_COLLECTIONS.map(def => def.name),
+  });
+
+  // Event-level subcollections
+  for (const def of EVENT_COLLECTIONS) {
+    const upstream = normalizeRecords(def.record, await def.scrape(eventId), def.path(eventId));
+    // The rollup drops teams that won under the stored awards but no longer do upstream
+    const previousAwards = repair && def.name === 'awards' ? await getStoredAwards(eventId) : null;
+    const afterRepair = previousAwards
+      ? () => writeTeamAwards(event, upstream.docs.map(d => d.data), previousAwards)
+      : null;
+    await check(def.path(eventId), upstream, { afterRepair });
+  }
+
+  // Division-level subcollections, for every division (not just division 1)
+  for (const division of divisions) {
+    for (const def of DIVISION_COLLECTIONS) {
+      if (def.onlyDivision && def.onlyDivision !== division.id) continue;
+      await check(def.path(eventId, division.id), normalizeRecords(def.record, await def.scrape(eventId, division.id), def.path(eventId, division.id)));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Run the audit for one or more seasons
+ */
+export async function audit(options = {}) {
+  setCacheModeOverride('refresh');
+  try {
+    return await runAudit(options);
+  } finally {
+    setCacheModeOverride(null);
+  }
+}
+
+async function runAudit(options) {
+  const repair = options.repair ?? process.argv.includes('--repair');
+  const outDir = options.outDir || getArgValue('out') || 'reports';
+  const seasonArg = options.seasonId || getArgValue('season');
+
+  const storage = getStorage();
+  const seasonIds = seasonArg ? [parseInt(seasonArg)] : await resolveTargetSeasonIds();
+  if (seasonIds.length === 0) {
+    throw new Error('No seasons to audit. Pass --season=<id> or set TARGET_SEASON_ID / TARGET_PROGRAMS.');
+  }
+
+  const startedAt = new Date();
+  log.info(`🔎 Auditing season(s) ${seasonIds.join(', ')}${repair ? ' with repair' : ''}...`);
+
+  const report = {
+    seasons: seasonIds,
+    repair,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    summary: {
+      events: 0,
+      eventsOk: 0,
+      eventsBroken: 0,
+      eventsFailed: 0,
+      collectionsBroken: 0,
+      missingDocs: 0,
+      extraDocs: 0,
+      mismatchedDocs: 0,
+      extraEvents: 0,
+    },
+    events: [],
+    extraEvents: [],
+    failures: [],
+  };
+
+  for (const seasonId of seasonIds) {
+    const events = await scrapeEvents(seasonId);
+    report.summary.events += events.length;
+
+    // Events stored for this season that the API no longer lists
+    const upstreamIds = new Set(events.map(e => String(e.id)));
+    const storedEvents = await storage.listDocs('events', { where: [['season.id', '==', seasonId]], fields: ['removed'] });
+    for (const { id, data } of storedEvents) {
+      if (!upstreamIds.has(id) && data.removed !== true) {
+        report.extraEvents.push(id);
+      }
+    }
+
+    await runPool(events, async (event, i) => {
+      log.info(`[${i + 1}/${events.length}] Auditing event ${event.id}: ${event.name || 'Unknown'}`, { eventId: String(event.id) });
+      try {
+        const problems = await auditEvent(storage, event, { repair });
+        if (problems.length === 0) {
+          report.summary.eventsOk++;
+          return;
+        }
+
+        report.summary.eventsBroken++;
+        report.summary.collectionsBroken += problems.length;
+        for (const p of problems) {
+          report.summary.missingDocs += p.missing.length;
+          report.summary.extraDocs += p.extra.length;
+          report.summary.mismatchedDocs += p.mismatched.length;
+        }
+        report.events.push({ eventId: String(event.id), sku: event.sku, name: event.name, problems });
+      } catch (error) {
+        report.summary.eventsFailed++;
+        report.failures.push({ eventId: String(event.id), error: error.message });
+        log.error(`  ❌ Error auditing event ${event.id}:`, error.message);
+      }
+    }, { concurrency: getSyncConcurrency });
+  }
+
+  await flushStorage();
+  await flushResponseCache();
+  report.summary.extraEvents = report.extraEvents.length;
+  report.finishedAt = new Date().toISOString();
+
+  mkdirSync(outDir, { recursive: true });
+  const reportPath = path.join(outDir, `audit-${seasonIds.join('-')}-${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  const s = report.summary;
+  log.info(`\n📋 Audit summary`, { event: 'audit_summary', seasons: seasonIds, repair, ...s });
+  log.info(`  Events:             ${s.events} (${s.eventsOk} ok, ${s.eventsBroken} broken, ${s.eventsFailed} failed to audit)`);
+  log.info(`  Broken collections: ${s.collectionsBroken}`);
+  log.info(`  Missing docs:       ${s.missingDocs}`);
+  log.info(`  Extra docs:         ${s.extraDocs}`);
+  log.info(`  Mismatched docs:    ${s.mismatchedDocs}`);
+  log.info(`  Events no longer upstream: ${s.extraEvents}`);
+  for (const e of report.events.slice(0, 20)) {
+    log.info(`  ❗ ${e.eventId} ${e.sku || ''}: ${e.problems.map(p => p.path.split('/').slice(2).join('/') || 'metadata').join(', ')}`);
+  }
+  if (report.events.length > 20) log.info(`  ... and ${report.events.length - 20} more`);
+  log.info(`\n💾 Report written to ${reportPath}`, { report: reportPath });
+  if (repair) log.info(`🔧 Broken collections were re-synced.`);
+
+  return report;
+}
+
+// Run if called directly
+if (process.argv[1] && process.argv[1].endsWith('audit.js')) {
+  audit()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      log.error('❌ Audit failed:', error);
+      process.exit(1);
+    });
+}
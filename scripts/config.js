@@ -2,6 +2,7 @@ import admin from 'firebase-admin';
 import { getFirestore as getAdminFirestore } from 'firebase-admin/firestore';
 import { getDatabase as getAdminDatabase } from 'firebase-admin/database';
 import dotenv from 'dotenv';
+import { log } from './utils/logger.js';
 
 dotenv.config();
 
@@ -9,18 +10,36 @@ dotenv.config();
 let db;
 let rtdb;
 
+/**
+ * Local Firebase emulators (FIRESTORE_EMULATOR_HOST / FIREBASE_DATABASE_EMULATOR_HOST, e.g. "127.0.0.1:8080").
+ * The Admin SDK routes to them on its own; they just don't need credentials.
+ */
+export function usingFirebaseEmulators() {
+  return !!(process.env.FIRESTORE_EMULATOR_HOST || process.env.FIREBASE_DATABASE_EMULATOR_HOST);
+}
+
 export function initializeFirebase() {
+  if (admin.apps.length === 0 && usingFirebaseEmulators()) {
+    const projectId = process.env.FIREBASE_PROJECT_ID || 'robostemdb';
+    log.info(`📡 Initializing Firebase App for project ${projectId} against the local emulators...`);
+    admin.initializeApp({
+      projectId,
+      databaseURL: `https://${projectId}-default-rtdb.firebaseio.com/`
+    });
+    log.info('✅ Firebase App initialized (emulators)');
+  }
+
   if (admin.apps.length === 0) {
     const rawPrivateKey = process.env.FIREBASE_PRIVATE_KEY;
     const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
     const projectId = process.env.FIREBASE_PROJECT_ID || 'robostemdb';
 
-    console.log(`📡 Initializing Firebase App for project: ${projectId}...`);
+    log.info(`📡 Initializing Firebase App for project: ${projectId}...`);
 
     if (!rawPrivateKey || !clientEmail) {
-      console.error('Missing Firebase credentials!');
-      if (!rawPrivateKey) console.error('- FIREBASE_PRIVATE_KEY is missing');
-      if (!clientEmail) console.error('- FIREBASE_CLIENT_EMAIL is missing');
+      log.error('Missing Firebase credentials!');
+      if (!rawPrivateKey) log.error('- FIREBASE_PRIVATE_KEY is missing');
+      if (!clientEmail) log.error('- FIREBASE_CLIENT_EMAIL is missing');
       throw new Error('Firebase credentials (private key or client email) are missing from environment variables.');
     }
 
@@ -34,7 +53,7 @@ export function initializeFirebase() {
       }),
       databaseURL: `https://${projectId}-default-rtdb.firebaseio.com/`
     });
-    console.log('✅ Firebase App initialized successfully');
+    log.info('✅ Firebase App initialized successfully');
   }
 
   db = getAdminFirestore('default');
@@ -66,10 +85,270 @@ export function getApiKeys() {
     .filter(k => k.length > 0 && k.startsWith('eyJ'));
 }
 
-export function getTargetSeasonId() {
-  return process.env.TARGET_SEASON_ID ? parseInt(process.env.TARGET_SEASON_ID) : null;
+// Split a comma/newline separated env value into trimmed, non-empty entries
+function parseList(value) {
+  return (value || '').split(/[\n,]+/)
+    .map(v => v.trim())
+    .filter(v => v.length > 0);
+}
+
+/**
+ * Explicit season IDs to sync.
+ * TARGET_SEASON_ID accepts a single ID or a comma-separated list (e.g. "190,191").
+ */
+export function getTargetSeasonIds() {
+  return parseList(process.env.TARGET_SEASON_IDS || process.env.TARGET_SEASON_ID)
+    .map(id => parseInt(id))
+    .filter(id => !isNaN(id));
+}
+
+/**
+ * Programs whose active seasons should be synced, by abbreviation or ID (e.g. "V5RC,VIQRC,VURC").
+ */
+export function getTargetPrograms() {
+  return parseList(process.env.TARGET_PROGRAMS);
+}
+
+/**
+ * Time budget for a single full/new run, in ms (null = unlimited).
+ * The run stops cleanly, saves its checkpoint and lets the next run resume.
+ */
+export function getSyncTimeBudgetMs() {
+  const mins = parseFloat(process.env.SYNC_TIME_BUDGET_MINS);
+  return mins > 0 ? mins * 60 * 1000 : null;
+}
+
+/**
+ * Number of events between two checkpoint saves
+ */
+export function getCheckpointInterval() {
+  const every = parseInt(process.env.SYNC_CHECKPOINT_EVERY);
+  return every > 0 ? every : 25;
+}
+
+/**
+ * Upper bound on events/divisions processed in parallel.
+ * The effective concurrency also never exceeds the number of healthy API keys.
+ */
+export function getMaxConcurrency() {
+  const max = parseInt(process.env.SYNC_MAX_CONCURRENCY);
+  return max > 0 ? max : 8;
+}
+
+/**
+ * Directory for the persistent API response cache (restored between runs with actions/cache)
+ */
+export function getApiCacheDir() {
+  return process.env.API_CACHE_DIR || '.cache/robotevents';
+}
+
+/**
+ * API cache mode: 'on' (default), 'off', or 'refresh' (revalidate every entry, ignoring TTLs)
+ */
+export function getApiCacheMode() {
+  const mode = (process.env.API_CACHE || 'on').toLowerCase();
+  return ['on', 'off', 'refresh'].includes(mode) ? mode : 'on';
+}
+
+/**
+ * How docs that disappeared upstream are handled: 'tombstone' (default), 'delete' or 'off'
+ */
+export function getReconcileMode() {
+  const mode = (process.env.RECONCILE_MODE || 'tombstone').toLowerCase();
+  return ['tombstone', 'delete', 'off'].includes(mode) ? mode : 'tombstone';
+}
+
+/**
+ * Max share of a collection that one reconciliation may remove (safety cap)
+ */
+export function getReconcileMaxRatio() {
+  const ratio = parseFloat(process.env.RECONCILE_MAX_RATIO);
+  return ratio > 0 && ratio <= 1 ? ratio : 0.5;
+}
+
+/**
+ * Padding (hours) added around an event's local days when deciding whether it is live
+ */
+export function getLivePaddingHours() {
+  const before = parseFloat(process.env.LIVE_PADDING_BEFORE_HOURS);
+  const after = parseFloat(process.env.LIVE_PADDING_AFTER_HOURS);
+  return {
+    before: before >= 0 ? before : 2,
+    after: after >= 0 ? after : 4,
+  };
+}
+
+/**
+ * Days after an event's live window closes before its RTDB `live/` subtree is pruned
+ */
+export function getLiveRetentionDays() {
+  const days = parseFloat(process.env.LIVE_RETENTION_DAYS);
+  return days >= 0 ? days : 3;
+}
+
+/**
+ * Max hours to wait for `awards_finalized` before finalizing an ended event anyway
+ */
+export function getAwardsWaitHours() {
+  const hours = parseFloat(process.env.FINALIZE_AWARDS_WAIT_HOURS);
+  return hours >= 0 ? hours : 48;
+}
+
+/**
+ * Where the live sync keeps per-record content hashes between runs:
+ * 'rtdb' (default, `live_hashes/` next to `live/`), 'file' (LIVE_HASH_FILE) or 'off' (in memory only)
+ */
+export function getLiveHashStore() {
+  const store = (process.env.LIVE_HASH_STORE || 'rtdb').toLowerCase();
+  return ['rtdb', 'file', 'off'].includes(store) ? store : 'rtdb';
+}
+
+/**
+ * Hash file used when LIVE_HASH_STORE=file
+ */
+export function getLiveHashFile() {
+  return process.env.LIVE_HASH_FILE || '.cache/live-hashes.json';
+}
+
+/**
+ * Days change feed records are kept (Firestore TTL on `expiresAt`, and RTDB trimming)
+ */
+export function getChangeFeedRetentionDays() {
+  const days = parseFloat(process.env.CHANGE_FEED_RETENTION_DAYS);
+  return days > 0 ? days : 7;
+}
+
+/**
+ * How follower notifications are delivered: 'off' (default), 'fcm' or 'dry-run' (logged to NOTIFY_DRY_RUN_FILE)
+ */
+export function getNotifyTransport() {
+  const transport = (process.env.NOTIFY_TRANSPORT || 'off').toLowerCase();
+  return ['off', 'fcm', 'dry-run'].includes(transport) ? transport : 'off';
+}
+
+/**
+ * Also send every team notification to the FCM topic `team_{teamId}` (apps subscribe client-side)
+ */
+export function getNotifyTeamTopics() {
+  return ['1', 'true', 'yes'].includes((process.env.NOTIFY_TEAM_TOPICS || '').toLowerCase());
+}
+
+/**
+ * Minutes before a match's scheduled time when its teams get a "match queued" notification
+ */
+export function getNotifyQueueLeadMins() {
+  const mins = parseFloat(process.env.NOTIFY_QUEUE_LEAD_MINS);
+  return mins > 0 ? mins : 15;
+}
+
+/**
+ * JSONL file the dry-run transport writes messages to
+ */
+export function getNotifyDryRunFile() {
+  return process.env.NOTIFY_DRY_RUN_FILE || '.cache/notifications.jsonl';
+}
+
+/**
+ * Where outgoing webhooks are registered: 'off' (default), 'firestore' (`webhooks` collection) or 'file' (WEBHOOKS_FILE)
+ */
+export function getWebhooksSource() {
+  const source = (process.env.WEBHOOKS_SOURCE || 'off').toLowerCase();
+  return ['off', 'firestore', 'file'].includes(source) ? source : 'off';
+}
+
+/**
+ * JSON file listing webhooks when WEBHOOKS_SOURCE=file
+ */
+export function getWebhooksFile() {
+  return process.env.WEBHOOKS_FILE || 'webhooks.json';
+}
+
+/**
+ * JSONL file where webhook deliveries that ran out of retries are logged
+ */
+export function getWebhookDeadLetterFile() {
+  return process.env.WEBHOOK_DEAD_LETTER_FILE || '.cache/webhook-dead-letters.jsonl';
+}
+
+/**
+ * Storage backend: 'firebase' (default, Firestore + RTDB) or 'json' (local files under STORAGE_DIR).
+ * The `--storage=<backend>` CLI flag takes precedence over STORAGE_BACKEND.
+ */
+export function getStorageBackend() {
+  const flag = process.argv.find(a => a.startsWith('--storage='));
+  const backend = (flag ? flag.slice('--storage='.length) : process.env.STORAGE_BACKEND || 'firebase').toLowerCase();
+  return ['firebase', 'json'].includes(backend) ? backend : 'firebase';
+}
+
+/**
+ * Directory of the JSON storage backend
+ */
+export function getStorageDir() {
+  return process.env.STORAGE_DIR || 'data';
+}
+
+/**
+ * Dry run (`--dry-run` or DRY_RUN=true): fetch and diff as usual, but only record the writes
+ */
+export function isDryRun() {
+  return process.argv.includes('--dry-run') || ['1', 'true', 'yes'].includes((process.env.DRY_RUN || '').toLowerCase());
+}
+
+/**
+ * JSON file a dry run dumps its planned writes to (`--dry-run-out=<file>` or DRY_RUN_OUT; null = no dump)
+ */
+export function getDryRunOutFile() {
+  const flag = process.argv.find(a => a.startsWith('--dry-run-out='));
+  return flag ? flag.slice('--dry-run-out='.length) : process.env.DRY_RUN_OUT || null;
+}
+
+/**
+ * Directory of the quarantine reports (records that failed schema validation)
+ */
+export function getQuarantineDir() {
+  return process.env.QUARANTINE_DIR || 'reports';
+}
+
+/**
+ * How long a sync request worker holds a claimed request before another worker may take it over
+ * (renewed while the sync runs)
+ */
+export function getSyncRequestLeaseMs() {
+  const secs = parseInt(process.env.SYNC_REQUEST_LEASE_SECS);
+  return (secs > 0 ? secs : 300) * 1000;
+}
+
+/**
+ * Sync requests one app user may make per hour (more are rejected)
+ */
+export function getSyncRequestUserLimit() {
+  const limit = parseInt(process.env.SYNC_REQUEST_USER_LIMIT);
+  return limit > 0 ? limit : 10;
+}
+
+/**
+ * Minutes during which a request for an event/team that was just synced is answered without syncing again
+ */
+export function getSyncRequestCooldownMs() {
+  const mins = parseFloat(process.env.SYNC_REQUEST_COOLDOWN_MINS);
+  return (mins >= 0 ? mins : 10) * 60 * 1000;
+}
+
+/**
+ * Minimum log level: 'debug', 'info' (default), 'warn' or 'error'
+ */
+export function getLogLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return ['debug', 'info', 'warn', 'error'].includes(level) ? level : 'info';
+}
+
+/**
+ * Log output: 'text' (default, human-readable lines) or 'json' (one JSON object per line)
+ */
+export function getLogFormat() {
+  return (process.env.LOG_FORMAT || '').toLowerCase() === 'json' ? 'json' : 'text';
 }
 
-// RobotEvents API Base URL
-export const ROBOTEVENTS_API_BASE = 'https://www.robotevents.com/api/v2';
+// RobotEvents API Base URL (ROBOTEVENTS_API_BASE points the sync at a mock server in tests)
+export const ROBOTEVENTS_API_BASE = process.env.ROBOTEVENTS_API_BASE || 'https://www.robotevents.com/api/v2';
 
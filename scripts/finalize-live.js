@@ -0,0 +1,152 @@
+import { getLiveRetentionDays, getAwardsWaitHours } from './config.js';
+import { scrapeEventDetails } from './scrapers/event-details-scraper.js';
+import { isEventLive, msSinceLiveWindowEnd } from './utils/live-window.js';
+import { removeFromRealtimeDB } from './utils/firebase-helpers.js';
+import { trimChangeFeed } from './utils/change-feed.js';
+import { flushWebhooks } from './webhooks/dispatcher.js';
+import { getStorage, flushStorage } from './storage/index.js';
+import { syncEvent } from './sync.js';
+import { writeTeamSeasons } from './utils/team-seasons.js';
+import { flushResponseCache } from './utils/response-cache.js';
+import { log } from './utils/logger.js';
+
+/**
+ * End-of-event finalization for live data
+ *
+ * Live mode only writes to RTDB `live/{eventId}/{divId}` and registers each live event
+ * under RTDB `live_meta/{eventId}`. Once an event's live window has closed, this:
+ * 1. Writes the final state (rankings, matches, teams, skills, awards) to Firestore.
+ * 2. Marks `events/{eventId}` as finalized, waiting for `awards_finalized` when the API provides it,
+ *    and updates the `team_seasons` rollups of its teams.
+ * 3. Prunes `live/{eventId}` (with its `live_meta` entry and `changes/` feed) once it is older than LIVE_RETENTION_DAYS.
+ * It also trims RTDB change feeds to CHANGE_FEED_RETENTION_DAYS.
+ *
+ * Usage:
+ *   node scripts/finalize-live.js [--scan-live]
+ *
+ * --scan-live also registers `live/` nodes written before `live_meta` existed.
+ * It downloads the whole `live/` subtree, so only use it for a one-off cleanup.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Register `live/` nodes that have no `live_meta` entry (legacy data)
+ */
+async function registerUnknownLiveEvents(storage, meta) {
+  const eventIds = Object.keys(await storage.readLive('live') || {}).filter(id => !meta[id]);
+
+  for (const eventId of eventIds) {
+    try {
+      const details = await scrapeEventDetails(eventId);
+      meta[eventId] = { sku: details.sku || null, name: details.name || null, start: details.start || null, end: details.end || null, location: details.location || null, finalized: false };
+      await storage.updateLive({ [`live_meta/${eventId}`]: meta[eventId] });
+    } catch (error) {
+      log.error(`  ❌ Could not register legacy live node ${eventId}:`, error.message);
+    }
+  }
+
+  if (eventIds.length > 0) log.info(`📥 Registered ${eventIds.length} legacy live events`);
+}
+
+/**
+ * Finalize one ended event
+ * @returns {boolean} true if the event was finalized
+ */
+async function finalizeEvent(storage, eventId, meta, now) {
+  const details = await scrapeEventDetails(eventId);
+
+  // Prefer to wait for the awards to be finalized, but never forever
+  const hoursSinceEnd = msSinceLiveWindowEnd(details, now) / HOUR;
+  if (details.awards_finalized === false && hoursSinceEnd < getAwardsWaitHours()) {
+    log.info(`  ⏳ Event ${eventId} ended, waiting for awards to be finalized...`);
+    return false;
+  }
+
+  log.info(`  🏁 Finalizing event ${eventId}: ${details.name || meta.name || 'Unknown'}`);
+  const result = await syncEvent(details, { mode: 'full', now, force: true });
+  if (result === 'failed') return false;
+
+  await storage.setDocs('events', [{
+    id: eventId,
+    data: {
+      finalized: true,
+      finalizedAt: storage.serverTimestamp(),
+      awards_finalized: details.awards_finalized ?? null,
+    },
+  }], { merge: true });
+
+  await storage.updateLive({
+    [`live_meta/${eventId}/finalized`]: true,
+    [`live_meta/${eventId}/finalizedAt`]: now.toISOString(),
+  });
+  return true;
+}
+
+/**
+ * Finalize ended live events and prune stale `live/` nodes
+ */
+export async function finalizeLiveEvents(options = {}) {
+  const now = options.now || new Date();
+  const scanLive = options.scanLive ?? process.argv.includes('--scan-live');
+  const storage = getStorage();
+
+  const meta = await storage.readLive('live_meta') || {};
+
+  if (scanLive) {
+    await registerUnknownLiveEvents(storage, meta);
+  }
+
+  const retentionMs = getLiveRetentionDays() * DAY;
+  let finalized = 0;
+  const pruned = [];
+
+  for (const [eventId, entry] of Object.entries(meta)) {
+    try {
+      await trimChangeFeed(eventId, now.getTime());
+    } catch (error) {
+      log.error(`  ❌ Failed to trim change feed of event ${eventId}:`, error.message);
+    }
+
+    if (isEventLive(entry, now)) continue;
+
+    if (!entry.finalized) {
+      try {
+        if (await finalizeEvent(storage, eventId, entry, now)) {
+          entry.finalized = true;
+          finalized++;
+        }
+      } catch (error) {
+        log.error(`  ❌ Failed to finalize event ${eventId}:`, error.message);
+      }
+    }
+
+    // Prune once past retention; unfinalized events get twice as long before we give up on them
+    const age = msSinceLiveWindowEnd(entry, now);
+    if (age > retentionMs && (entry.finalized || age > 2 * retentionMs)) {
+      if (!entry.finalized) log.warn(`  ⚠️ Pruning event ${eventId} without finalizing it`);
+      pruned.push(eventId);
+    }
+  }
+
+  await removeFromRealtimeDB(pruned.flatMap(eventId => [`live/${eventId}`, `live_meta/${eventId}`, `changes/${eventId}`]));
+  await writeTeamSeasons(now);
+
+  await flushWebhooks();
+  await flushStorage();
+  await flushResponseCache();
+
+  log.info(`🏁 Finalized ${finalized} events, pruned ${pruned.length} live nodes.`);
+  return { finalized, pruned };
+}
+
+// Run if called directly
+if (process.argv[1] && process.argv[1].endsWith('finalize-live.js')) {
+  finalizeLiveEvents()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      log.error('❌ Finalization failed:', error);
+      process.exit(1);
+    });
+}
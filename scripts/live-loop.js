@@ -1,49 +1,162 @@
-import { sync } from './sync.js';
+import { findLiveEvents, syncDivision, getSyncConcurrency } from './sync.js';
+import { finalizeLiveEvents } from './finalize-live.js';
+import { scrapeEventDetails, extractDivisions } from './scrapers/event-details-scraper.js';
+import { runPool } from './utils/worker-pool.js';
+import { planNextPoll, POLL_IDLE_MIN_MS } from './utils/live-scheduler.js';
+import { flushLiveHashes } from './utils/live-hashes.js';
+import { flushResponseCache } from './utils/response-cache.js';
+import { flushWebhooks } from './webhooks/dispatcher.js';
+import { getStorage, flushStorage } from './storage/index.js';
+import { log } from './utils/logger.js';
+import { startRun, finishRun } from './utils/run-metrics.js';
 
 const LOOP_DURATION_MINS = 55; // Run for 55 minutes then stop (to let the next GH Action take over)
-const INTERVAL_MS = 120000; // 2 minutes
+const DISCOVERY_INTERVAL_MS = 10 * 60 * 1000; // Look for newly live events / ended events every 10 minutes
+const FINALIZE_INTERVAL_MS = 15 * 60 * 1000; // Finalize ended events / prune RTDB every 15 minutes
+const MIN_SLEEP_MS = 1000;
+
+/**
+ * Live sync loop
+ * Every live division gets its own poll schedule (see utils/live-scheduler.js):
+ * divisions with a match due or in progress are polled every 30s, idle ones back off
+ * to 5 minutes, and divisions whose elims are complete are not polled again.
+ * The whole session is one run: its metrics are stored as `sync_runs/{runId}` when it ends.
+ */
+
+/**
+ * Add divisions of newly live events to the schedule, and drop events that are no longer live
+ */
+async function discoverDivisions(schedule, sessionCache) {
+  const events = await findLiveEvents({ cache: sessionCache });
+  const liveIds = new Set(events.map(event => String(event.id)));
+
+  for (const [key, entry] of schedule) {
+    if (!liveIds.has(entry.eventId)) schedule.delete(key);
+  }
+
+  const known = new Set([...schedule.values()].map(entry => entry.eventId));
+  for (const event of events) {
+    const eventId = String(event.id);
+    if (known.has(eventId)) continue;
+
+    try {
+      const divisions = extractDivisions(await scrapeEventDetails(eventId));
+      for (const division of divisions) {
+        schedule.set(`${eventId}:${division.id}`, {
+          eventId,
+          sku: event.sku || null,
+          division,
+          state: 'new',
+          nextPollAt: 0,
+          idleStreak: 0,
+        });
+      }
+      log.info(`➕ Scheduling ${divisions.length} divisions of event ${eventId}: ${event.name || 'Unknown'}`);
+    } catch (error) {
+      log.error(`  ❌ Could not fetch divisions of event ${eventId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Poll one division and plan its next poll from the matches we just fetched
+ */
+async function pollDivision(entry) {
+  const label = `${entry.eventId}/${entry.division.id}`;
+  try {
+    const { matches } = await syncDivision(entry.eventId, entry.division, { mode: 'live', sku: entry.sku });
+    const plan = planNextPoll(matches, entry);
+
+    if (plan.state === 'done') {
+      log.info(`  ✅ Division ${label} finished (${plan.reason}), no longer polling`);
+    } else if (plan.state !== entry.state) {
+      log.info(`  🕒 Division ${label} is ${plan.state} (${plan.reason}), next poll in ${Math.round(plan.delayMs / 1000)}s`);
+    }
+
+    entry.state = plan.state;
+    entry.idleStreak = plan.idleStreak;
+    entry.nextPollAt = plan.state === 'done' ? Infinity : Date.now() + plan.delayMs;
+  } catch (error) {
+    log.error(`  ❌ Division ${label} poll failed:`, error.message);
+    entry.nextPollAt = Date.now() + POLL_IDLE_MIN_MS;
+  }
+}
 
 async function runLoop() {
   const startTime = Date.now();
   const endTime = startTime + (LOOP_DURATION_MINS * 60 * 1000);
-  
-  // This cache stays in memory for the full 55 minutes.
-  // It prevents the script from pushing data to RTDB unless it actually changed.
+
+  // Remembers which live events are already registered in `live_meta` during this run.
+  // Rankings/matches are diffed per record against hashes that outlive the run (utils/live-hashes.js).
   const sessionCache = {};
 
-  console.log(`🚀 Starting Live Sync Loop for ${LOOP_DURATION_MINS} minutes...`);
+  // `${eventId}:${divisionId}` -> { eventId, sku, division, state, nextPollAt, idleStreak }
+  const schedule = new Map();
+
+  const storage = getStorage();
+  startRun({ mode: 'live-loop' });
+  log.info(`🚀 Starting Live Sync Loop for ${LOOP_DURATION_MINS} minutes (storage: ${storage.name})...`);
+
+  let lastFinalize = 0;
+  let lastDiscovery = 0;
 
   while (Date.now() < endTime) {
-    const cycleStart = Date.now();
-    
-    try {
-      console.log(`\n--- Cycle Start: ${new Date().toISOString()} ---`);
-      
-      // Call the sync function directly with our cache
-      await sync({
-        mode: 'live',
-        cache: sessionCache
-      });
-      
-      console.log(`--- Cycle Complete ---`);
-    } catch (error) {
-      console.error('❌ Cycle failed:', error.message);
+    if (Date.now() - lastFinalize >= FINALIZE_INTERVAL_MS) {
+      lastFinalize = Date.now();
+      try {
+        await finalizeLiveEvents();
+      } catch (error) {
+        log.error('❌ Finalization failed:', error.message);
+      }
+    }
+
+    if (Date.now() - lastDiscovery >= DISCOVERY_INTERVAL_MS) {
+      lastDiscovery = Date.now();
+      try {
+        await discoverDivisions(schedule, sessionCache);
+      } catch (error) {
+        log.error('❌ Live event discovery failed:', error.message);
+      }
     }
 
-    const elapsed = Date.now() - cycleStart;
-    const waitTime = Math.max(1000, INTERVAL_MS - elapsed);
-    
+    const now = Date.now();
+    const due = [...schedule.values()]
+      .filter(entry => entry.nextPollAt <= now)
+      .sort((a, b) => a.nextPollAt - b.nextPollAt);
+
+    if (due.length > 0) {
+      log.info(`\n--- Polling ${due.length}/${schedule.size} divisions: ${new Date().toISOString()} ---`);
+      await runPool(due, pollDivision, { concurrency: getSyncConcurrency });
+    }
+
+    // Sleep until the next division is due (or the next discovery/finalization pass)
+    const nextWake = Math.min(
+      ...[...schedule.values()].map(entry => entry.nextPollAt),
+      lastDiscovery + DISCOVERY_INTERVAL_MS,
+      lastFinalize + FINALIZE_INTERVAL_MS,
+      endTime,
+    );
+    const waitTime = Math.max(MIN_SLEEP_MS, nextWake - Date.now());
+
     if (Date.now() + waitTime < endTime) {
-      console.log(`Waiting ${Math.round(waitTime / 1000)}s for next cycle...`);
+      if (waitTime > MIN_SLEEP_MS) log.info(`Waiting ${Math.round(waitTime / 1000)}s for the next due division...`);
       await new Promise(resolve => setTimeout(resolve, waitTime));
+    } else {
+      break;
     }
   }
 
-  console.log('🏁 Loop duration reached. Exiting gracefully.');
+  await flushLiveHashes();
+  await flushWebhooks();
+  await flushStorage();
+  await flushResponseCache();
+  await finishRun({ status: 'complete' });
+  log.info('🏁 Loop duration reached. Exiting gracefully.');
   process.exit(0);
 }
 
-runLoop().catch(err => {
-  console.error('Fatal loop error:', err);
+runLoop().catch(async err => {
+  log.error('Fatal loop error:', err);
+  await finishRun({ status: 'failed', error: err });
   process.exit(1);
 });
@@ -0,0 +1,45 @@
+import { runMigrations, DEFAULT_BATCH_SIZE } from './schema/migrate.js';
+import { SCHEMA_VERSION } from './schema/version.js';
+import { printWritePlan } from './utils/write-plan.js';
+import { getStorage, flushStorage } from './storage/index.js';
+import { isDryRun } from './config.js';
+import { log } from './utils/logger.js';
+
+/**
+ * Schema migrations
+ * Brings stored docs up to the current `schemaVersion` without a full resync (see schema/migrate.js).
+ *
+ * Usage:
+ *   node scripts/migrate.js [--dry-run] [--force] [--batch=<docs>] [--storage=<backend>]
+ *
+ * --force re-checks migrations that were already applied (only docs below their version are rewritten).
+ */
+
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const inline = process.argv.find(a => a.startsWith(prefix));
+  return inline ? inline.slice(prefix.length) : undefined;
+}
+
+async function migrate() {
+  const batchSize = parseInt(getArgValue('batch')) || DEFAULT_BATCH_SIZE;
+  const storage = getStorage();
+  log.info(`🧬 Migrating stored docs to schema version ${SCHEMA_VERSION} (storage: ${storage.name}, batches of ${batchSize})...`);
+
+  try {
+    const results = await runMigrations({ force: process.argv.includes('--force'), batchSize });
+    for (const r of results) {
+      log.info(`  ${r.version} ${r.description}: ${r.status === 'skipped' ? 'already applied' : `${r.migrated}/${r.scanned} docs migrated`}`);
+    }
+  } finally {
+    await flushStorage();
+    if (isDryRun()) printWritePlan();
+  }
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    log.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,49 @@
+import { getStorage } from '../storage/index.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Notification dedup
+ * Each notification has a stable key (e.g. `scored_{matchId}`). Claiming it creates
+ * `notifications_sent/{key}`, which fails if the doc already exists, so a restarted
+ * live loop (or two overlapping runs) never sends the same notification twice.
+ * Claims expire through a TTL policy on `expiresAt`.
+ */
+
+const CLAIM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const claimed = new Set(); // Keys claimed (or found claimed) by this process
+
+/**
+ * Claim a notification key
+ * @returns {boolean} true if this caller should send the notification
+ */
+export async function claimNotification(key, details = {}) {
+  if (claimed.has(key)) return false;
+  claimed.add(key);
+
+  try {
+    const storage = getStorage();
+    return await storage.createDoc('notifications_sent', key, {
+      ...details,
+      sentAt: storage.serverTimestamp(),
+      expiresAt: new Date(Date.now() + CLAIM_TTL_MS),
+    });
+  } catch (err) {
+    // Could not record the claim: skip rather than risk notifying twice
+    claimed.delete(key);
+    log.warn(`    ⚠️ [NOTIFY] Could not claim "${key}": ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Release a claim whose notification could not be sent, so a later poll retries it
+ */
+export async function releaseNotification(key) {
+  claimed.delete(key);
+  try {
+    await getStorage().deleteDocs('notifications_sent', [key]);
+  } catch (err) {
+    log.warn(`    ⚠️ [NOTIFY] Could not release "${key}": ${err.message}`);
+  }
+}
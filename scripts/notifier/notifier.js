@@ -0,0 +1,178 @@
+import { getNotifyTeamTopics, getNotifyQueueLeadMins } from '../config.js';
+import { getTransport } from './transports.js';
+import { getFollowers, disableSubscription } from './subscriptions.js';
+import { claimNotification, releaseNotification } from './dedup.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Follower notifications
+ * Called by the live sync after each division poll. Turns the change feed records and the
+ * fetched matches into per-team notifications:
+ *   match_scored  a followed team's match was scored (from the change feed)
+ *   match_queued  a followed team's next match started or is due within NOTIFY_QUEUE_LEAD_MINS
+ *   rank_changed  a followed team's rank changed (from the change feed)
+ * and delivers them through the NOTIFY_TRANSPORT to subscribed tokens/topics.
+ */
+
+const MINUTE = 60 * 1000;
+
+function teamsOf(match) {
+  const teams = [];
+  for (const alliance of match.alliances || []) {
+    for (const t of alliance.teams || []) {
+      if (t.team?.id != null) teams.push({ id: t.team.id, number: t.team.name || String(t.team.id), color: alliance.color });
+    }
+  }
+  return teams;
+}
+
+function scoredNotifications(eventId, change) {
+  const notifications = [];
+  for (const color of ['red', 'blue']) {
+    const own = change[color];
+    const other = change[color === 'red' ? 'blue' : 'red'];
+    const result = own.score > other.score ? 'Win' : own.score < other.score ? 'Loss' : 'Tie';
+    // teams[i] is the number of teamIds[i] (see alliancePayload in change-feed.js)
+    own.teamIds.forEach((teamId, i) => {
+      const number = own.teams[i] || String(teamId);
+      notifications.push({
+        key: `scored_${change.matchId}_${teamId}`,
+        type: 'match_scored',
+        teamId,
+        title: `${number}: ${change.name} scored`,
+        body: `${result} · Red ${change.red.score} - ${change.blue.score} Blue`,
+        data: { eventId, matchId: change.matchId },
+      });
+    });
+  }
+  return notifications;
+}
+
+function rankNotification(eventId, change) {
+  if (change.team.id == null) return null;
+  return {
+    key: `rank_${eventId}_${change.team.id}_${change.to}_${change.wins}-${change.losses}-${change.ties}`,
+    type: 'rank_changed',
+    teamId: change.team.id,
+    title: `${change.team.number}: now rank ${change.to}`,
+    body: `Moved ${change.to < change.from ? 'up' : 'down'} from rank ${change.from} (${change.wins}-${change.losses}-${change.ties})`,
+    data: { eventId },
+  };
+}
+
+/**
+ * "Up next" notifications: each team's earliest unscored match that started or is due soon
+ */
+function queuedNotifications(eventId, matches, now) {
+  const leadMs = getNotifyQueueLeadMins() * MINUTE;
+  const next = new Map(); // teamId -> { match, team, at }
+
+  for (const match of matches) {
+    if (match.scored) continue;
+    const started = match.started ? new Date(match.started).getTime() : null;
+    const scheduled = match.scheduled ? new Date(match.scheduled).getTime() : null;
+    const at = started ?? scheduled;
+    if (at === null || isNaN(at)) continue;
+    if (!(started !== null && started <= now) && at - now > leadMs) continue;
+
+    for (const team of teamsOf(match)) {
+      const current = next.get(team.id);
+      if (!current || at < current.at) next.set(team.id, { match, team, at });
+    }
+  }
+
+  return [...next.values()].map(({ match, team, at }) => {
+    const mins = Math.round((at - now) / MINUTE);
+    const when = match.started || mins <= 0 ? 'is starting' : `starts in ~${mins} min`;
+    return {
+      key: `queued_${match.id}_${team.id}`,
+      type: 'match_queued',
+      teamId: team.id,
+      title: `${team.number}: ${match.name} ${when}`,
+      body: `${team.color === 'red' ? 'Red' : 'Blue'} alliance${match.field ? ` · ${match.field}` : ''}`,
+      data: { eventId, matchId: match.id },
+    };
+  });
+}
+
+/**
+ * Build one FCM message per target (data values must be strings)
+ */
+function toMessages(notification, targets) {
+  const data = { type: notification.type, teamId: String(notification.teamId) };
+  for (const [k, v] of Object.entries(notification.data)) data[k] = String(v);
+
+  return targets.map(target => ({
+    ...(target.token ? { token: target.token } : { topic: target.topic }),
+    notification: { title: notification.title, body: notification.body },
+    data,
+  }));
+}
+
+/**
+ * Notify followers about one division poll
+ * @param {Object} context - changes (change feed records), matches, rankings, now
+ * @returns {number} Notifications sent
+ */
+export async function notifyFollowers(eventId, { changes = [], matches = [], rankings = [], now = Date.now() }) {
+  const transport = getTransport();
+  if (!transport) return 0;
+
+  eventId = String(eventId);
+  try {
+    const notifications = [
+      ...changes.filter(c => c.type === 'match_scored').flatMap(c => scoredNotifications(eventId, c)),
+      ...queuedNotifications(eventId, matches, now),
+      ...changes.filter(c => c.type === 'rank_changed').map(c => rankNotification(eventId, c)).filter(Boolean),
+    ];
+    if (notifications.length === 0) return 0;
+
+    // One lookup for every team in the division keeps the subscription cache warm
+    const divisionTeams = [
+      ...matches.flatMap(m => teamsOf(m).map(t => t.id)),
+      ...rankings.map(r => r.team?.id).filter(id => id != null),
+    ];
+    const followers = await getFollowers(eventId, divisionTeams.length > 0 ? divisionTeams : notifications.map(n => n.teamId));
+    const teamTopics = getNotifyTeamTopics();
+
+    let sent = 0;
+    for (const notification of notifications) {
+      const subs = (followers.get(notification.teamId) || [])
+        .filter(sub => !sub.types || sub.types.includes(notification.type));
+
+      // Unique targets; one subscription per token so invalid tokens can be disabled
+      const targets = new Map();
+      for (const sub of subs) {
+        const key = sub.token ? `token:${sub.token}` : `topic:${sub.topic}`;
+        if (!targets.has(key)) targets.set(key, { token: sub.token, topic: sub.token ? undefined : sub.topic, subscriptionId: sub.id });
+      }
+      if (teamTopics) targets.set(`topic:team_${notification.teamId}`, { topic: `team_${notification.teamId}` });
+      if (targets.size === 0) continue;
+
+      if (!(await claimNotification(notification.key, { type: notification.type, eventId, teamId: notification.teamId }))) continue;
+
+      const list = [...targets.values()];
+      let results;
+      try {
+        results = await transport.send(toMessages(notification, list));
+      } catch (err) {
+        // Nothing was delivered: release the claim so the next poll retries
+        log.warn(`    ⚠️ [NOTIFY] ${notification.key} failed: ${err.message}`);
+        await releaseNotification(notification.key);
+        continue;
+      }
+      for (const [i, result] of results.entries()) {
+        if (result.ok) continue;
+        log.warn(`    ⚠️ [NOTIFY] ${notification.key} to ${list[i].topic ? `topic ${list[i].topic}` : 'token'} failed: ${result.error}`);
+        if (result.invalidToken && list[i].subscriptionId) await disableSubscription(list[i].subscriptionId, result.error);
+      }
+      sent++;
+    }
+
+    if (sent > 0) log.info(`    🔔 [NOTIFY] Sent ${sent} notifications for event ${eventId} (${transport.name})`);
+    return sent;
+  } catch (err) {
+    log.error(`    ❌ [NOTIFY] Failed for event ${eventId}: ${err.message}`);
+    return 0;
+  }
+}
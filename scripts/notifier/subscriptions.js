@@ -0,0 +1,78 @@
+import { getStorage } from '../storage/index.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Follower subscriptions
+ * Docs in `notification_subscriptions/{id}`:
+ *   { uid?, teamId?, eventId?, token? | topic?, types?: ['match_scored', 'match_queued', 'rank_changed'], enabled? }
+ * Apps create token subscriptions with their user's `uid` (see firestore.rules); topics are set by the backend.
+ * - teamId only:        that team at any event
+ * - teamId + eventId:   that team at that event only
+ * - eventId only:       every team at that event
+ * `types` limits which notifications are delivered (all when missing).
+ */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const cache = new Map(); // cache key -> { at, subscriptions }
+
+function cached(key, load) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.subscriptions;
+  const subscriptions = load();
+  cache.set(key, { at: Date.now(), subscriptions });
+  // Don't cache failures
+  subscriptions.catch(() => cache.delete(key));
+  return subscriptions;
+}
+
+function toSubscriptions(docs) {
+  return docs
+    .map(({ id, data }) => ({ id, ...data }))
+    .filter(sub => sub.enabled !== false && (sub.token || sub.topic));
+}
+
+async function loadEventSubscriptions(eventId) {
+  return toSubscriptions(await getStorage().listDocs('notification_subscriptions', { where: [['eventId', '==', eventId]] }));
+}
+
+async function loadTeamSubscriptions(teamIds) {
+  return toSubscriptions(await getStorage().listDocs('notification_subscriptions', { where: [['teamId', 'in', teamIds]] }));
+}
+
+/**
+ * Subscriptions that follow any of the given teams at this event
+ * @returns {Map} teamId -> array of subscriptions
+ */
+export async function getFollowers(eventId, teamIds) {
+  const ids = [...new Set(teamIds)].sort((a, b) => a - b);
+  const byTeam = new Map(ids.map(id => [id, []]));
+  if (ids.length === 0) return byTeam;
+
+  const [eventSubs, teamSubs] = await Promise.all([
+    cached(`event_${eventId}`, () => loadEventSubscriptions(String(eventId))),
+    cached(`teams_${ids.join(',')}`, () => loadTeamSubscriptions(ids)),
+  ]);
+
+  for (const sub of teamSubs) {
+    if (sub.eventId && String(sub.eventId) !== String(eventId)) continue;
+    byTeam.get(sub.teamId)?.push(sub);
+  }
+  for (const sub of eventSubs) {
+    if (sub.teamId != null) continue; // Already matched above
+    for (const list of byTeam.values()) list.push(sub);
+  }
+
+  return byTeam;
+}
+
+/**
+ * Disable a subscription whose token FCM rejected for good
+ */
+export async function disableSubscription(id, reason) {
+  try {
+    await getStorage().setDocs('notification_subscriptions', [{ id, data: { enabled: false, disabledReason: reason } }], { merge: true });
+  } catch (err) {
+    log.warn(`    ⚠️ [NOTIFY] Could not disable subscription ${id}: ${err.message}`);
+  }
+}
@@ -0,0 +1,77 @@
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { getMessaging } from 'firebase-admin/messaging';
+import { initializeFirebase, getNotifyTransport, getNotifyDryRunFile, isDryRun } from '../config.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Notification transports
+ * A transport sends a list of FCM messages ({ token | topic, notification, data })
+ * and resolves to one result per message: { ok, error?, invalidToken? }.
+ */
+
+const FCM_BATCH_SIZE = 500; // sendEach limit
+
+// Error codes meaning the token will never work again
+const INVALID_TOKEN_CODES = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+]);
+
+function createFcmTransport() {
+  initializeFirebase();
+  const messaging = getMessaging();
+
+  return {
+    name: 'fcm',
+    async send(messages) {
+      const results = [];
+      for (let i = 0; i < messages.length; i += FCM_BATCH_SIZE) {
+        const chunk = messages.slice(i, i + FCM_BATCH_SIZE);
+        const response = await messaging.sendEach(chunk);
+        for (const r of response.responses) {
+          results.push(r.success
+            ? { ok: true }
+            : { ok: false, error: r.error?.message, invalidToken: INVALID_TOKEN_CODES.has(r.error?.code) });
+        }
+      }
+      return results;
+    },
+  };
+}
+
+/**
+ * Logs messages and appends them to a JSONL file instead of calling FCM
+ */
+function createDryRunTransport() {
+  const file = getNotifyDryRunFile();
+
+  return {
+    name: 'dry-run',
+    async send(messages) {
+      await mkdir(path.dirname(file), { recursive: true });
+      const sentAt = new Date().toISOString();
+      const lines = messages.map(message => JSON.stringify({ sentAt, ...message })).join('\n');
+      await appendFile(file, `${lines}\n`);
+      for (const message of messages) {
+        const target = message.token ? `token ${message.token.slice(0, 12)}…` : `topic ${message.topic}`;
+        log.info(`    📣 [DRY RUN] ${target}: ${message.notification.title} - ${message.notification.body}`);
+      }
+      return messages.map(() => ({ ok: true }));
+    },
+  };
+}
+
+let transport;
+
+/**
+ * Transport selected by NOTIFY_TRANSPORT (null when notifications are off)
+ * A sync --dry-run never calls FCM: it uses the dry-run transport instead.
+ */
+export function getTransport() {
+  if (transport !== undefined) return transport;
+  const configured = getNotifyTransport();
+  const name = configured === 'fcm' && isDryRun() ? 'dry-run' : configured;
+  transport = name === 'fcm' ? createFcmTransport() : name === 'dry-run' ? createDryRunTransport() : null;
+  return transport;
+}
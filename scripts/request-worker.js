@@ -0,0 +1,48 @@
+import { processSyncRequests, WORKER_ID } from './requests/queue.js';
+import { flushLiveHashes } from './utils/live-hashes.js';
+import { flushWebhooks } from './webhooks/dispatcher.js';
+import { getStorage, flushStorage } from './storage/index.js';
+import { log } from './utils/logger.js';
+
+const LOOP_DURATION_MINS = 55; // Run for 55 minutes then stop (to let the next GH Action take over)
+const POLL_INTERVAL_MS = 15 * 1000; // Look for new sync requests every 15 seconds
+
+/**
+ * Sync request worker
+ * Runs next to the live loop and serves `sync_requests` written by the app (see requests/queue.js).
+ * `--once` processes the queue a single time and exits.
+ */
+
+async function runWorker() {
+  const once = process.argv.includes('--once');
+  const endTime = Date.now() + (LOOP_DURATION_MINS * 60 * 1000);
+
+  const storage = getStorage();
+  log.info(`🚀 Starting sync request worker ${WORKER_ID}${once ? ' (single pass)' : ` for ${LOOP_DURATION_MINS} minutes`} (storage: ${storage.name})...`);
+
+  while (true) {
+    try {
+      const counts = await processSyncRequests();
+      const handled = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      if (handled > 0) {
+        log.info(`📬 Requests: ${counts.synced} synced, ${counts.deduped} answered from a recent sync, ${counts.rejected} rejected, ${counts.failed} failed, ${counts.lost} claimed by another worker`, { event: 'sync_requests_processed', ...counts });
+      }
+    } catch (error) {
+      log.error('❌ Processing sync requests failed:', error.message);
+    }
+
+    if (once || Date.now() + POLL_INTERVAL_MS >= endTime) break;
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+
+  await flushLiveHashes();
+  await flushWebhooks();
+  await flushStorage();
+  log.info(once ? '🏁 Queue processed. Exiting.' : '🏁 Worker duration reached. Exiting gracefully.');
+  process.exit(0);
+}
+
+runWorker().catch(err => {
+  log.error('Fatal worker error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,197 @@
+import { hostname } from 'os';
+import { getSyncRequestLeaseMs, getSyncRequestUserLimit, getSyncRequestCooldownMs } from '../config.js';
+import { getStorage } from '../storage/index.js';
+import { sync } from '../sync.js';
+import { getRunMetrics } from '../utils/run-metrics.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * App-triggered sync requests
+ * Signed-in app users create `sync_requests/{id}` docs (see firestore.rules):
+ *   { type: 'event' | 'team', target: event ID / SKU or team number, uid, status: 'pending', createdAt }
+ *
+ * The worker (scripts/request-worker.js) picks up pending requests and requests whose lease
+ * expired, claims each one with a lease, runs the targeted sync (`sync.js event|team`) and writes
+ * the outcome back onto the request:
+ *   status: 'running' -> 'done' | 'failed' | 'rejected'
+ *   attempts, leaseOwner, leaseExpiresAt, startedAt, finishedAt, result { runId, events, synced, failed, deduped }, error
+ *
+ * Claims are atomic: claiming attempt N creates `sync_requests/{id}/leases/{N}`, which only one worker can do.
+ * A target synced less than SYNC_REQUEST_COOLDOWN_MINS ago is answered from `sync_request_targets/{type}_{target}`
+ * without syncing again (this also collapses duplicate requests), and users are limited to
+ * SYNC_REQUEST_USER_LIMIT requests per hour.
+ */
+
+const REQUESTS = 'sync_requests';
+const TARGETS = 'sync_request_targets';
+const MAX_ATTEMPTS = 3; // Claims (crashed workers included) before a request is failed
+const HOUR_MS = 60 * 60 * 1000;
+
+const TARGET_PATTERNS = {
+  event: /^(\d{1,9}|RE-[A-Z0-9]+-\d{2}-\d{3,6})$/i,
+  team: /^[A-Z0-9]{1,10}$/i,
+};
+
+export const WORKER_ID = `${hostname()}-${process.pid}`;
+
+// Firestore Timestamp, Date, ISO string (JSON backend) or millis -> millis
+function toMillis(value) {
+  if (value == null) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const ms = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Queue order: oldest first, ties broken by ID
+function compareRequests(a, b) {
+  return (toMillis(a.data.createdAt) ?? 0) - (toMillis(b.data.createdAt) ?? 0) || a.id.localeCompare(b.id);
+}
+
+function targetKey({ type, target }) {
+  return `${type}_${String(target).toUpperCase()}`;
+}
+
+async function update(id, data) {
+  await getStorage().setDocs(REQUESTS, [{ id, data }]);
+}
+
+async function finish(id, status, fields = {}) {
+  const storage = getStorage();
+  await update(id, { status, ...fields, leaseExpiresAt: storage.deleteField(), finishedAt: storage.serverTimestamp() });
+  log.info(`  📬 Request ${id}: ${status}${fields.error ? ` (${fields.error})` : ''}`, { event: 'sync_request', requestId: id, status, ...fields });
+}
+
+/**
+ * Pending requests and running ones whose worker let the lease expire, oldest first
+ */
+export async function listClaimableRequests(now = Date.now()) {
+  const docs = await getStorage().listDocs(REQUESTS, { where: [['status', 'in', ['pending', 'running']]] });
+  return docs
+    .filter(({ data }) => data.status === 'pending' || (toMillis(data.leaseExpiresAt) ?? 0) <= now)
+    .sort(compareRequests);
+}
+
+/**
+ * Claim a request for this worker
+ * @returns {boolean} false when another worker claimed it first
+ */
+export async function claimRequest({ id, data }, now = Date.now()) {
+  const storage = getStorage();
+  const attempt = (data.attempts || 0) + 1;
+  const claimed = await storage.createDoc(`${REQUESTS}/${id}/leases`, String(attempt), { workerId: WORKER_ID, claimedAt: new Date(now) });
+  if (!claimed) return false;
+
+  await update(id, {
+    status: 'running',
+    attempts: attempt,
+    leaseOwner: WORKER_ID,
+    leaseExpiresAt: new Date(now + getSyncRequestLeaseMs()),
+    startedAt: storage.serverTimestamp(),
+  });
+  return true;
+}
+
+/**
+ * Why a request must not run (null when it may)
+ */
+async function rejectionReason(request, now) {
+  const { id, data } = request;
+  if (!TARGET_PATTERNS[data.type]) return `unknown request type "${data.type}"`;
+  if (!TARGET_PATTERNS[data.type].test(String(data.target || ''))) return `invalid ${data.type} "${data.target}"`;
+  if (!data.uid) return 'missing uid';
+
+  // Requests this user made in the last hour up to this one (rejected and unprocessed ones don't count).
+  // Only the oldest limit + 1 are read, so a flood of requests costs a bounded query each.
+  const limit = getSyncRequestUserLimit();
+  const recent = await getStorage().listDocs(REQUESTS, {
+    where: [['uid', '==', data.uid], ['status', 'in', ['running', 'done', 'failed']], ['createdAt', '>=', new Date(now - HOUR_MS)]],
+    orderBy: 'createdAt',
+    limit: limit + 1,
+    fields: ['createdAt', 'status'],
+  });
+  const count = recent.filter(r => r.id === id || compareRequests(r, request) < 0).length;
+  if (count > limit) return `rate limited (${limit} requests per hour)`;
+
+  return null;
+}
+
+/**
+ * Run one claimed request: answer from the cooldown cache or run the targeted sync
+ */
+async function runRequest(request, now) {
+  const { id, data } = request;
+  const storage = getStorage();
+  const key = targetKey(data);
+
+  const last = await storage.getDoc(TARGETS, key);
+  const lastSyncedAt = toMillis(last?.syncedAt);
+  if (lastSyncedAt && now - lastSyncedAt < getSyncRequestCooldownMs()) {
+    await finish(id, 'done', { result: { ...last.result, deduped: true, duplicateOf: last.requestId } });
+    return 'deduped';
+  }
+
+  // Keep the lease while the sync runs
+  const renew = setInterval(() => {
+    update(id, { leaseExpiresAt: new Date(Date.now() + getSyncRequestLeaseMs()) })
+      .catch(err => log.warn(`  ⚠️ Could not renew the lease of request ${id}: ${err.message}`));
+  }, getSyncRequestLeaseMs() / 2);
+
+  try {
+    // The app asked because it wants current data: never answer from the API cache
+    const { complete, runId } = await sync({ target: { [data.type]: String(data.target) }, apiCache: 'refresh' });
+    const { events } = getRunMetrics();
+    const result = { runId, complete, events: events.total, synced: events.synced, failed: events.failed };
+
+    // Only a complete, clean sync starts the cooldown: a failed target must stay retryable
+    if (complete && events.failed === 0) {
+      await storage.setDocs(TARGETS, [{ id: key, data: { requestId: id, result, syncedAt: new Date() } }], { merge: false });
+    }
+    await finish(id, events.failed > 0 && events.synced === 0 ? 'failed' : 'done', {
+      result,
+      ...(events.failed > 0 ? { error: events.failures.map(f => `${f.eventId}: ${f.reason}`).join('; ') } : {}),
+    });
+    return 'synced';
+  } catch (error) {
+    await finish(id, 'failed', { error: error.message });
+    return 'failed';
+  } finally {
+    clearInterval(renew);
+  }
+}
+
+/**
+ * One pass over the queue: claim and run every claimable request, one at a time
+ * (run metrics and API keys are shared, so targeted syncs never overlap)
+ * @returns {Object} counts per outcome: { synced, deduped, rejected, failed, lost }
+ */
+export async function processSyncRequests() {
+  const counts = { synced: 0, deduped: 0, rejected: 0, failed: 0, lost: 0 };
+  const requests = await listClaimableRequests();
+  if (requests.length > 0) log.info(`📬 ${requests.length} sync requests to process`);
+
+  for (const request of requests) {
+    const now = Date.now();
+
+    if ((request.data.attempts || 0) >= MAX_ATTEMPTS) {
+      await finish(request.id, 'failed', { error: `gave up after ${MAX_ATTEMPTS} attempts` });
+      counts.failed++;
+      continue;
+    }
+
+    if (!(await claimRequest(request, now))) {
+      counts.lost++;
+      continue;
+    }
+
+    const reason = await rejectionReason(request, now);
+    if (reason) {
+      await finish(request.id, 'rejected', { error: reason });
+      counts.rejected++;
+      continue;
+    }
+
+    counts[await runRequest(request, now)]++;
+  }
+
+  return counts;
+}
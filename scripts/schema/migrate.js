@@ -0,0 +1,155 @@
+import { getStorage, DOC_ID } from '../storage/index.js';
+import { getSyncProgress, updateSyncProgress } from '../utils/firebase-helpers.js';
+import { log } from '../utils/logger.js';
+import { MIGRATIONS } from './migrations/index.js';
+import { SCHEMA_VERSION } from './version.js';
+
+/**
+ * Migration runner
+ * Applies the registered migrations (see migrations/index.js) in version order. Each migration
+ * walks the collections it names, rewrites the docs stored below its version in batches and
+ * stamps them with it:
+ *   - `schema_migrations/{version}` records an applied migration (skipped next time unless forced)
+ *   - collections are read in pages of `batchSize` docs in document ID order, and
+ *     `sync/migration_progress` is checkpointed after every page, so an interrupted run resumes
+ *     after the last scanned doc instead of rescanning every collection
+ *   - collections without a migrate function (only the version stamp) read just `schemaVersion`
+ *   - with --dry-run the storage only records the writes (see storage/dry-run-storage.js)
+ *
+ * Subcollections are found through their parent docs (e.g. the matches of every stored division).
+ */
+
+const APPLIED = 'schema_migrations';
+const PROGRESS_DOC = 'migration_progress';
+export const DEFAULT_BATCH_SIZE = 400;
+
+const byId = (a, b) => a.localeCompare(b, 'en', { numeric: true });
+
+/**
+ * Concrete collection paths of a pattern (`events/*` + `/teams` -> `events/1/teams`, `events/2/teams`...)
+ */
+async function expandPattern(pattern) {
+  const segments = pattern.split('/');
+  let paths = [segments[0]];
+  for (let i = 1; i < segments.length; i += 2) {
+    const next = [];
+    for (const parent of paths) {
+      const ids = segments[i] === '*'
+        ? (await getStorage().listDocs(parent, { fields: [] })).map(d => d.id).sort(byId)
+        : [segments[i]];
+      next.push(...ids.map(id => `${parent}/${id}/${segments[i + 1]}`));
+    }
+    paths = next;
+  }
+  return paths;
+}
+
+/**
+ * Migrate one collection from `afterId` on, one page at a time
+ * @returns {Object} { scanned, migrated }
+ */
+async function migrateCollection(migration, collectionPath, migrate, { afterId, batchSize, saveProgress }) {
+  const storage = getStorage();
+  let scanned = 0;
+  let migrated = 0;
+  let cursor = afterId || null;
+
+  while (true) {
+    const page = await storage.listDocs(collectionPath, {
+      orderBy: DOC_ID,
+      startAfter: cursor,
+      limit: batchSize,
+      ...(migrate ? {} : { fields: ['schemaVersion'] }),
+    });
+    if (page.length === 0) break;
+    scanned += page.length;
+    cursor = page[page.length - 1].id;
+
+    const batch = page
+      .filter(d => (d.data.schemaVersion || 0) < migration.version)
+      .map(({ id, data }) => ({
+        id,
+        data: migrate ? { ...migrate(data, { collection: collectionPath, id }), schemaVersion: migration.version } : { schemaVersion: migration.version },
+      }));
+    // Rewritten docs replace the stored ones; a version stamp alone is merged
+    if (batch.length > 0) await storage.setDocs(collectionPath, batch, { merge: !migrate });
+    migrated += batch.length;
+    await saveProgress(collectionPath, cursor, batch.length);
+
+    if (page.length < batchSize) break;
+  }
+
+  return { scanned, migrated };
+}
+
+/**
+ * Apply one migration, resuming from its checkpoint
+ */
+async function applyMigration(migration, { batchSize }) {
+  const checkpoint = await getSyncProgress(PROGRESS_DOC);
+  const resume = checkpoint && checkpoint.version === migration.version && !checkpoint.complete ? checkpoint : null;
+  let migrated = resume?.migrated || 0;
+  let scanned = 0;
+
+  const saveProgress = async (collection, lastDocId, count) => {
+    migrated += count;
+    await updateSyncProgress({ version: migration.version, collection, lastDocId, migrated, complete: false }, PROGRESS_DOC);
+  };
+
+  const collections = [];
+  for (const [pattern, migrate] of Object.entries(migration.collections)) {
+    for (const path of await expandPattern(pattern)) collections.push({ path, migrate });
+  }
+
+  let start = 0;
+  if (resume) {
+    const index = collections.findIndex(c => c.path === resume.collection);
+    if (index !== -1) start = index;
+    log.info(`  ⏯️  Resuming after ${resume.collection}/${resume.lastDocId} (${migrated} docs already migrated)`);
+  }
+
+  for (let i = start; i < collections.length; i++) {
+    const { path, migrate } = collections[i];
+    const afterId = resume && i === start && path === resume.collection ? resume.lastDocId : null;
+    const result = await migrateCollection(migration, path, migrate, { afterId, batchSize, saveProgress });
+    scanned += result.scanned;
+    if (result.migrated > 0) log.info(`    ${path}: ${result.migrated}/${result.scanned} docs migrated`, { collection: path, ...result });
+  }
+
+  await updateSyncProgress({ version: migration.version, collection: null, lastDocId: null, migrated, complete: true }, PROGRESS_DOC);
+  return { scanned, migrated };
+}
+
+/**
+ * Run every migration that has not been applied yet, in version order
+ * @param {Object} options - force (re-run applied migrations: they only touch docs below their version),
+ *   batchSize, migrations (defaults to the registered ones)
+ * @returns {Array} [{ version, description, status: 'applied' | 'skipped', scanned, migrated }]
+ */
+export async function runMigrations({ force = false, batchSize = DEFAULT_BATCH_SIZE, migrations = MIGRATIONS } = {}) {
+  const storage = getStorage();
+  const sorted = [...migrations].sort((a, b) => a.version - b.version);
+  const latest = sorted[sorted.length - 1]?.version || 0;
+  if (migrations === MIGRATIONS && latest !== SCHEMA_VERSION) {
+    throw new Error(`SCHEMA_VERSION is ${SCHEMA_VERSION} but the latest migration is ${latest} (see schema/version.js)`);
+  }
+
+  const results = [];
+  for (const migration of sorted) {
+    const applied = await storage.getDoc(APPLIED, String(migration.version));
+    if (applied && !force) {
+      results.push({ version: migration.version, description: migration.description, status: 'skipped', scanned: 0, migrated: 0 });
+      continue;
+    }
+
+    log.info(`🧬 Migration ${migration.version}: ${migration.description}`);
+    const { scanned, migrated } = await applyMigration(migration, { batchSize });
+    await storage.setDocs(APPLIED, [{
+      id: String(migration.version),
+      data: { version: migration.version, description: migration.description, scanned, migrated, appliedAt: storage.serverTimestamp() },
+    }]);
+    log.info(`  ✅ ${migrated} of ${scanned} docs migrated`, { event: 'migration_applied', version: migration.version, scanned, migrated });
+    results.push({ version: migration.version, description: migration.description, status: 'applied', scanned, migrated });
+  }
+  return results;
+}
@@ -0,0 +1,25 @@
+import { flattenRecord } from '../records.js';
+
+/**
+ * Version 1: docs stored before schema validation lack the flattened fields
+ * (match alliances, ranking/skill teams, event season and program) and the version stamp
+ */
+
+const flatten = type => data => ({ ...data, ...flattenRecord(type, data) });
+
+export default {
+  version: 1,
+  description: 'Backfill the flattened fields of schema/records.js',
+  collections: {
+    'events': flatten('event'),
+    'events/*/divisions': null,
+    'events/*/teams': null,
+    'events/*/skills': flatten('skill'),
+    'events/*/awards': null,
+    'events/*/divisions/*/rankings': flatten('ranking'),
+    'events/*/divisions/*/matches': flatten('match'),
+    'events/*/divisions/*/finalistRankings': flatten('finalistRanking'),
+    'teams': null,
+    'team_seasons': null,
+  },
+};
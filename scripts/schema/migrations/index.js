@@ -0,0 +1,16 @@
+import flattenedFields from './001-flattened-fields.js';
+
+/**
+ * Registered migrations, in version order
+ *
+ * A migration is { version, description, collections: { pattern: migrate | null } }:
+ *   pattern   collection path with `*` for any document ID (see 001-flattened-fields.js)
+ *   migrate   (data, { collection, id }) -> the doc's new data; null only stamps the version
+ *
+ * The runner passes each doc whose `schemaVersion` is below the migration's version and
+ * replaces it (not merges) with the result, so a migration can also drop fields. Migrations
+ * must be idempotent: an interrupted run applies them again to the docs of the last batch.
+ */
+export const MIGRATIONS = [
+  flattenedFields,
+];
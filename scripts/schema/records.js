@@ -0,0 +1,131 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { getQuarantineDir } from '../config.js';
+import { validateRecord } from './swagger.js';
+import { SCHEMA_VERSION } from './version.js';
+import { countQuarantined } from '../utils/run-metrics.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Record normalization
+ * Every API record is validated against its swagger.yml schema before it is written:
+ * fields are coerced to their schema types, each record gets a stable document ID and a few
+ * flattened fields the app can query without unpacking nested objects, and is stamped with
+ * `schemaVersion` (see version.js):
+ *   matches     redTeams / blueTeams (team numbers), redScore / blueScore, teamIds
+ *   rankings    teamId, teamNumber (finalist rankings and skills too)
+ *   events      seasonId, programId
+ *
+ * Records missing a required field (or a stable ID) are quarantined instead of written:
+ * they are logged, counted in the run metrics and listed in `reports/quarantine-{runId}.json`
+ * (QUARANTINE_DIR), and their stored docs are left untouched.
+ */
+
+const MAX_QUARANTINED = 500; // Records kept for the report (the count is always exact)
+
+const intId = value => (Number.isInteger(value) ? String(value) : null);
+
+function teamFields(record) {
+  return { teamId: record.team?.id ?? null, teamNumber: record.team?.name ?? null };
+}
+
+function allianceFields(match) {
+  const fields = { teamIds: [] };
+  for (const color of ['red', 'blue']) {
+    const alliance = (match.alliances || []).find(a => a?.color === color);
+    const teams = (alliance?.teams || []).map(t => t?.team).filter(Boolean);
+    fields[`${color}Teams`] = teams.map(t => t.name).filter(Boolean);
+    fields[`${color}Score`] = alliance?.score ?? null;
+    fields.teamIds.push(...teams.map(t => t.id).filter(Number.isInteger));
+  }
+  return fields;
+}
+
+// Record type -> swagger schema, stable document ID (null = none) and flattened fields
+export const RECORD_TYPES = {
+  event: { schema: 'Event', id: e => intId(e.id), flatten: e => ({ seasonId: e.season?.id ?? null, programId: e.program?.id ?? null }) },
+  division: { schema: 'Division', id: d => intId(d.id) },
+  team: { schema: 'Team', id: t => intId(t.id) },
+  match: { schema: 'MatchObj', id: m => intId(m.id), flatten: allianceFields },
+  // Rankings without an ID are keyed by team (the IDs older syncs stored them under)
+  ranking: { schema: 'Ranking', id: r => intId(r.id) ?? (intId(r.team?.id) && `team_${r.team.id}`), flatten: teamFields },
+  finalistRanking: { schema: 'Ranking', id: r => intId(r.id) ?? (intId(r.team?.id) && `team_${r.team.id}`), flatten: teamFields },
+  skill: { schema: 'Skill', id: s => intId(s.id) ?? (intId(s.team?.id) && s.type ? `${s.team.id}_${s.type}` : null), flatten: teamFields },
+  award: { schema: 'Award', id: a => intId(a.id) },
+};
+
+let quarantined = [];
+let quarantinedTotal = 0;
+
+function quarantine(type, collectionPath, id, record, errors) {
+  quarantinedTotal++;
+  countQuarantined(collectionPath);
+  if (quarantined.length < MAX_QUARANTINED) {
+    quarantined.push({ type, collection: collectionPath, id, errors, record });
+  }
+  log.warn(`  🚧 Quarantined ${type} ${id ?? '(no ID)'} in ${collectionPath}: ${errors.join('; ')}`, { event: 'record_quarantined', type, collection: collectionPath, id, errors });
+}
+
+/**
+ * Validate, coerce and flatten API records into {id, data} docs for batchWriteToFirestore
+ * @param {string} type - key of RECORD_TYPES
+ * @param {Array} records - raw API records
+ * @param {string} collectionPath - where the docs go (for the quarantine report)
+ * @returns {Object} { docs, ids } - ids also holds quarantined records' IDs, so reconciling
+ *   against them does not tombstone a stored doc because its latest version was invalid
+ */
+export function normalizeRecords(type, records, collectionPath) {
+  const def = RECORD_TYPES[type];
+  if (!def) throw new Error(`Unknown record type "${type}"`);
+
+  const docs = [];
+  const ids = [];
+  for (const record of records) {
+    const { value, errors, warnings } = validateRecord(def.schema, record);
+    const id = value && typeof value === 'object' ? def.id(value) : null;
+    if (id) ids.push(id);
+
+    if (errors.length > 0 || !id) {
+      quarantine(type, collectionPath, id, record, id ? errors : [...errors, 'no stable document ID']);
+      continue;
+    }
+    if (warnings.length > 0) {
+      log.debug(`  Schema drift in ${type} ${id}: ${warnings.join('; ')}`, { event: 'schema_drift', type, id, warnings });
+    }
+    docs.push({ id, data: { ...value, ...flattenRecord(type, value), schemaVersion: SCHEMA_VERSION } });
+  }
+  return { docs, ids };
+}
+
+/**
+ * Flattened fields of one record (also used by migrations to backfill stored docs)
+ */
+export function flattenRecord(type, record) {
+  const def = RECORD_TYPES[type];
+  return def?.flatten ? def.flatten(record) : {};
+}
+
+/**
+ * Forget quarantined records (at the start of a run)
+ */
+export function resetQuarantine() {
+  quarantined = [];
+  quarantinedTotal = 0;
+}
+
+/**
+ * Write the quarantined records to `{QUARANTINE_DIR}/quarantine-{runId}.json` and start over
+ * @returns {string|null} report path (null when nothing was quarantined)
+ */
+export function writeQuarantineReport(runId) {
+  if (quarantinedTotal === 0) return null;
+
+  const dir = getQuarantineDir();
+  mkdirSync(dir, { recursive: true });
+  const reportPath = path.join(dir, `quarantine-${runId || Date.now()}.json`);
+  writeFileSync(reportPath, JSON.stringify({ runId, total: quarantinedTotal, records: quarantined }, null, 2));
+  log.warn(`🚧 ${quarantinedTotal} invalid records quarantined, report written to ${reportPath}`, { event: 'quarantine_report', total: quarantinedTotal, path: reportPath });
+
+  resetQuarantine();
+  return reportPath;
+}
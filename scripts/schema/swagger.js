@@ -0,0 +1,186 @@
+import { readFileSync } from 'fs';
+
+/**
+ * swagger.yml component schemas
+ * Reads `components.schemas` of the RobotEvents API description bundled with the repo and
+ * validates/coerces records against them.
+ *
+ * The schemas only use a small part of YAML (nested maps, `- item` lists, inline `[a, b]` lists
+ * and quoted scalars), so they are read with the minimal parser below instead of a YAML library.
+ */
+
+const SWAGGER_FILE = new URL('../../swagger.yml', import.meta.url);
+
+let schemas = null;
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseScalar) : [];
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null' || value === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// Block of lines at one indentation level -> map or list
+function parseBlock(lines, start, indent) {
+  if (lines[start].text.startsWith('- ')) {
+    const list = [];
+    let i = start;
+    for (; i < lines.length && lines[i].indent === indent && lines[i].text.startsWith('- '); i++) {
+      list.push(parseScalar(lines[i].text.slice(2)));
+    }
+    return [list, i];
+  }
+
+  const map = {};
+  let i = start;
+  while (i < lines.length && lines[i].indent === indent) {
+    const { text } = lines[i];
+    const colon = text.indexOf(':');
+    const key = text.slice(0, colon).trim();
+    const rest = text.slice(colon + 1).trim();
+    i++;
+    if (rest) {
+      map[key] = parseScalar(rest);
+    } else if (i < lines.length && lines[i].indent > indent) {
+      [map[key], i] = parseBlock(lines, i, lines[i].indent);
+    } else {
+      map[key] = null;
+    }
+  }
+  return [map, i];
+}
+
+/**
+ * Component schemas by name (read once)
+ */
+export function loadSchemas() {
+  if (schemas) return schemas;
+
+  const source = readFileSync(SWAGGER_FILE, 'utf8').split('\n');
+  const start = source.findIndex(line => line === 'components:');
+  const lines = [];
+  let inSchemas = false;
+  for (const raw of source.slice(start + 1)) {
+    if (!raw.trim() || raw.trim().startsWith('#')) continue;
+    const indent = raw.length - raw.trimStart().length;
+    if (indent === 0) break;
+    if (indent === 2) {
+      inSchemas = raw.trim() === 'schemas:';
+      continue;
+    }
+    if (inSchemas) lines.push({ indent, text: raw.trim() });
+  }
+
+  schemas = lines.length > 0 ? parseBlock(lines, 0, lines[0].indent)[0] : {};
+  return schemas;
+}
+
+function resolve(schema) {
+  while (schema?.$ref) schema = loadSchemas()[schema.$ref.split('/').pop()];
+  return schema || {};
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Coerce a value to its schema, collecting what could not be
+ * - numeric strings become integers/numbers, 'true'/'false' and 0/1 become booleans, numbers become strings
+ * - a bare ID where an object with an `id` is expected (`team: 1234`) becomes `{ id: 1234 }`
+ * - unknown properties are kept as they are; values that cannot be coerced are kept and reported
+ * - null is accepted for any field that is not required (the API sends null for unset optional fields)
+ * @param {Array} issues - receives { path, message, required } (required: a required field is missing or mistyped)
+ */
+function coerce(schemaOrRef, value, path, issues, required = false) {
+  const schema = resolve(schemaOrRef);
+  if (value === null || value === undefined) {
+    if (required) issues.push({ path, message: 'is required', required });
+    return value;
+  }
+
+  const fail = expected => {
+    issues.push({ path, message: `expected ${expected}, got ${typeOf(value)} ${JSON.stringify(value)}`.slice(0, 200), required });
+    return value;
+  };
+
+  switch (schema.type) {
+    case 'integer': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return Number.isInteger(n) ? n : fail('integer');
+    }
+    case 'number': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof n === 'number' && Number.isFinite(n) ? n : fail('number');
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return fail('boolean');
+    case 'string': {
+      const s = typeof value === 'number' ? String(value) : value;
+      if (typeof s !== 'string') return fail('string');
+      if (schema.format === 'date-time' && s && Number.isNaN(Date.parse(s))) issues.push({ path, message: `invalid date-time "${s}"`, required });
+      if (schema.enum && !schema.enum.includes(s)) issues.push({ path, message: `"${s}" is not one of ${schema.enum.join(', ')}`, required: false });
+      return s;
+    }
+    case 'array':
+      if (!Array.isArray(value)) return fail('array');
+      return value.map((item, i) => coerce(schema.items, item, `${path}[${i}]`, issues));
+    default:
+      break;
+  }
+
+  if (!schema.properties && !schema.additionalProperties) return value;
+
+  if (typeOf(value) !== 'object') {
+    if (schema.properties?.id && (typeof value === 'number' || typeof value === 'string')) {
+      return coerce(schema, { id: value }, path, issues, required);
+    }
+    return fail('object');
+  }
+
+  const out = { ...value };
+  const requiredKeys = new Set(schema.required || []);
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (key in out || requiredKeys.has(key)) {
+      const coerced = coerce(property, out[key], path ? `${path}.${key}` : key, issues, requiredKeys.has(key));
+      if (coerced !== undefined) out[key] = coerced;
+    }
+  }
+  if (schema.additionalProperties) {
+    for (const key of Object.keys(out)) {
+      if (!schema.properties?.[key]) out[key] = coerce(schema.additionalProperties, out[key], path ? `${path}.${key}` : key, issues);
+    }
+  }
+  return out;
+}
+
+/**
+ * Validate and coerce one record against a component schema
+ * @param {string} name - schema name (e.g. 'MatchObj')
+ * @returns {Object} { value, errors, warnings } - errors: problems with the record's own required
+ *   fields (the record should not be stored); warnings: everything else (the record is stored as coerced)
+ */
+export function validateRecord(name, record) {
+  if (!loadSchemas()[name]) throw new Error(`Unknown schema "${name}"`);
+  const issues = [];
+  const value = coerce({ $ref: `#/components/schemas/${name}` }, record, '', issues, true);
+
+  const errors = [];
+  const warnings = [];
+  for (const issue of issues) {
+    // Only the record's top-level required fields make it invalid; nested drift is reported
+    const topLevel = issue.path === '' || !/[.[]/.test(issue.path);
+    const text = `${issue.path || name} ${issue.message}`;
+    (issue.required && topLevel ? errors : warnings).push(text);
+  }
+  return { value, errors, warnings };
+}
@@ -0,0 +1,7 @@
+/**
+ * Shape version of the synced docs (events, their subcollections and the master `teams` list)
+ * Every doc is written with `schemaVersion: SCHEMA_VERSION`. Changing the shape of a stored doc
+ * means adding a migration under schema/migrations/ and bumping this to its version, so the
+ * migration runner (scripts/migrate.js) can bring older docs up to date.
+ */
+export const SCHEMA_VERSION = 1;
@@ -0,0 +1,84 @@
+import { ROBOTEVENTS_API_BASE } from '../config.js';
+import { fetchAllPages } from '../utils/pagination.js';
+import { apiGet } from '../utils/api-client.js';
+
+/**
+ * Scrape awards for a given event
+ */
+export async function scrapeEventAwards(eventId) {
+  const endpoint = `${ROBOTEVENTS_API_BASE}/events/${eventId}/awards`;
+  
+  const fetchPage = async (params) => {
+    return await apiGet(endpoint, params);
+  };
+
+  const awards = await fetchAllPages(fetchPage);
+  return awards;
+}
+
+/**
+ * Group an event's awards by winning team for the per-team rollup.
+ * Returns a map of teamId -> [{id, data}] ready for batchWriteToFirestore.
+ */
+export function extractTeamAwards(awards, event) {
+  const byTeam = {};
+
+  for (const award of awards) {
+    for (const winner of award.teamWinners || []) {
+      const teamId = winner.team?.id;
+      if (!teamId) continue;
+
+      if (!byTeam[teamId]) byTeam[teamId] = [];
+      byTeam[teamId].push({
+        id: String(award.id),
+        data: {
+          awardId: award.id,
+          title: award.title || null,
+          order: award.order ?? null,
+          designation: award.designation || null,
+          classification: award.classification || null,
+          qualifications: award.qualifications || [],
+          team: winner.team,
+          division: winner.division || null,
+          event: {
+            id: event.id,
+            sku: event.sku || null,
+            name: event.name || null,
+            start: event.start || null,
+          },
+          season: event.season || null,
+          program: event.program || null,
+        },
+      });
+    }
+  }
+
+  return byTeam;
+}
+
+/**
+ * Rollup entries of previously stored awards that the current awards no longer back
+ * (a corrected winner, or an award dropped upstream).
+ * Returns a map of teamId -> [awardId].
+ */
+export function staleTeamAwards(previousAwards, awards) {
+  const current = new Set();
+  for (const award of awards) {
+    for (const winner of award.teamWinners || []) {
+      if (winner.team?.id) current.add(`${winner.team.id}/${award.id}`);
+    }
+  }
+
+  const stale = {};
+  for (const award of previousAwards) {
+    for (const winner of award.teamWinners || []) {
+      const teamId = winner.team?.id;
+      if (!teamId || current.has(`${teamId}/${award.id}`)) continue;
+
+      if (!stale[teamId]) stale[teamId] = [];
+      stale[teamId].push(String(award.id));
+    }
+  }
+
+  return stale;
+}
@@ -1,5 +1,5 @@
 import { ROBOTEVENTS_API_BASE } from '../config.js';
-import { fetchAllPages } from '../utils/pagination.js';
+import { fetchAllPages, iterateAllPages } from '../utils/pagination.js';
 import { apiGet } from '../utils/api-client.js';
 
 /**
@@ -15,3 +15,31 @@ export async function scrapeEvents(seasonId) {
   const events = await fetchAllPages(fetchPage);
   return events;
 }
+
+/**
+ * Stream events for a given season page by page (async iterator)
+ */
+export function iterateEvents(seasonId) {
+  const endpoint = `${ROBOTEVENTS_API_BASE}/seasons/${seasonId}/events`;
+  
+  const fetchPage = async (params) => {
+    return await apiGet(endpoint, params);
+  };
+
+  return iterateAllPages(fetchPage);
+}
+
+/**
+ * Search events across seasons with the /events filters, e.g.
+ * { season: [190], region: 'Texas', level: ['State'], start, end, eventTypes: ['tournament'], sku: ['RE-V5RC-24-1234'] }
+ */
+export async function searchEvents(filters = {}) {
+  const endpoint = `${ROBOTEVENTS_API_BASE}/events`;
+
+  const fetchPage = async (params) => {
+    return await apiGet(endpoint, params);
+  };
+
+  const events = await fetchAllPages(fetchPage, filters);
+  return events;
+}
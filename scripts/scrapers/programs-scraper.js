@@ -0,0 +1,17 @@
+import { ROBOTEVENTS_API_BASE } from '../config.js';
+import { fetchAllPages } from '../utils/pagination.js';
+import { apiGet } from '../utils/api-client.js';
+
+/**
+ * Scrape all programs (V5RC, VIQRC, VURC, ...)
+ */
+export async function scrapePrograms() {
+  const endpoint = `${ROBOTEVENTS_API_BASE}/programs`;
+  
+  const fetchPage = async (params) => {
+    return await apiGet(endpoint, params);
+  };
+
+  const programs = await fetchAllPages(fetchPage);
+  return programs;
+}
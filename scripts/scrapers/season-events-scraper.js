@@ -1,4 +1,4 @@
-import { scrapeEvents } from './events-scraper.js';
+import { scrapeEvents, iterateEvents } from './events-scraper.js';
 
 /**
  * Scrape all events for a season
@@ -8,3 +8,10 @@ export async function scrapeSeasonEvents(seasonId) {
   return await scrapeEvents(seasonId);
 }
 
+/**
+ * Stream all events for a season without buffering the whole list
+ *   for await (const event of streamSeasonEvents(seasonId)) { ... }
+ */
+export function streamSeasonEvents(seasonId) {
+  return iterateEvents(seasonId);
+}
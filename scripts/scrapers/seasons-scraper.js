@@ -0,0 +1,17 @@
+import { ROBOTEVENTS_API_BASE } from '../config.js';
+import { fetchAllPages } from '../utils/pagination.js';
+import { apiGet } from '../utils/api-client.js';
+
+/**
+ * Scrape seasons, optionally filtered (e.g. { program: [1, 4], active: true })
+ */
+export async function scrapeSeasons(filters = {}) {
+  const endpoint = `${ROBOTEVENTS_API_BASE}/seasons`;
+  
+  const fetchPage = async (params) => {
+    return await apiGet(endpoint, params);
+  };
+
+  const seasons = await fetchAllPages(fetchPage, filters);
+  return seasons;
+}
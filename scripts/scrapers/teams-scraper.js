@@ -0,0 +1,31 @@
+import { ROBOTEVENTS_API_BASE } from '../config.js';
+import { fetchAllPages } from '../utils/pagination.js';
+import { apiGet } from '../utils/api-client.js';
+
+/**
+ * Scrape teams, optionally filtered (e.g. { number: ['1234A'], program: [1] })
+ */
+export async function scrapeTeams(filters = {}) {
+  const endpoint = `${ROBOTEVENTS_API_BASE}/teams`;
+  
+  const fetchPage = async (params) => {
+    return await apiGet(endpoint, params);
+  };
+
+  const teams = await fetchAllPages(fetchPage, filters);
+  return teams;
+}
+
+/**
+ * Scrape the events a team is registered for (e.g. { season: [190], start, end, level: ['State'] })
+ */
+export async function scrapeTeamEvents(teamId, filters = {}) {
+  const endpoint = `${ROBOTEVENTS_API_BASE}/teams/${teamId}/events`;
+  
+  const fetchPage = async (params) => {
+    return await apiGet(endpoint, params);
+  };
+
+  const events = await fetchAllPages(fetchPage, filters);
+  return events;
+}
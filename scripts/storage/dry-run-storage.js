@@ -0,0 +1,74 @@
+import { meterReads, recordDocWrite, recordLiveUpdate } from '../utils/write-plan.js';
+
+/**
+ * Dry-run wrapper around a storage backend (see --dry-run in README)
+ * Reads go to the real backend and are metered; writes are recorded in the write plan
+ * (utils/write-plan.js) and never reach the backend.
+ *
+ * The sentinels are readable markers instead of the backend's own, so the JSON dump shows them.
+ */
+
+const SERVER_TIMESTAMP = '(serverTimestamp)';
+const DELETE_FIELD = '(deleteField)';
+
+function byteSize(value) {
+  return value == null ? 0 : Buffer.byteLength(JSON.stringify(value));
+}
+
+export function createDryRunStorage(backend) {
+  return {
+    name: `${backend.name} (dry run)`,
+
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    deleteField: () => DELETE_FIELD,
+
+    async getDoc(collectionPath, id) {
+      meterReads({ docs: 1 });
+      return backend.getDoc(collectionPath, id);
+    },
+
+    async getDocs(collectionPath, ids) {
+      meterReads({ docs: ids.length });
+      return backend.getDocs(collectionPath, ids);
+    },
+
+    async hasDocs(collectionPath) {
+      meterReads({ docs: 1 });
+      return backend.hasDocs(collectionPath);
+    },
+
+    async listDocs(collectionPath, options) {
+      const docs = await backend.listDocs(collectionPath, options);
+      // Firestore bills one read for a query that matches nothing
+      meterReads({ docs: Math.max(1, docs.length) });
+      return docs;
+    },
+
+    async setDocs(collectionPath, docs) {
+      for (const { id, data } of docs) recordDocWrite(collectionPath, 'set', id, data);
+    },
+
+    async createDoc(collectionPath, id, data) {
+      meterReads({ docs: 1 });
+      if (await backend.getDoc(collectionPath, id)) return false;
+      recordDocWrite(collectionPath, 'create', id, data);
+      return true;
+    },
+
+    async deleteDocs(collectionPath, ids) {
+      for (const id of ids) recordDocWrite(collectionPath, 'delete', id);
+    },
+
+    async readLive(livePath, options) {
+      const value = await backend.readLive(livePath, options);
+      meterReads({ bytes: byteSize(value) });
+      return value;
+    },
+
+    async updateLive(updates) {
+      recordLiveUpdate(updates);
+    },
+
+    async flush() {},
+  };
+}
@@ -0,0 +1,132 @@
+import { FieldPath, FieldValue } from 'firebase-admin/firestore';
+import { initializeFirebase } from '../config.js';
+
+/**
+ * Firestore + Realtime Database storage backend (production)
+ */
+
+const BATCH_SIZE = 500; // Firestore batch limit
+const COMMIT_TIMEOUT_MS = 10000;
+const IN_QUERY_LIMIT = 30; // Firestore 'in' filter limit
+const ALREADY_EXISTS = 6; // gRPC status code
+const DOC_ID = '__name__'; // orderBy value for document ID order (see storage/index.js)
+
+function getField(data, field) {
+  return field.split('.').reduce((v, key) => (v == null ? undefined : v[key]), data);
+}
+
+// Timestamps compare through valueOf()
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+async function commitWithTimeout(batch) {
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error(`Firestore commit timed out after ${COMMIT_TIMEOUT_MS / 1000}s`)), COMMIT_TIMEOUT_MS)
+  );
+  await Promise.race([batch.commit(), timeoutPromise]);
+}
+
+export function createFirebaseStorage() {
+  const { db, rtdb } = initializeFirebase();
+
+  return {
+    name: 'firebase',
+
+    serverTimestamp: () => FieldValue.serverTimestamp(),
+    deleteField: () => FieldValue.delete(),
+
+    async getDoc(collectionPath, id) {
+      const doc = await db.collection(collectionPath).doc(String(id)).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async getDocs(collectionPath, ids) {
+      if (ids.length === 0) return [];
+      const snapshots = await db.getAll(...ids.map(id => db.collection(collectionPath).doc(String(id))));
+      return snapshots.map(s => (s.exists ? s.data() : null));
+    },
+
+    async hasDocs(collectionPath) {
+      const snapshot = await db.collection(collectionPath).limit(1).get();
+      return !snapshot.empty;
+    },
+
+    async listDocs(collectionPath, { where = [], fields = null, orderBy = null, startAfter = null, limit = null } = {}) {
+      const inFilter = where.find(([, op]) => op === 'in');
+      const values = inFilter ? inFilter[2] : [null];
+      const docs = [];
+
+      // 'in' filters are split into chunks the API accepts
+      for (let i = 0; i < values.length; i += IN_QUERY_LIMIT) {
+        let query = db.collection(collectionPath);
+        for (const [field, op, value] of where) {
+          query = op === 'in'
+            ? query.where(field, 'in', values.slice(i, i + IN_QUERY_LIMIT))
+            : query.where(field, op, value);
+        }
+        if (orderBy) query = query.orderBy(orderBy === DOC_ID ? FieldPath.documentId() : orderBy);
+        if (orderBy && startAfter !== null) query = query.startAfter(startAfter);
+        if (limit) query = query.limit(limit);
+        if (fields) query = fields.length > 0 ? query.select(...fields) : query.select(FieldPath.documentId());
+        const snapshot = await query.get();
+        docs.push(...snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })));
+      }
+
+      // Each chunk is ordered and limited on its own
+      if (values.length <= IN_QUERY_LIMIT) return docs;
+      const key = doc => (orderBy === DOC_ID ? doc.id : getField(doc.data, orderBy));
+      if (orderBy) docs.sort((a, b) => compareValues(key(a), key(b)));
+      return limit ? docs.slice(0, limit) : docs;
+    },
+
+    async setDocs(collectionPath, docs, { merge = true } = {}) {
+      for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        for (const { id, data } of docs.slice(i, i + BATCH_SIZE)) {
+          batch.set(db.collection(collectionPath).doc(String(id)), data, { merge });
+        }
+        await commitWithTimeout(batch);
+      }
+    },
+
+    async createDoc(collectionPath, id, data) {
+      try {
+        await db.collection(collectionPath).doc(String(id)).create(data);
+        return true;
+      } catch (err) {
+        if (err.code === ALREADY_EXISTS) return false;
+        throw err;
+      }
+    },
+
+    async deleteDocs(collectionPath, ids, { recursive = false } = {}) {
+      if (recursive) {
+        for (const id of ids) {
+          await db.recursiveDelete(db.collection(collectionPath).doc(String(id)));
+        }
+        return;
+      }
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        for (const id of ids.slice(i, i + BATCH_SIZE)) {
+          batch.delete(db.collection(collectionPath).doc(String(id)));
+        }
+        await batch.commit();
+      }
+    },
+
+    async readLive(path, { endAtKey = null } = {}) {
+      const ref = endAtKey ? rtdb.ref(path).orderByKey().endAt(endAtKey) : rtdb.ref(path);
+      const snapshot = await ref.once('value');
+      return snapshot.val();
+    },
+
+    async updateLive(updates) {
+      if (Object.keys(updates).length === 0) return;
+      await rtdb.ref().update(updates);
+    },
+
+    async flush() {},
+  };
+}
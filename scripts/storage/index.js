@@ -0,0 +1,49 @@
+import { getStorageBackend, isDryRun } from '../config.js';
+import { createFirebaseStorage } from './firebase-storage.js';
+import { createJsonStorage } from './json-storage.js';
+import { createDryRunStorage } from './dry-run-storage.js';
+
+/**
+ * Storage abstraction used by every sync script.
+ * A backend implements:
+ *
+ *   name                                   'firebase' | 'json'
+ *   getDoc(collection, id)                 doc data or null
+ *   getDocs(collection, ids)               [data | null] in the order of ids
+ *   hasDocs(collection)                    true if the collection has at least one doc
+ *   listDocs(collection, { where, fields, orderBy, startAfter, limit })
+ *                                          [{ id, data }]; where = [[field, '==' | 'in' | '<' | '<=' | '>' | '>=', value]],
+ *                                          fields = projection ([] = IDs only), orderBy = field or DOC_ID (ascending),
+ *                                          startAfter = cursor value of orderBy (a doc ID for DOC_ID), limit
+ *   setDocs(collection, [{ id, data }], { merge = true })
+ *   createDoc(collection, id, data)        false if the doc already exists
+ *   deleteDocs(collection, ids, { recursive })
+ *   readLive(path, { endAtKey })           live tree value (optionally only child keys <= endAtKey)
+ *   updateLive({ path: value | null })     atomic multi-path update, null removes
+ *   serverTimestamp(), deleteField()       sentinels for setDocs/createDoc data
+ *   flush()                                persist pending writes
+ *
+ * The backend is chosen with --storage=<name> or STORAGE_BACKEND (default 'firebase').
+ * With --dry-run it is wrapped so reads still happen but writes only land in the write plan.
+ */
+
+// orderBy value for document ID order (Firestore's name for the ID field)
+export const DOC_ID = '__name__';
+
+let storage = null;
+
+export function getStorage() {
+  if (!storage) {
+    const backend = getStorageBackend();
+    storage = backend === 'json' ? createJsonStorage() : createFirebaseStorage();
+    if (isDryRun()) storage = createDryRunStorage(storage);
+  }
+  return storage;
+}
+
+/**
+ * Persist pending writes of the active backend (no-op if none was created)
+ */
+export async function flushStorage() {
+  if (storage) await storage.flush();
+}
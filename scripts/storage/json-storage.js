@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import { getStorageDir } from '../config.js';
+
+/**
+ * Local JSON-file storage backend (development and tests, no Firebase project needed)
+ * Layout under STORAGE_DIR:
+ *   firestore/<collection path>.json   { docId: data } per collection (e.g. firestore/events/123/divisions.json)
+ *   rtdb.json                          the whole Realtime Database tree
+ *
+ * Writes are kept in memory and written back every few seconds and on flush().
+ * Timestamps are stored as ISO strings.
+ */
+
+const FLUSH_INTERVAL_MS = 5000;
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+const DELETE_FIELD = Symbol('deleteField');
+const DOC_ID = '__name__'; // orderBy value for document ID order (see storage/index.js)
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Replace sentinels and Dates with their stored form (deleteField is handled by merge)
+function resolveValue(value, now) {
+  if (value === SERVER_TIMESTAMP) return now;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(v => resolveValue(v, now));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v !== DELETE_FIELD && v !== undefined) out[key] = resolveValue(v, now);
+    }
+    return out;
+  }
+  return value;
+}
+
+// Firestore `set(..., { merge: true })` semantics: nested maps merge, everything else replaces
+function mergeInto(target, data, now) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === DELETE_FIELD) {
+      delete target[key];
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value, now);
+    } else if (value !== undefined) {
+      target[key] = resolveValue(value, now);
+    }
+  }
+  return target;
+}
+
+function getField(data, field) {
+  return field.split('.').reduce((v, key) => (v == null ? undefined : v[key]), data);
+}
+
+// Range filters compare stored values (ISO strings for timestamps) with the filter value in stored form
+const RANGE_FILTERS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+function matchesWhere(data, where) {
+  return where.every(([field, op, value]) => {
+    const actual = getField(data, field);
+    if (op === '==') return actual === value;
+    if (op === 'in') return value.includes(actual);
+    if (RANGE_FILTERS[op]) return actual !== undefined && actual !== null && RANGE_FILTERS[op](actual, resolveValue(value));
+    throw new Error(`JSON storage does not support the '${op}' filter`);
+  });
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function project(data, fields) {
+  if (!fields) return clone(data);
+  const out = {};
+  for (const field of fields) {
+    const value = getField(data, field);
+    if (value !== undefined) out[field] = clone(value);
+  }
+  return out;
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+function splitPath(p) {
+  return String(p).split('/').filter(Boolean);
+}
+
+export function createJsonStorage(dir = getStorageDir()) {
+  const collectionsDir = path.join(dir, 'firestore');
+  const rtdbFile = path.join(dir, 'rtdb.json');
+
+  const collections = new Map(); // collection path -> { docs, dirty }
+  let rtdb = null;
+  let rtdbDirty = false;
+  let lastFlush = Date.now();
+
+  function collectionFile(collectionPath) {
+    return path.join(collectionsDir, `${splitPath(collectionPath).join('/')}.json`);
+  }
+
+  function load(collectionPath) {
+    const key = splitPath(collectionPath).join('/');
+    let entry = collections.get(key);
+    if (!entry) {
+      entry = { docs: readJson(collectionFile(key), {}), dirty: false };
+      collections.set(key, entry);
+    }
+    return entry;
+  }
+
+  function loadRtdb() {
+    if (rtdb === null) rtdb = readJson(rtdbFile, {});
+    return rtdb;
+  }
+
+  function flushSync() {
+    for (const [key, entry] of collections) {
+      if (entry.dirty) writeJson(collectionFile(key), entry.docs);
+    }
+    // Keep memory bounded on full syncs: clean collections are re-read on demand
+    collections.clear();
+    if (rtdbDirty) writeJson(rtdbFile, rtdb);
+    rtdbDirty = false;
+    lastFlush = Date.now();
+  }
+
+  function maybeFlush() {
+    if (Date.now() - lastFlush >= FLUSH_INTERVAL_MS) flushSync();
+  }
+
+  function setLive(pathKey, value) {
+    const keys = splitPath(pathKey);
+    if (keys.length === 0) {
+      rtdb = isPlainObject(value) ? clone(value) : {};
+      return;
+    }
+
+    const parents = [];
+    let node = loadRtdb();
+    for (const key of keys.slice(0, -1)) {
+      if (!isPlainObject(node[key])) {
+        if (value === null) return; // Nothing to delete
+        node[key] = {};
+      }
+      parents.push([node, key]);
+      node = node[key];
+    }
+
+    const last = keys[keys.length - 1];
+    if (value === null) {
+      delete node[last];
+      // RTDB has no empty objects: prune emptied parents
+      for (let i = parents.length - 1; i >= 0; i--) {
+        const [parent, key] = parents[i];
+        if (Object.keys(parent[key]).length > 0) break;
+        delete parent[key];
+      }
+    } else {
+      node[last] = clone(resolveValue(value, new Date().toISOString()));
+    }
+  }
+
+  return {
+    name: 'json',
+
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    deleteField: () => DELETE_FIELD,
+
+    async getDoc(collectionPath, id) {
+      return clone(load(collectionPath).docs[String(id)]) ?? null;
+    },
+
+    async getDocs(collectionPath, ids) {
+      const { docs } = load(collectionPath);
+      return ids.map(id => clone(docs[String(id)]) ?? null);
+    },
+
+    async hasDocs(collectionPath) {
+      return Object.keys(load(collectionPath).docs).length > 0;
+    },
+
+    async listDocs(collectionPath, { where = [], fields = null, orderBy = null, startAfter = null, limit = null } = {}) {
+      let entries = Object.entries(load(collectionPath).docs).filter(([, data]) => matchesWhere(data, where));
+      // Like Firestore, ordering by a field leaves out docs without it
+      if (orderBy) {
+        const key = orderBy === DOC_ID ? ([id]) => id : ([, data]) => getField(data, orderBy);
+        entries = entries
+          .filter(entry => key(entry) !== undefined)
+          .sort((a, b) => compareValues(key(a), key(b)));
+        if (startAfter !== null) entries = entries.filter(entry => compareValues(key(entry), resolveValue(startAfter)) > 0);
+      }
+      if (limit) entries = entries.slice(0, limit);
+      return entries.map(([id, data]) => ({ id, data: project(data, fields) }));
+    },
+
+    async setDocs(collectionPath, docs, { merge = true } = {}) {
+      if (docs.length === 0) return;
+      const entry = load(collectionPath);
+      const now = new Date().toISOString();
+      for (const { id, data } of docs) {
+        const key = String(id);
+        entry.docs[key] = merge && entry.docs[key] ? mergeInto(entry.docs[key], data, now) : resolveValue(data, now);
+      }
+      entry.dirty = true;
+      maybeFlush();
+    },
+
+    async createDoc(collectionPath, id, data) {
+      const entry = load(collectionPath);
+      if (entry.docs[String(id)]) return false;
+      entry.docs[String(id)] = resolveValue(data, new Date().toISOString());
+      entry.dirty = true;
+      maybeFlush();
+      return true;
+    },
+
+    async deleteDocs(collectionPath, ids, { recursive = false } = {}) {
+      if (ids.length === 0) return;
+      const entry = load(collectionPath);
+      for (const id of ids) {
+        delete entry.docs[String(id)];
+        if (recursive) {
+          // Subcollections live in a directory named after the doc
+          const docDir = path.join(collectionsDir, ...splitPath(collectionPath), String(id));
+          fs.rmSync(docDir, { recursive: true, force: true });
+          const prefix = `${[...splitPath(collectionPath), String(id)].join('/')}/`;
+          for (const key of collections.keys()) {
+            if (key.startsWith(prefix)) collections.delete(key);
+          }
+        }
+      }
+      entry.dirty = true;
+      maybeFlush();
+    },
+
+    async readLive(livePath, { endAtKey = null } = {}) {
+      let node = loadRtdb();
+      for (const key of splitPath(livePath)) {
+        node = isPlainObject(node) ? node[key] : undefined;
+        if (node === undefined) return null;
+      }
+      if (endAtKey && isPlainObject(node)) {
+        const entries = Object.entries(node).filter(([key]) => key <= endAtKey);
+        return entries.length > 0 ? clone(Object.fromEntries(entries)) : null;
+      }
+      return clone(node);
+    },
+
+    async updateLive(updates) {
+      const paths = Object.keys(updates);
+      if (paths.length === 0) return;
+      loadRtdb();
+      for (const p of paths) setLive(p, updates[p]);
+      rtdbDirty = true;
+      maybeFlush();
+    },
+
+    async flush() {
+      flushSync();
+    },
+  };
+}
@@ -1,211 +1,527 @@
-import { initializeFirebase, getTargetSeasonId } from './config.js';
-import { scrapeEvents } from './scrapers/events-scraper.js';
+import { appendFileSync } from 'fs';
+import { getSyncTimeBudgetMs, getCheckpointInterval, getMaxConcurrency, isDryRun } from './config.js';
+import { iterateEvents, searchEvents } from './scrapers/events-scraper.js';
 import { scrapeEventDetails, extractDivisions } from './scrapers/event-details-scraper.js';
-import { scrapeEventTeams } from './scrapers/event-teams-scraper.js';
-import { scrapeEventMatches } from './scrapers/event-matches-scraper.js';
-import { scrapeEventRankings } from './scrapers/event-rankings-scraper.js';
-import { scrapeEventFinalistRankings } from './scrapers/event-finalist-rankings-scraper.js';
-import { scrapeEventSkills } from './scrapers/event-skills-scraper.js';
-import { batchWriteToFirestore, updateRealtimeDB, updateSyncProgress, deepEqual, stripNulls } from './utils/firebase-helpers.js';
+import { resolveTargetSeasonIds } from './utils/season-resolver.js';
+import { notifyFollowers } from './notifier/notifier.js';
+import { dispatchChanges, dispatchAwards, flushWebhooks } from './webhooks/dispatcher.js';
+import { getHealthyKeyCount, getKeyStats } from './utils/api-client.js';
+import { runPool } from './utils/worker-pool.js';
+import { parseSyncArgs, findEventsByRef, findTeamEvents, SYNC_USAGE } from './utils/sync-targets.js';
+import { printWritePlan } from './utils/write-plan.js';
+import { getStorage, flushStorage } from './storage/index.js';
+import { normalizeRecords, resetQuarantine, writeQuarantineReport } from './schema/records.js';
+import { isEventLive } from './utils/live-window.js';
+import { summarizeMatch, summarizeRanking, detectMatchChanges, detectRankingChanges, buildChangeRecords, writeChangesToFirestore } from './utils/change-feed.js';
+import { batchWriteToFirestore, updateRealtimeDB, updateSyncProgress, getSyncProgress, reconcileCollection, removeFromRealtimeDB } from './utils/firebase-helpers.js';
+import { DIVISIONS, EVENT_COLLECTIONS, DIVISION_COLLECTIONS } from './utils/collections.js';
+import { recordTeamEvent, writeTeamSeasons } from './utils/team-seasons.js';
+import { getStoredAwards, writeTeamAwards } from './utils/team-awards.js';
+import { setCacheModeOverride, flushResponseCache } from './utils/response-cache.js';
+import { log, isJsonLogs } from './utils/logger.js';
+import { startRun, finishRun, countEvent } from './utils/run-metrics.js';
+
+/**
+ * Number of events (or divisions) processed in parallel.
+ * One worker per healthy API key, capped by SYNC_MAX_CONCURRENCY.
+ */
+export function getSyncConcurrency() {
+  return Math.max(1, Math.min(getMaxConcurrency(), getHealthyKeyCount()));
+}
+
+// Synced subcollections by name: paths, scrapers and record types shared with the audit (utils/collections.js)
+const EVENT = Object.fromEntries(EVENT_COLLECTIONS.map(def => [def.name, def]));
+const DIVISION = Object.fromEntries(DIVISION_COLLECTIONS.map(def => [def.name, def]));
+
+// Events being synced right now (event pool, finalize-live): their division pools share the sync concurrency
+let eventsInFlight = 0;
+
+/**
+ * Divisions of one event processed in parallel: the sync concurrency split between the events in flight,
+ * so nested event and division pools never run more tasks than there are workers
+ */
+function getDivisionConcurrency() {
+  return Math.max(1, Math.floor(getSyncConcurrency() / Math.max(1, eventsInFlight)));
+}
 
 /**
  * Main sync function
- * @param {Object} options - mode and cache
+ * @param {Object} options - mode, cache, timeBudgetMs, filters (/events query parameters, see
+ *   sync-targets.js) and target ({ event: idOrSku } or { team: number }: on-demand sync of just those
+ *   events, always re-synced, never checkpointed) and apiCache (API_CACHE mode for this run; targets
+ *   default to 'refresh', so every cached API response is revalidated)
+ * @returns {Object} { complete, runId } - complete is false when a full/new run stopped on its time budget
  */
 export async function sync(options = {}) {
-  const mode = options.mode || (process.argv.includes('--live') ? 'live' : process.argv.includes('--new') ? 'new' : 'full');
+  const target = options.target || null;
+  const filters = options.filters || {};
+  const mode = target ? 'full' : options.mode || (process.argv.includes('--live') ? 'live' : process.argv.includes('--new') ? 'new' : 'full');
   const cache = options.cache || {}; // In-memory cache to prevent redundant writes
+  const startedAt = Date.now();
+  const timeBudgetMs = options.timeBudgetMs !== undefined ? options.timeBudgetMs : getSyncTimeBudgetMs();
+  const deadline = (mode !== 'live' && timeBudgetMs) ? startedAt + timeBudgetMs : null;
 
-  console.log(`Starting RobotEvents Firebase Sync [MODE: ${mode.toUpperCase()}]...`);
-  
-  // Initialize Firebase
-  const { db } = initializeFirebase();
-  console.log('Firebase initialized');
+  const label = target ? (target.event ? `event ${target.event}` : `team ${target.team}`) : null;
+  log.info(`Starting RobotEvents Firebase Sync [MODE: ${mode.toUpperCase()}]${label ? ` for ${label}` : ''}...`);
+  if (Object.keys(filters).length > 0) log.info(`Event filters: ${JSON.stringify(filters)}`);
 
-  const targetSeasonId = getTargetSeasonId();
-  if (!targetSeasonId) {
-    console.error('TARGET_SEASON_ID not set. Please set it in environment variables.');
-    process.exit(1);
-  }
+  // Initialize the storage backend (Firebase unless --storage/STORAGE_BACKEND says otherwise)
+  const storage = getStorage();
+  log.info(`Storage backend: ${storage.name}`);
 
-  console.log(`Target season ID: ${targetSeasonId}`);
+  const runId = startRun({ mode, target: label, filters });
+  resetQuarantine();
+  setCacheModeOverride(options.apiCache || (target ? 'refresh' : null));
+  log.info(`Run ID: ${runId}`);
+  let runStatus = 'failed';
+  let runError = null;
 
   try {
-    // Fetch all events for the season
-    console.log(`Fetching events for season ${targetSeasonId}...`);
-    let events = await scrapeEvents(targetSeasonId);
-    console.log(`Found ${events.length} total events in season`);
+    // Resolve seasons (explicit IDs + active seasons of configured programs)
+    // The programs/seasons catalog is only refreshed outside live mode
+    // A single event needs no season
+    const seasonIds = target?.event ? [] : await resolveTargetSeasonIds({ storeCatalog: mode !== 'live' && !target });
+    if (seasonIds.length === 0 && !target?.event) {
+      throw new Error('No seasons to sync. Set TARGET_SEASON_ID and/or TARGET_PROGRAMS in environment variables.');
+    }
+
+    if (seasonIds.length > 0) log.info(`Target season IDs: ${seasonIds.join(', ')}`);
 
     const now = new Date();
-    const todayStr = now.toISOString().split('T')[0];
 
-    // Filter events based on mode
-    if (mode === 'live') {
-      events = events.filter(event => {
-        const start = event.start ? new Date(event.start).toISOString().split('T')[0] : '';
-        const end = event.end ? new Date(event.end).toISOString().split('T')[0] : '';
-        // Event is "Live" if today is between start and end date
-        return todayStr >= start && todayStr <= end;
-      });
-      console.log(`📍 Found ${events.length} events happening today.`);
-    }
+    // Fetch all events for every season (only the live ones in live mode, or just the target's)
+    const events = target
+      ? await findTargetEvents(target, seasonIds, filters)
+      : mode === 'live'
+        ? await findLiveEvents({ cache, now, seasonIds, filters })
+        : await fetchSeasonEvents(seasonIds, filters);
 
     let lastProcessedId = null;
 
-    // Process each event
-    for (let i = 0; i < events.length; i++) {
-      const event = events[i];
-      const eventId = String(event.id || event.sku);
-      
-      console.log(`\n[${i + 1}/${events.length}] Checking event ${eventId}: ${event.name || 'Unknown'}`);
-
-      // SKIP LOGIC for 'new' and 'full' modes
-      if (mode !== 'live') {
-        try {
-          const doc = await db.collection('events').doc(eventId).get();
-          
-          if (doc.exists) {
-            // In 'new' mode, if we have metadata, we are DONE with this event.
-            if (mode === 'new') {
-              process.stdout.write('.');
-              if ((i + 1) % 50 === 0) console.log(` [${i + 1}/${events.length}]`); 
-              continue;
-            }
-
-            // In 'full' mode, we only skip if it's in the past AND "perfect"
-            const eventEndDate = event.end ? new Date(event.end) : null;
-            const isPastEvent = eventEndDate && (now.getTime() - eventEndDate.getTime() > 24 * 60 * 60 * 1000);
-
-            if (isPastEvent) {
-              const matchCheck = await db.collection(`events/${eventId}/divisions/1/matches`).limit(1).get();
-              if (!matchCheck.empty) {
-                process.stdout.write('.'); 
-                if ((i + 1) % 50 === 0) console.log(` [${i + 1}/${events.length}]`); 
-                continue;
-              }
-            }
-          }
-        } catch (e) {
-          // If check fails, just proceed
+    // CHECKPOINTS for unfiltered 'new' and 'full' runs
+    // Events are processed in ID order so a killed run can resume after the last checkpointed event
+    const resumable = mode !== 'live' && !target && Object.keys(filters).length === 0;
+    const checkpointDoc = `checkpoint_${mode}`;
+    const checkpointEvery = getCheckpointInterval();
+    const seasonsKey = seasonIds.join(',');
+    let startIndex = 0;
+
+    if (mode !== 'live') {
+      events.sort((a, b) => (a.id || 0) - (b.id || 0));
+    }
+
+    if (resumable) {
+      const checkpoint = await getSyncProgress(checkpointDoc);
+      if (checkpoint && !checkpoint.complete && checkpoint.seasons === seasonsKey && checkpoint.lastProcessedEvent) {
+        const lastId = Number(checkpoint.lastProcessedEvent);
+        startIndex = events.findIndex(e => Number(e.id) > lastId);
+        if (startIndex === -1) startIndex = events.length;
+        log.info(`⏯️  Resuming ${mode} sync after event ${lastId} (${startIndex}/${events.length} already done)`);
+      }
+    }
+
+    const saveCheckpoint = async (nextIndex, complete) => {
+      const last = nextIndex > 0 ? events[nextIndex - 1] : null;
+      await updateSyncProgress({
+        mode,
+        seasons: seasonsKey,
+        lastProcessedEvent: complete || !last ? null : String(last.id || last.sku),
+        processed: nextIndex,
+        total: events.length,
+        complete,
+        timestamp: new Date().toISOString(),
+      }, checkpointDoc);
+    };
+
+    // Events finish out of order, so the checkpoint only advances over a contiguous run of finished events
+    const finished = new Array(events.length).fill(false);
+    let watermark = startIndex;
+    let lastSavedWatermark = startIndex;
+    let checkpointChain = Promise.resolve();
+
+    const markFinished = (index) => {
+      finished[index] = true;
+      while (watermark < events.length && finished[watermark]) watermark++;
+      if (resumable && watermark - lastSavedWatermark >= checkpointEvery) {
+        lastSavedWatermark = watermark;
+        const nextIndex = watermark;
+        checkpointChain = checkpointChain.then(() => saveCheckpoint(nextIndex, false));
+      }
+    };
+
+    // Stop cleanly before the runner is killed; the next run resumes from the checkpoint
+    let timedOut = false;
+    const shouldStop = () => {
+      if (deadline && Date.now() >= deadline) {
+        if (!timedOut) {
+          log.info(`\n⏱️  Time budget reached. Finishing in-flight events and handing off to the next run...`);
         }
+        timedOut = true;
       }
+      return timedOut;
+    };
 
+    log.info(`Processing with up to ${getSyncConcurrency()} parallel workers (${getHealthyKeyCount()} healthy API keys)`);
+
+    // Process each event in a bounded pool that scales with the healthy API keys
+    await runPool(events, async (event, i) => {
       try {
-        // 1. Store event metadata (Skip if exists in live/new mode unless explicit)
-        if (mode === 'full' || mode === 'new') {
-          console.log(`  📝 Storing metadata...`);
-          await batchWriteToFirestore('events', [{ id: eventId, data: event }]);
-        }
+        const result = await syncEvent(event, { mode, cache, now, index: i, total: events.length, force: !!target });
+        if (result === 'synced') lastProcessedId = String(event.id || event.sku);
+      } finally {
+        markFinished(i);
+      }
+    }, { concurrency: getSyncConcurrency, shouldStop, startIndex });
+
+    await checkpointChain;
+
+    // Team season rollups of the teams touched by this run
+    await writeTeamSeasons(now);
+
+    if (resumable) {
+      await saveCheckpoint(watermark, !timedOut);
+    }
+
+    // Update progress ONCE per cycle (to save Firestore writes)
+    if (lastProcessedId) {
+      await updateSyncProgress({ mode, lastProcessedEvent: lastProcessedId, timestamp: new Date().toISOString() });
+    }
+
+    // Per-key API usage (budgets are learned from the rate-limit headers)
+    if (mode !== 'live') {
+      log.info(`\n🔑 API key usage:`);
+      for (const stats of getKeyStats()) {
+        log.info(`  ${stats.key}: ${stats.status}, ${stats.successes}/${stats.requests} ok, ${stats.rateLimited}× 429, ${stats.serverErrors + stats.networkErrors} retried errors, limit ${stats.limit ?? 'unknown'}/min`);
+      }
+    }
+
+    // Let queued webhook deliveries (and their retries) finish
+    await flushWebhooks();
+
+    if (timedOut) {
+      log.info(`\n⏸️  ${mode.toUpperCase()} sync paused (time budget). It will resume on the next run.`);
+      runStatus = 'paused';
+      return { complete: false, runId };
+    }
+
+    log.info(`\n✅ ${mode.toUpperCase()} sync completed successfully!`);
+    runStatus = 'complete';
+    return { complete: true, runId };
+  } catch (error) {
+    log.error('❌ Sync failed:', error);
+    runError = error;
+    throw error;
+  } finally {
+    setCacheModeOverride(null);
+    writeQuarantineReport(runId);
+    await finishRun({ status: runStatus, error: runError });
+    await flushStorage();
+    await flushResponseCache();
+    if (isDryRun()) printWritePlan();
+  }
+}
+
+/**
+ * Fetch the events of the given seasons
+ * Season listings are streamed page by page and only the events passing `keep` are held in memory
+ * (live mode keeps a handful out of thousands).
+ * With filters, one /events query covers every season (the season listing has no region or type filter)
+ */
+async function fetchSeasonEvents(seasonIds, filters = {}, keep = () => true) {
+  if (Object.keys(filters).length > 0) {
+    const events = await searchEvents({ season: seasonIds, ...filters });
+    log.info(`Found ${events.length} events matching the filters in seasons ${seasonIds.join(', ')}`);
+    return events.filter(keep);
+  }
+
+  const events = [];
+  for (const seasonId of seasonIds) {
+    log.info(`Fetching events for season ${seasonId}...`);
+    let total = 0;
+    for await (const event of iterateEvents(seasonId)) {
+      total++;
+      if (keep(event)) events.push(event);
+    }
+    log.info(`Found ${total} total events in season ${seasonId}`);
+  }
+  return events;
+}
+
+/**
+ * Events of an on-demand target ({ event: idOrSku } or { team: number })
+ */
+async function findTargetEvents(target, seasonIds, filters) {
+  if (target.event) {
+    const events = await findEventsByRef(String(target.event));
+    if (events.length === 0) throw new Error(`Event ${target.event} not found`);
+    return events;
+  }
+
+  const { teams, events } = await findTeamEvents(String(target.team), { seasonIds, filters });
+  if (teams.length === 0) throw new Error(`Team ${target.team} not found`);
+  log.info(`Found ${events.length} events for team ${target.team} (${teams.map(t => `${t.program?.code || t.program?.name || '?'} #${t.id}`).join(', ')})`);
+  return events;
+}
+
+/**
+ * Events currently inside their local live window.
+ * New ones are registered under RTDB `live_meta` so they get finalized and pruned once they end (see finalize-live.js).
+ * @param {Object} options - cache (session cache), now, seasonIds (defaults to the resolved target seasons), filters
+ */
+export async function findLiveEvents({ cache = {}, now = new Date(), seasonIds, filters = {} } = {}) {
+  const ids = seasonIds || await resolveTargetSeasonIds({ storeCatalog: false });
+  const events = await fetchSeasonEvents(ids, filters, event => isEventLive(event, now));
+  log.info(`📍 Found ${events.length} events inside their local live window.`);
+
+  const newLiveEvents = events.filter(event => !cache[`live_meta_${event.id}`]);
+  if (newLiveEvents.length > 0) {
+    await updateRealtimeDB('live_meta', newLiveEvents.map(event => ({
+      id: String(event.id),
+      data: { sku: event.sku || null, name: event.name || null, start: event.start || null, end: event.end || null, location: event.location || null, finalized: false },
+    })));
+    newLiveEvents.forEach(event => { cache[`live_meta_${event.id}`] = true; });
+  }
 
-        // 2. Fetch details to get divisions
-        console.log(`  🔍 Fetching event details...`);
-        const eventDetails = await scrapeEventDetails(eventId);
-        const divisions = extractDivisions(eventDetails);
+  return events;
+}
+
+/**
+ * Sync a single event: metadata, divisions (rankings & matches), teams, skills and awards
+ * @param {Object} context - mode, cache, now, index/total (for logging), force (bypass skip logic)
+ * @returns {string} 'skipped', 'synced' or 'failed'
+ */
+export async function syncEvent(event, { mode, cache = {}, now = new Date(), index = 0, total = 1, force = false }) {
+  const eventId = String(event.id || event.sku);
+
+  log.info(`\n[${index + 1}/${total}] Checking event ${eventId}: ${event.name || 'Unknown'}`);
 
-        if (divisions.length > 0 && mode !== 'live') {
-          console.log(`  📂 Storing ${divisions.length} divisions...`);
-          await batchWriteToFirestore(`events/${eventId}/divisions`, divisions.map(d => ({ id: String(d.id), data: d })));
+  // SKIP LOGIC for 'new' and 'full' modes
+  if (mode !== 'live' && !force) {
+    try {
+      const storage = getStorage();
+      const existing = await storage.getDoc('events', eventId);
+
+      if (existing) {
+        // In 'new' mode, if we have metadata, we are DONE with this event.
+        if (mode === 'new') {
+          return skipEvent(eventId, index, total);
         }
 
-        // 3. Process each division (Rankings & Matches)
-        for (const division of divisions) {
-          const divId = division.id;
-          console.log(`  🔷 Division ${divId}: ${division.name}`);
-          
-          // Rankings
-          console.log(`    📊 Fetching rankings...`);
-          const rankings = await scrapeEventRankings(eventId, divId);
-          if (rankings.length > 0) {
-            const rankingDocs = rankings.map(r => ({ id: String(r.id || `team_${r.team?.id || r.team}`), data: r }));
-            
-            // Only update Firestore in non-live modes (to save costs)
-            if (mode !== 'live') {
-              await batchWriteToFirestore(`events/${eventId}/divisions/${divId}/rankings`, rankingDocs);
-            }
-            
-            // IF LIVE: Also push to Realtime DB for low latency
-            if (mode === 'live') {
-              const cacheKey = `rankings_${eventId}_${divId}`;
-              const cleanRankingDocs = stripNulls(rankingDocs);
-              if (!deepEqual(cache[cacheKey], cleanRankingDocs)) {
-                await updateRealtimeDB(`live/${eventId}/${divId}/rankings`, rankingDocs);
-                cache[cacheKey] = JSON.parse(JSON.stringify(cleanRankingDocs));
-              } else {
-                console.log(`    📊 Rankings unchanged (cached)`);
-              }
-            }
-          }
+        // In 'full' mode, we only skip if it's in the past AND "perfect"
+        const eventEndDate = event.end ? new Date(event.end) : null;
+        const isPastEvent = eventEndDate && (now.getTime() - eventEndDate.getTime() > 24 * 60 * 60 * 1000);
 
-          // Matches (includes scores/results)
-          console.log(`    ⚔️  Fetching matches...`);
-          const matches = await scrapeEventMatches(eventId, divId);
-          if (matches.length > 0) {
-            const matchDocs = matches.map(m => ({ id: String(m.id || m.matchnum), data: m }));
-            
-            // Only update Firestore in non-live modes (to save costs)
-            if (mode !== 'live') {
-              await batchWriteToFirestore(`events/${eventId}/divisions/${divId}/matches`, matchDocs);
-            }
-
-            // IF LIVE: Also push to Realtime DB for low latency
-            if (mode === 'live') {
-              const cacheKey = `matches_${eventId}_${divId}`;
-              const cleanMatchDocs = stripNulls(matchDocs);
-              if (!deepEqual(cache[cacheKey], cleanMatchDocs)) {
-                await updateRealtimeDB(`live/${eventId}/${divId}/matches`, matchDocs);
-                cache[cacheKey] = JSON.parse(JSON.stringify(cleanMatchDocs));
-              } else {
-                console.log(`    ⚔️  Matches unchanged (cached)`);
-              }
-            }
+        if (isPastEvent) {
+          if (await storage.hasDocs(DIVISION.matches.path(eventId, 1))) {
+            return skipEvent(eventId, index, total);
           }
         }
+      }
+    } catch (error) {
+      // If check fails, just proceed
+      log.warn(`  ⚠️ Could not check whether event ${eventId} is stored: ${error.message}`, { eventId });
+    }
+  }
 
-        // 4. Teams & Skills (Full/New mode only)
-        if (mode !== 'live') {
-          console.log(`  👥 Fetching teams...`);
-          const teams = await scrapeEventTeams(eventId);
-          if (teams.length > 0) {
-            console.log(`  💾 Storing ${teams.length} teams...`);
-            await batchWriteToFirestore(`events/${eventId}/teams`, teams.map(t => ({ id: String(t.id || t.number), data: t })));
-          }
+  eventsInFlight++;
+  try {
+    // 1. Store event metadata (Skip if exists in live/new mode unless explicit)
+    if (mode === 'full' || mode === 'new') {
+      log.info(`  📝 Storing metadata...`);
+      const { docs: eventDocs } = normalizeRecords('event', [event], 'events');
+      if (eventDocs.length === 0) throw new Error(`Event ${eventId} failed schema validation (quarantined)`);
+      await batchWriteToFirestore('events', eventDocs);
+    }
 
-          console.log(`  🏆 Fetching skills...`);
-          const skills = await scrapeEventSkills(eventId);
-          if (skills.length > 0) {
-            console.log(`  💾 Storing ${skills.length} skills scores...`);
-            await batchWriteToFirestore(`events/${eventId}/skills`, skills.map(s => ({
-              id: String(s.id || `${s.team?.id}_${s.type}`),
-              data: s
-            })));
-          }
+    // 2. Fetch details to get divisions
+    log.info(`  🔍 Fetching event details...`);
+    const eventDetails = await scrapeEventDetails(eventId);
+    const divisions = extractDivisions(eventDetails);
 
-          const finalists = await scrapeEventFinalistRankings(eventId, 1);
-          if (finalists.length > 0) {
-            console.log(`  📊 Storing finalist rankings...`);
-            await batchWriteToFirestore(`events/${eventId}/divisions/1/finalistRankings`, finalists.map(f => ({ id: String(f.id || `team_${f.team?.id || f.team}`), data: f })));
-          }
-        }
+    if (divisions.length > 0 && mode !== 'live') {
+      log.info(`  📂 Storing ${divisions.length} divisions...`);
+      const divisionsPath = DIVISIONS.path(eventId);
+      const { docs: divisionDocs, ids: divisionIds } = normalizeRecords(DIVISIONS.record, divisions, divisionsPath);
+      await batchWriteToFirestore(divisionsPath, divisionDocs);
 
-        lastProcessedId = eventId;
-      } catch (error) {
-        console.error(`Error processing event ${eventId}:`, error.message);
-      }
+      // Divisions removed upstream take their matches, rankings and live RTDB subtree with them
+      const removedDivisions = await reconcileCollection(divisionsPath, divisionIds, { subcollections: DIVISION_COLLECTIONS.map(def => def.name) });
+      await removeFromRealtimeDB(removedDivisions.map(divId => `live/${eventId}/${divId}`));
     }
 
-    // Update progress ONCE per cycle (to save Firestore writes)
-    if (lastProcessedId) {
-      await updateSyncProgress({ mode, lastProcessedEvent: lastProcessedId, timestamp: new Date().toISOString() });
+    // 3. Process each division (Rankings & Matches), in parallel for multi-division events when workers are free
+    const divisionData = [];
+    await runPool(divisions, async division => {
+      divisionData.push(await syncDivision(eventId, division, { mode, sku: event.sku }));
+    }, { concurrency: getDivisionConcurrency });
+
+    // 4. Teams & Skills (Full/New mode only)
+    if (mode !== 'live') {
+      log.info(`  👥 Fetching teams...`);
+      const teams = await EVENT.teams.scrape(eventId);
+      if (teams.length > 0) {
+        log.info(`  💾 Storing ${teams.length} teams...`);
+        await storeCollection(EVENT.teams.path(eventId), EVENT.teams.record, teams);
+      }
+
+      log.info(`  🏆 Fetching skills...`);
+      const skills = await EVENT.skills.scrape(eventId);
+      if (skills.length > 0) {
+        log.info(`  💾 Storing ${skills.length} skills scores...`);
+        await storeCollection(EVENT.skills.path(eventId), EVENT.skills.record, skills);
+      }
+
+      const { finalistRankings } = DIVISION;
+      const finalists = await finalistRankings.scrape(eventId, finalistRankings.onlyDivision);
+      if (finalists.length > 0) {
+        log.info(`  📊 Storing finalist rankings...`);
+        await storeCollection(finalistRankings.path(eventId, finalistRankings.onlyDivision), finalistRankings.record, finalists);
+      }
+
+      log.info(`  🥇 Fetching awards...`);
+      const awards = await EVENT.awards.scrape(eventId);
+      if (awards.length > 0) {
+        log.info(`  💾 Storing ${awards.length} awards...`);
+        const previousAwards = await getStoredAwards(eventId);
+        await storeCollection(EVENT.awards.path(eventId), EVENT.awards.record, awards);
+
+        // Per-team rollup so the app can render a trophy case without reading every event
+        await writeTeamAwards(event, awards, previousAwards);
+
+        await dispatchAwards(event, awards, now.getTime());
+      }
+
+      // Team season rollups of every team at this event (written at the end of the run)
+      recordTeamEvent(event, { divisions: divisionData, teams, skills }, now);
     }
 
-    console.log(`\n✅ ${mode.toUpperCase()} sync completed successfully!`);
+    countEvent(eventId, 'synced');
+    return 'synced';
   } catch (error) {
-    console.error('❌ Sync failed:', error);
-    throw error;
+    log.error(`Error processing event ${eventId}: ${error.message}`, { event: 'event_failed', eventId, sku: event.sku || null, error: error.message, status: error.response?.status ?? null });
+    countEvent(eventId, 'failed', { sku: event.sku, name: event.name, reason: error.message });
+    return 'failed';
+  } finally {
+    eventsInFlight--;
   }
 }
 
+/**
+ * Store one subcollection's records and reconcile it against them
+ * @returns {Array<string>} IDs the reconciliation removed
+ */
+async function storeCollection(collectionPath, recordType, records) {
+  const { docs, ids } = normalizeRecords(recordType, records, collectionPath);
+  await batchWriteToFirestore(collectionPath, docs);
+  return reconcileCollection(collectionPath, ids);
+}
+
+// Skipped events print a dot (and a counter every 50) instead of a line
+function skipEvent(eventId, index, total) {
+  countEvent(eventId, 'skipped');
+  if (!isJsonLogs()) {
+    process.stdout.write('.');
+    if ((index + 1) % 50 === 0) log.info(` [${index + 1}/${total}]`);
+  }
+  return 'skipped';
+}
+
+/**
+ * Sync rankings and matches for a single division
+ * @returns {Object} { rankings, matches } as fetched from the API (used by the live scheduler)
+ */
+export async function syncDivision(eventId, division, { mode, sku = null }) {
+  const divId = division.id;
+  log.info(`  🔷 Division ${divId}: ${division.name}`);
+
+  // Live only: typed change records (scores posted, rank changes...) written with the live data
+  const feed = [];
+  const pushLive = async (kind, docs, records, summarize, detect) => {
+    let pending = [];
+    const result = await updateRealtimeDB(`live/${eventId}/${divId}/${kind}`, docs, {
+      diff: true,
+      summarize,
+      onDiff: ({ previous, baseline }) => {
+        if (baseline) return {};
+        const built = buildChangeRecords(eventId, divId, detect(previous, records));
+        pending = built.records;
+        return built.updates;
+      },
+    });
+    if (result.written > 0 || result.removed > 0) feed.push(...pending);
+    return result;
+  };
+
+  // Rankings
+  log.info(`    📊 Fetching rankings...`);
+  const rankings = await DIVISION.rankings.scrape(eventId, divId);
+  if (rankings.length > 0) {
+    const rankingsPath = DIVISION.rankings.path(eventId, divId);
+
+    // Only update Firestore in non-live modes (to save costs)
+    if (mode !== 'live') {
+      const removed = await storeCollection(rankingsPath, DIVISION.rankings.record, rankings);
+      await removeFromRealtimeDB(removed.map(id => `live/${eventId}/${divId}/rankings/${id}`));
+    }
+
+    // IF LIVE: Also push to Realtime DB for low latency (only records that changed since the last push)
+    if (mode === 'live') {
+      const { docs: rankingDocs } = normalizeRecords(DIVISION.rankings.record, rankings, rankingsPath);
+      const { written, removed } = await pushLive('rankings', rankingDocs, rankings, summarizeRanking, detectRankingChanges);
+      if (written === 0 && removed === 0) {
+        log.info(`    📊 Rankings unchanged`);
+      }
+    }
+  }
+
+  // Matches (includes scores/results)
+  log.info(`    ⚔️  Fetching matches...`);
+  const matches = await DIVISION.matches.scrape(eventId, divId);
+  if (matches.length > 0) {
+    const matchesPath = DIVISION.matches.path(eventId, divId);
+
+    // Only update Firestore in non-live modes (to save costs)
+    if (mode !== 'live') {
+      const removed = await storeCollection(matchesPath, DIVISION.matches.record, matches);
+      await removeFromRealtimeDB(removed.map(id => `live/${eventId}/${divId}/matches/${id}`));
+    }
+
+    // IF LIVE: Also push to Realtime DB for low latency (only records that changed since the last push)
+    if (mode === 'live') {
+      const { docs: matchDocs } = normalizeRecords(DIVISION.matches.record, matches, matchesPath);
+      const { written, removed } = await pushLive('matches', matchDocs, matches, summarizeMatch, detectMatchChanges);
+      if (written === 0 && removed === 0) {
+        log.info(`    ⚔️  Matches unchanged`);
+      }
+    }
+  }
+
+  if (mode === 'live') {
+    await writeChangesToFirestore(eventId, feed);
+    await notifyFollowers(eventId, { changes: feed, matches, rankings });
+    await dispatchChanges({ eventId, sku, changes: feed });
+  }
+
+  return { rankings, matches };
+}
+
 // Run if called directly
 if (process.argv[1] && process.argv[1].endsWith('sync.js')) {
-  sync().catch(() => process.exit(1));
+  let args;
+  try {
+    args = parseSyncArgs();
+  } catch (error) {
+    log.error(`❌ ${error.message}\n\n${SYNC_USAGE}`);
+    process.exit(1);
+  }
+
+  const { command, ref, mode, filters } = args;
+  sync({ mode, filters, target: command === 'season' ? null : { [command]: ref } })
+    .then(({ complete }) => {
+      // Let the workflow know whether to dispatch a follow-up run
+      if (process.env.GITHUB_OUTPUT) {
+        appendFileSync(process.env.GITHUB_OUTPUT, `complete=${complete}\n`);
+      }
+    })
+    .catch(() => process.exit(1));
 }
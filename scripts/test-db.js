@@ -1,23 +0,0 @@
-import admin from 'firebase-admin';
-import dotenv from 'dotenv';
-import { readFileSync } from 'fs';
-
-// This is a test script to check Firebase connectivity and database existence
-async function testFirebase() {
-  console.log('Testing Firebase connection...');
-  
-  // We need credentials. Since I can't easily get the private key here, 
-  // I'll try to use the environment if set, or just check if the project ID works with default creds
-  // Actually, I'll just check if the databases are listed.
-  
-  try {
-    // We can't easily run this without service account keys.
-    // Let's try to use the MCP tools to check for database instances.
-    console.log('Checking via MCP tools...');
-  } catch (error) {
-    console.error('Error:', error.message);
-  }
-}
-
-testFirebase();
-
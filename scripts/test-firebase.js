@@ -1,34 +0,0 @@
-import admin from 'firebase-admin';
-import { getFirestore, FieldValue } from 'firebase-admin/firestore';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const privateKey = process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n');
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert({
-      projectId: process.env.FIREBASE_PROJECT_ID || 'robostemdb',
-      privateKey: privateKey,
-      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-    }),
-  });
-}
-
-const db = getFirestore('default');
-
-async function test() {
-  try {
-    const res = await db.collection('test').add({
-      message: 'Hello from sync script',
-      timestamp: FieldValue.serverTimestamp(),
-    });
-    console.log('Success! Document ID:', res.id);
-  } catch (err) {
-    console.error('Error writing to Firestore:', err);
-  }
-}
-
-test();
-
@@ -1,77 +1,125 @@
 import axios from 'axios';
 import { getApiKeys } from '../config.js';
-import { getNextApiKey, sleep } from './rate-limiter.js';
+import {
+  acquireKey,
+  releaseKey,
+  recordSuccess,
+  recordRateLimited,
+  recordFailure,
+  blacklistKey,
+  countHealthyKeys,
+  getKeyStats,
+  backoffDelay,
+  sleep,
+} from './rate-limiter.js';
+import { getCachedResponse, conditionalHeaders, storeResponse, toCachedResponse } from './response-cache.js';
+import { log } from './logger.js';
+import { countApiCall } from './run-metrics.js';
 
-const blacklistedKeys = new Set();
-const rateLimitedKeys = new Map(); // key -> cooldown expiration time
+const MAX_TRANSIENT_RETRIES = 5; // 5xx / network errors before giving up on a request
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK']);
+
+/**
+ * Keys that are neither blacklisted nor cooling down.
+ * Parallel workers size themselves from this so extra concurrency doesn't just cause more 429s.
+ */
+export function getHealthyKeyCount() {
+  return countHealthyKeys(getApiKeys());
+}
+
+/**
+ * Per-key request/limit stats (see rate-limiter.js)
+ */
+export { getKeyStats };
+
+function isTransientError(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500;
+  return TRANSIENT_NETWORK_CODES.has(error.code) || !!error.request;
+}
 
 /**
  * Perform an authenticated GET request to the RobotEvents API.
  * Handles:
  * 1. Automatic 401 (Unauthorized) retry with a different API key.
  * 2. Key blacklisting (stops using a key if it returns 401).
- * 3. Automatic 429 (Rate Limit) rotation to a different API key.
- * 4. Exponential backoff if ALL keys are rate limited.
+ * 3. Automatic 429 (Rate Limit) rotation, cooling the key down for as long as Retry-After asks.
+ * 4. Per-key token buckets that learn each key's budget from the rate-limit headers.
+ * 5. Jittered exponential backoff for 5xx responses and network timeouts.
+ * 6. Key leasing: concurrent callers never use the same key at the same time.
+ * 7. Persistent response cache: fresh entries skip the request, stale ones are revalidated
+ *    with a conditional request (see response-cache.js).
  */
 export async function apiGet(endpoint, params = {}) {
   const allApiKeys = getApiKeys();
-  let retryCount = 0; // Number of times we've had to wait because NO keys were available
   let authRetryCount = 0;
+  let transientRetryCount = 0;
+
+  const url = new URL(endpoint);
+  const paramsStr = Object.keys(params).length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  const cached = await getCachedResponse(endpoint, params);
+  if (cached?.fresh) {
+    log.debug(`    💾 [CACHE HIT] ${url.pathname}${paramsStr}`, { path: url.pathname, params });
+    countApiCall(url.pathname, 'cache');
+    return toCachedResponse(cached.entry);
+  }
 
   while (true) {
-    const now = Date.now();
-    
-    // Filter out blacklisted keys and currently cooling-down rate-limited keys
-    const availableKeys = allApiKeys.filter(k => {
-      if (blacklistedKeys.has(k)) return false;
-      const cooldown = rateLimitedKeys.get(k);
-      if (cooldown && now < cooldown) return false;
-      return true;
-    });
-    
-    // If NO keys are available (all dead or all cooling down), wait a bit
-    if (availableKeys.length === 0) {
-      // Find the key that will expire soonest to wait just long enough
-      const cooldowns = allApiKeys
-        .map(k => rateLimitedKeys.get(k))
-        .filter(c => c && c > now);
-      
-      const nextAvailableAt = cooldowns.length > 0 ? Math.min(...cooldowns) : now + 5000;
-      const waitTime = Math.max(1000, Math.min(nextAvailableAt - now, 30000)); // Wait between 1s and 30s
-      
-      console.log(`⚠️ All API keys are cooling down. Waiting ${Math.round(waitTime/1000)}s...`);
-      await sleep(waitTime);
+    const lease = acquireKey(allApiKeys);
+
+    // No key usable right now: wait for a token, a free key or the end of a cooldown
+    if (!lease.key) {
+      if (lease.reason === 'exhausted') {
+        throw new Error('All provided RobotEvents API keys are failing with 401 Unauthorized.');
+      }
+      if (lease.reason === 'cooldown') {
+        log.info(`⚠️ All API keys are cooling down. Waiting ${Math.round(lease.waitMs / 1000)}s...`);
+      }
+      await sleep(Math.max(50, Math.min(lease.waitMs, 30000)));
       continue;
     }
 
-    const apiKey = getNextApiKey(availableKeys);
+    const apiKey = lease.key;
+    let retryDelay = 0;
 
     try {
       // Detailed logging for API calls
-      const url = new URL(endpoint);
-      const paramsStr = Object.keys(params).length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
-      console.log(`    🌐 [API GET] ${url.pathname}${paramsStr}`);
+      log.debug(`    🌐 [API GET] ${url.pathname}${paramsStr}`, { path: url.pathname, params });
 
+      const startedAt = Date.now();
       const response = await axios.get(endpoint, {
         headers: {
           'Authorization': `Bearer ${apiKey}`,
           'Accept': 'application/json',
+          ...conditionalHeaders(cached?.entry),
         },
         params: params,
         timeout: 30000, 
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
       });
-      
-      // Success! Add a 500ms delay (gentle but efficient)
-      await sleep(500);
-      
-      // Success! Reset retry count for this endpoint call
-      retryCount = 0;
+
+      // Success! Let the key's bucket learn its budget from the headers
+      recordSuccess(apiKey, response.headers, Date.now() - startedAt);
+      countApiCall(url.pathname, response.status);
+
+      // Not modified: reuse the cached body and restart its TTL
+      if (response.status === 304 && cached) {
+        const revalidated = toCachedResponse(cached.entry);
+        await storeResponse(endpoint, params, revalidated);
+        return revalidated;
+      }
+
+      await storeResponse(endpoint, params, response);
       return response;
     } catch (error) {
+      const status = error.response?.status;
+      countApiCall(url.pathname, status || 'network');
+
       // Handle 401 Unauthorized
-      if (error.response?.status === 401) {
-        console.warn(`❌ API Key failed (401). Blacklisting key...`);
-        blacklistedKeys.add(apiKey);
+      if (status === 401) {
+        log.warn(`❌ API Key failed (401). Blacklisting key...`, { path: url.pathname, status });
+        blacklistKey(apiKey);
         authRetryCount++;
         if (authRetryCount > allApiKeys.length) {
           throw new Error('All provided RobotEvents API keys are failing with 401 Unauthorized.');
@@ -80,20 +128,29 @@ export async function apiGet(endpoint, params = {}) {
       }
 
       // Handle 429 Rate Limit
-      if (error.response?.status === 429) {
-        // Put THIS specific key on a 60-second cooldown
-        console.warn(`⏳ API Key rate limited (429). Rotating to another key...`);
-        rateLimitedKeys.set(apiKey, now + 60000); // Fixed 60s cooldown for the specific key
-        
-        // If we have very few keys, don't spin too fast
-        if (availableKeys.length <= 1) {
-            await sleep(2000); 
-        }
-        continue; 
+      if (status === 429) {
+        const cooldownMs = recordRateLimited(apiKey, error.response.headers);
+        log.warn(`⏳ API Key rate limited (429) for ${Math.round(cooldownMs / 1000)}s. Rotating to another key...`, { path: url.pathname, status, cooldownMs });
+        continue;
       }
 
-      // Re-throw other errors
-      throw error;
+      // Handle 5xx and network errors with jittered exponential backoff
+      if (isTransientError(error)) {
+        recordFailure(apiKey, status || null);
+        if (transientRetryCount >= MAX_TRANSIENT_RETRIES) {
+          throw error;
+        }
+        retryDelay = backoffDelay(transientRetryCount++);
+        log.warn(`🔁 ${status ? `Server error (${status})` : `Network error (${error.code || error.message})`}. Retrying in ${(retryDelay / 1000).toFixed(1)}s...`, { path: url.pathname, status: status || null, code: error.code || null, retryDelayMs: retryDelay });
+      } else {
+        // Re-throw other errors
+        throw error;
+      }
+    } finally {
+      releaseKey(apiKey);
     }
+
+    // Back off after releasing the key so other workers can keep using it
+    await sleep(retryDelay);
   }
 }
@@ -0,0 +1,236 @@
+import { getChangeFeedRetentionDays } from '../config.js';
+import { getStorage } from '../storage/index.js';
+import { isElim, elimsComplete, ROUND_FINAL } from './live-scheduler.js';
+import { log } from './logger.js';
+
+/**
+ * Change feed
+ * Turns live match/ranking diffs into typed records the app can show as-is:
+ *   match_scored                 "Q42 scored: red 120 - 88 blue"
+ *   score_changed                a scored match was corrected
+ *   rank_changed                 "1234A moved from rank 5 to 3"
+ *   alliance_selection_complete  the first elimination matches appeared
+ *   elims_complete               every elimination match is scored (winners of the final)
+ *
+ * Records are written to RTDB `changes/{eventId}/{changeId}` in the same update as the live
+ * data, and mirrored to Firestore `changes/{eventId}/feed/{changeId}` (expired by a TTL policy
+ * on `expiresAt`). Change IDs sort chronologically (zero-padded ms + sequence), so ordering
+ * by key is ordering by detection time, and records detected together keep their order.
+ *
+ * Nothing is emitted the first time a division is seen (no baseline to diff against).
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+let sequence = 0;
+
+function nextChangeId(ts) {
+  sequence = (sequence + 1) % 10000;
+  return `${String(ts).padStart(13, '0')}-${String(sequence).padStart(4, '0')}`;
+}
+
+// Smallest change ID at a given time (used to trim by key)
+function changeIdAt(ts) {
+  return `${String(ts).padStart(13, '0')}-`;
+}
+
+function allianceOf(match, color) {
+  return (match.alliances || []).find(a => a.color === color) || null;
+}
+
+function allianceTeams(alliance) {
+  return (alliance?.teams || []).map(t => t.team?.name).filter(Boolean);
+}
+
+/**
+ * Compact match state stored with each live hash (see updateRealtimeDB's `summarize`)
+ */
+export function summarizeMatch(match) {
+  return {
+    round: match.round ?? null,
+    scored: match.scored === true,
+    red: allianceOf(match, 'red')?.score ?? null,
+    blue: allianceOf(match, 'blue')?.score ?? null,
+  };
+}
+
+/**
+ * Compact ranking state stored with each live hash
+ */
+export function summarizeRanking(ranking) {
+  return { rank: ranking.rank ?? null };
+}
+
+/**
+ * Alliance score and teams; `teams` and `teamIds` come from the same entries, so teams[i] is teamIds[i]
+ */
+function alliancePayload(alliance) {
+  const members = (alliance?.teams || []).map(t => t.team).filter(team => team?.id != null);
+  return {
+    score: alliance?.score ?? null,
+    teams: members.map(team => team.name || String(team.id)),
+    teamIds: members.map(team => team.id),
+  };
+}
+
+function matchPayload(match) {
+  return {
+    matchId: match.id,
+    name: match.name || null,
+    round: match.round ?? null,
+    red: alliancePayload(allianceOf(match, 'red')),
+    blue: alliancePayload(allianceOf(match, 'blue')),
+  };
+}
+
+/**
+ * Typed changes between the previous match summaries and the matches just fetched
+ * @param {Object} previous - matchId -> summary (from the live hash store)
+ */
+export function detectMatchChanges(previous, matches) {
+  const changes = [];
+
+  for (const match of matches) {
+    const before = previous[String(match.id)];
+    const after = summarizeMatch(match);
+    if (!after.scored) continue;
+
+    if (!before || !before.scored) {
+      changes.push({
+        type: 'match_scored',
+        text: `${match.name || `Match ${match.matchnum}`} scored: red ${after.red} - ${after.blue} blue`,
+        ...matchPayload(match),
+      });
+    } else if (before.red !== after.red || before.blue !== after.blue) {
+      changes.push({
+        type: 'score_changed',
+        text: `${match.name || `Match ${match.matchnum}`} score corrected: red ${before.red} - ${before.blue} blue -> red ${after.red} - ${after.blue} blue`,
+        previous: { red: before.red, blue: before.blue },
+        ...matchPayload(match),
+      });
+    }
+  }
+
+  const previousMatches = Object.values(previous).filter(Boolean);
+  const elims = matches.filter(isElim);
+
+  if (elims.length > 0 && !previousMatches.some(isElim)) {
+    const seen = new Set();
+    const alliances = [];
+    for (const match of elims) {
+      for (const color of ['red', 'blue']) {
+        const teams = allianceTeams(allianceOf(match, color));
+        const key = [...teams].sort().join(',');
+        if (teams.length > 0 && !seen.has(key)) {
+          seen.add(key);
+          alliances.push(teams);
+        }
+      }
+    }
+    // Alliance selection happened before any elimination match was scored
+    changes.unshift({ type: 'alliance_selection_complete', text: `Alliance selection complete (${alliances.length} alliances)`, alliances });
+  }
+
+  if (elimsComplete(matches) && !elimsComplete(previousMatches)) {
+    const final = matches
+      .filter(m => m.round === ROUND_FINAL)
+      .sort((a, b) => (a.instance - b.instance) || (a.matchnum - b.matchnum))
+      .pop();
+    const red = final && allianceOf(final, 'red');
+    const blue = final && allianceOf(final, 'blue');
+    const winner = red && blue && red.score !== blue.score ? (red.score > blue.score ? red : blue) : null;
+    const winners = allianceTeams(winner);
+    changes.push({
+      type: 'elims_complete',
+      text: winners.length > 0 ? `Elims complete: ${winners.join(' & ')} won the final` : 'Elims complete',
+      winners,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Typed rank changes between the previous ranking summaries and the rankings just fetched
+ * @param {Object} previous - rankingId -> summary (from the live hash store)
+ */
+export function detectRankingChanges(previous, rankings) {
+  const changes = [];
+  for (const ranking of rankings) {
+    const before = previous[String(ranking.id)];
+    if (!before || before.rank === null || ranking.rank == null || before.rank === ranking.rank) continue;
+    const team = ranking.team?.name || String(ranking.team?.id ?? '');
+    changes.push({
+      type: 'rank_changed',
+      text: `${team} moved from rank ${before.rank} to ${ranking.rank}`,
+      team: { id: ranking.team?.id ?? null, number: ranking.team?.name || null },
+      from: before.rank,
+      to: ranking.rank,
+      wins: ranking.wins ?? null,
+      losses: ranking.losses ?? null,
+      ties: ranking.ties ?? null,
+    });
+  }
+  // Best rank first, so the feed reads top-down
+  return changes.sort((a, b) => a.to - b.to);
+}
+
+/**
+ * Stamp changes with IDs and build the RTDB updates for `changes/{eventId}`
+ * @returns {Object} { records, updates } - records carry their id; updates go into the live write
+ */
+export function buildChangeRecords(eventId, divisionId, changes, now = Date.now()) {
+  const records = changes.map(change => ({
+    id: nextChangeId(now),
+    eventId: String(eventId),
+    division: divisionId,
+    at: new Date(now).toISOString(),
+    ts: now,
+    ...change,
+  }));
+
+  const updates = {};
+  for (const { id, ...record } of records) {
+    updates[`changes/${eventId}/${id}`] = record;
+  }
+  return { records, updates };
+}
+
+/**
+ * Mirror change records to Firestore `changes/{eventId}/feed/{changeId}`
+ */
+export async function writeChangesToFirestore(eventId, records) {
+  if (records.length === 0) return;
+  const storage = getStorage();
+  const expiresAt = new Date(records[records.length - 1].ts + getChangeFeedRetentionDays() * DAY);
+
+  try {
+    await storage.setDocs(`changes/${eventId}/feed`, records.map(({ id, ...record }) => ({
+      id,
+      data: { ...record, expiresAt },
+    })), { merge: false });
+    const last = records[records.length - 1];
+    await storage.setDocs('changes', [{
+      id: String(eventId),
+      data: { eventId: String(eventId), lastChangeId: last.id, lastChangeAt: last.at },
+    }]);
+    log.info(`    📰 [CHANGES] ${records.length} changes for event ${eventId}: ${records.map(r => r.type).join(', ')}`);
+  } catch (err) {
+    log.error(`    ❌ [CHANGES] Failed to write Firestore feed: ${err.message}`);
+  }
+}
+
+/**
+ * Drop RTDB change records older than the retention window (Firestore expires them via TTL)
+ * @returns {number} Records removed
+ */
+export async function trimChangeFeed(eventId, now = Date.now()) {
+  const storage = getStorage();
+  const cutoff = changeIdAt(now - getChangeFeedRetentionDays() * DAY);
+  const ids = Object.keys(await storage.readLive(`changes/${eventId}`, { endAtKey: cutoff }) || {});
+  if (ids.length === 0) return 0;
+
+  const updates = {};
+  for (const id of ids) updates[`changes/${eventId}/${id}`] = null;
+  await storage.updateLive(updates);
+  return ids.length;
+}
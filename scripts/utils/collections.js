@@ -0,0 +1,30 @@
+import { scrapeEventTeams } from '../scrapers/event-teams-scraper.js';
+import { scrapeEventMatches } from '../scrapers/event-matches-scraper.js';
+import { scrapeEventRankings } from '../scrapers/event-rankings-scraper.js';
+import { scrapeEventFinalistRankings } from '../scrapers/event-finalist-rankings-scraper.js';
+import { scrapeEventSkills } from '../scrapers/event-skills-scraper.js';
+import { scrapeEventAwards } from '../scrapers/event-awards-scraper.js';
+
+/**
+ * Synced subcollections of an event
+ * One place for the Firestore path, the scraper and the record type (schema and document ID,
+ * see schema/records.js) of each subcollection, shared by sync.js and the audit command.
+ */
+
+// events/{eventId}/divisions (the divisions come with the event details, see event-details-scraper.js)
+export const DIVISIONS = { name: 'divisions', path: (eventId) => `events/${eventId}/divisions`, record: 'division' };
+
+// Subcollections directly under events/{eventId}
+export const EVENT_COLLECTIONS = [
+  { name: 'teams', path: (eventId) => `events/${eventId}/teams`, scrape: (eventId) => scrapeEventTeams(eventId), record: 'team' },
+  { name: 'skills', path: (eventId) => `events/${eventId}/skills`, scrape: (eventId) => scrapeEventSkills(eventId), record: 'skill' },
+  { name: 'awards', path: (eventId) => `events/${eventId}/awards`, scrape: (eventId) => scrapeEventAwards(eventId), record: 'award' },
+];
+
+// Subcollections under events/{eventId}/divisions/{divId}
+// Finalist rankings are only synced for division 1 (see sync.js)
+export const DIVISION_COLLECTIONS = [
+  { name: 'rankings', path: (eventId, divId) => `events/${eventId}/divisions/${divId}/rankings`, scrape: (eventId, divId) => scrapeEventRankings(eventId, divId), record: 'ranking' },
+  { name: 'matches', path: (eventId, divId) => `events/${eventId}/divisions/${divId}/matches`, scrape: (eventId, divId) => scrapeEventMatches(eventId, divId), record: 'match' },
+  { name: 'finalistRankings', onlyDivision: 1, path: (eventId, divId) => `events/${eventId}/divisions/${divId}/finalistRankings`, scrape: (eventId, divId) => scrapeEventFinalistRankings(eventId, divId), record: 'finalistRanking' },
+];
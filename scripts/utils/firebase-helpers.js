@@ -1,12 +1,42 @@
-import { FieldValue } from 'firebase-admin/firestore';
-import { getFirestore, getRealtimeDB } from '../config.js';
+import { getReconcileMode, getReconcileMaxRatio } from '../config.js';
+import { getStorage } from '../storage/index.js';
+import { contentHash } from './hash.js';
+import { getLiveHashes, liveHashUpdates, setLiveHashes, forgetLiveHashes } from './live-hashes.js';
+import { planDocs, planLiveRecords } from './write-plan.js';
+import { log } from './logger.js';
+import { countDocs, countLiveRecords } from './run-metrics.js';
 
 /**
  * Firebase write helpers
- * Implements batch writes for efficiency
+ * Implements batch writes for efficiency, through the active storage backend (see storage/index.js)
  */
 
-const BATCH_SIZE = 500; // Firestore batch limit
+const BATCH_SIZE = 500; // Docs compared per read
+
+// Fields the sync adds on top of the API payload
+export const BOOKKEEPING_FIELDS = ['lastUpdated', 'removed', 'removedAt', 'finalized', 'finalizedAt'];
+
+/**
+ * Stored document data without the sync's own bookkeeping fields
+ */
+export function stripBookkeeping(data) {
+  const clean = { ...data };
+  for (const field of BOOKKEEPING_FIELDS) delete clean[field];
+  return clean;
+}
+
+function isMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a merge write changes the stored doc: nested maps are merged, so only the fields it sets count
+ */
+function mergeChanges(existing, data) {
+  return Object.entries(data).some(([key, value]) => (isMap(value) && isMap(existing?.[key])
+    ? mergeChanges(existing[key], value)
+    : !deepEqual(existing?.[key], value)));
+}
 
 /**
  * Clean object for comparison (removes undefined, sorts keys)
@@ -83,83 +113,88 @@ export function deepEqual(obj1, obj2) {
 }
 
 export async function batchWriteToFirestore(collectionPath, documents, merge = true, checkBeforeWrite = true) {
-  const db = getFirestore();
+  const storage = getStorage();
   let totalUpdated = 0;
   let totalSkipped = 0;
 
-  console.log(`    💾 [FIRESTORE] Processing ${documents.length} docs for "${collectionPath}"...`);
+  log.info(`    💾 [FIRESTORE] Processing ${documents.length} docs for "${collectionPath}"...`);
 
   // Process in chunks to respect batch limits and memory
   for (let i = 0; i < documents.length; i += BATCH_SIZE) {
     const chunk = documents.slice(i, i + BATCH_SIZE);
     
     // 1. Fetch existing documents to compare
-    let snapshots = [];
+    let existing = [];
     if (checkBeforeWrite) {
-      const docRefs = chunk.map(doc => db.collection(collectionPath).doc(doc.id));
       try {
-        if (docRefs.length > 0) {
-          // Use getAll for efficient read
-          snapshots = await db.getAll(...docRefs);
-        }
+        existing = await storage.getDocs(collectionPath, chunk.map(doc => doc.id));
       } catch (err) {
-        console.warn(`    ⚠️ [FIRESTORE] Failed to fetch existing docs for comparison: ${err.message}. Proceeding with writes.`);
-        snapshots = new Array(chunk.length).fill({ exists: false });
+        log.warn(`    ⚠️ [FIRESTORE] Failed to fetch existing docs for comparison: ${err.message}. Proceeding with writes.`);
+        existing = [];
       }
     }
 
-    const batch = db.batch();
-    let batchCount = 0;
+    const writes = [];
+    const plan = { creates: [], updates: [], unchanged: 0 };
 
     chunk.forEach((doc, index) => {
       const { id, data } = doc;
       let shouldWrite = true;
+      let revive = false;
+
+      const existingData = existing[index];
+      if (checkBeforeWrite && existingData) {
+        // Tombstoned doc that is back upstream: always write and clear the tombstone
+        revive = existingData.removed === true;
+        
+        // Clean data for comparison (handle undefined vs missing keys, ignore bookkeeping fields)
+        const cleanExisting = cleanForComparison(stripBookkeeping(existingData));
+        const cleanNew = cleanForComparison(data);
 
-      if (checkBeforeWrite) {
-        const snapshot = snapshots[index];
-        if (snapshot && snapshot.exists) {
-          const existingData = snapshot.data();
-          if (existingData.lastUpdated) delete existingData.lastUpdated;
-          
-          // Clean data for comparison (handle undefined vs missing keys)
-          const cleanExisting = cleanForComparison(existingData);
-          const cleanNew = cleanForComparison(data);
-
-          // Compare with new data
-          if (deepEqual(cleanExisting, cleanNew)) {
-            shouldWrite = false;
-          }
+        // Compare with new data (a merge write only sets the fields it has)
+        const changed = merge ? mergeChanges(cleanExisting, cleanNew) : !deepEqual(cleanExisting, cleanNew);
+        if (!revive && !changed) {
+          shouldWrite = false;
         }
       }
 
+      if (!shouldWrite) {
+        plan.unchanged++;
+      } else if (existingData) {
+        plan.updates.push({ id, data, before: existingData });
+      } else {
+        plan.creates.push({ id, data });
+      }
+
       if (shouldWrite) {
-        const docRef = db.collection(collectionPath).doc(id);
-        batch.set(docRef, {
-          ...data,
-          lastUpdated: FieldValue.serverTimestamp(),
-        }, { merge });
-        batchCount++;
+        writes.push({
+          id,
+          data: {
+            ...data,
+            ...(revive && merge ? { removed: storage.deleteField(), removedAt: storage.deleteField() } : {}),
+            lastUpdated: storage.serverTimestamp(),
+          },
+        });
       }
     });
 
-    if (batchCount > 0) {
+    planDocs(collectionPath, plan);
+
+    if (writes.length > 0) {
       try {
-        const timeout = 10000;
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error(`Firestore commit timed out after ${timeout/1000}s`)), timeout)
-        );
-        await Promise.race([batch.commit(), timeoutPromise]);
-        totalUpdated += batchCount;
+        await storage.setDocs(collectionPath, writes, { merge });
+        totalUpdated += writes.length;
       } catch (err) {
-        console.error(`    ❌ [FIRESTORE] Batch failed: ${err.message}`);
+        log.error(`    ❌ [FIRESTORE] Batch failed: ${err.message}`);
         throw err;
       }
     }
-    totalSkipped += (chunk.length - batchCount);
+    totalSkipped += (chunk.length - writes.length);
   }
 
+  countDocs(collectionPath, { written: totalUpdated, skipped: totalSkipped });
   if (totalUpdated > 0 || totalSkipped > 0) {
-    console.log(`    Outcome: ${totalUpdated} updated, ${totalSkipped} unchanged.`);
+    log.info(`    Outcome: ${totalUpdated} updated, ${totalSkipped} unchanged.`, { collection: collectionPath, written: totalUpdated, skipped: totalSkipped });
   }
 
   return totalUpdated;
@@ -168,15 +203,54 @@ export async function batchWriteToFirestore(collectionPath, documents, merge = t
 /**
  * Updates Realtime Database for ultra-low latency live data
  * Path is the RTDB path, documents is an array of {id, data}
+ *
+ * With { diff: true } only records whose content hash changed since the last push are written,
+ * and records missing from a non-empty `documents` list are removed. The hashes outlive the
+ * process (see live-hashes.js), so a restarted live loop does not re-push everything.
+ *
+ * Diff options:
+ *   - summarize(data): compact summary stored with each hash (what onDiff sees as "previous")
+ *   - onDiff({ previous, baseline }): called when something changed; returns extra RTDB updates
+ *     written atomically with the records (used by the change feed). `previous` maps
+ *     id -> summary, `baseline` is true when nothing was known about this path yet.
+ * @returns {Object} { written, removed } record counts
  */
-export async function updateRealtimeDB(path, documents) {
-  const rtdb = getRealtimeDB();
+export async function updateRealtimeDB(path, documents, { diff = false, summarize = null, onDiff = null } = {}) {
   const updates = {};
-  
+  let changed = documents;
+  let removedIds = [];
+  const hashChanges = {};
+
+  if (diff) {
+    const previous = await getLiveHashes(path);
+    const current = {};
+    for (const doc of documents) {
+      current[doc.id] = { h: contentHash(stripNulls(doc.data)), ...(summarize ? { s: summarize(doc.data) } : {}) };
+    }
+
+    changed = documents.filter(doc => previous[doc.id]?.h !== current[doc.id].h);
+    // An empty response never removes anything (same rule as reconcileCollection)
+    removedIds = documents.length > 0 ? Object.keys(previous).filter(id => !(id in current)) : [];
+    if (changed.length === 0 && removedIds.length === 0) {
+      planLiveRecords(path, { unchanged: documents.length });
+      return { written: 0, removed: 0 };
+    }
+
+    changed.forEach(doc => { hashChanges[doc.id] = current[doc.id]; });
+    removedIds.forEach(id => { hashChanges[id] = null; updates[`${path}/${id}`] = null; });
+    Object.assign(updates, liveHashUpdates(path, hashChanges));
+
+    if (onDiff) {
+      const previousSummaries = {};
+      for (const [id, entry] of Object.entries(previous)) previousSummaries[id] = entry.s ?? null;
+      Object.assign(updates, onDiff({ previous: previousSummaries, baseline: Object.keys(previous).length === 0 }));
+    }
+  }
+
   // BLIND WRITE: We stop reading from RTDB to save "Download" bandwidth.
   // In RTDB, Uploads are free, but Downloads (Reading) cost money.
-  // We will rely on the in-memory cache in sync.js to avoid redundant writes.
-  for (const doc of documents) {
+  // We rely on the record hashes (or the caller's cache) to avoid redundant writes.
+  for (const doc of changed) {
     updates[`${path}/${doc.id}`] = {
       ...doc.data,
       lastUpdated: new Date().toISOString()
@@ -185,24 +259,136 @@ export async function updateRealtimeDB(path, documents) {
 
   try {
     if (Object.keys(updates).length > 0) {
-      await rtdb.ref().update(updates);
-      console.log(`    ⚡ [RTDB] Blind update: ${documents.length} records at "${path}"`);
+      await getStorage().updateLive(updates);
+      const removedNote = removedIds.length > 0 ? `, ${removedIds.length} removed` : '';
+      log.info(`    ⚡ [RTDB] Blind update: ${changed.length}/${documents.length} records at "${path}"${removedNote}`, { path, written: changed.length, removed: removedIds.length });
     }
   } catch (err) {
-    console.error(`    ❌ [RTDB] Failed: ${err.message}`);
+    log.error(`    ❌ [RTDB] Failed: ${err.message}`);
+    return { written: 0, removed: 0 };
   }
+
+  if (diff) setLiveHashes(path, hashChanges);
+  countLiveRecords({ written: changed.length, removed: removedIds.length });
+  planLiveRecords(path, { written: changed.length, unchanged: documents.length - changed.length, removed: removedIds.length });
+
+  return { written: changed.length, removed: removedIds.length };
 }
 
-export async function updateSyncProgress(progress) {
-  const db = getFirestore();
-  await db.collection('sync').doc('progress').set({
-    ...progress,
-    lastUpdated: FieldValue.serverTimestamp(),
-  }, { merge: true });
+/**
+ * Reconcile a collection against the IDs that still exist upstream.
+ * Docs missing upstream are tombstoned ({ removed: true, removedAt }) or deleted,
+ * depending on RECONCILE_MODE ('tombstone' | 'delete' | 'off').
+ *
+ * Safety: an empty upstream list never reconciles anything (an empty or failed API
+ * response must not wipe an event), and a run that would remove more than
+ * RECONCILE_MAX_RATIO of the live docs is skipped with a warning.
+ *
+ * A removed doc takes its `subcollections` (names, e.g. a division's matches and rankings) with it:
+ * deleted recursively in delete mode, every doc tombstoned in tombstone mode, so apps reading a
+ * subcollection directly never see it as live.
+ *
+ * @param {Object} options - { subcollections, mode, maxRemovalRatio }
+ * @returns {Array<string>} IDs that were removed
+ */
+export async function reconcileCollection(collectionPath, upstreamIds, options = {}) {
+  const mode = options.mode || getReconcileMode();
+  if (mode === 'off') return [];
+
+  if (!upstreamIds || upstreamIds.length === 0) return [];
+
+  const storage = getStorage();
+  const upstream = new Set(upstreamIds.map(String));
+
+  let docs;
+  try {
+    docs = await storage.listDocs(collectionPath, { fields: ['removed'] });
+  } catch (err) {
+    log.warn(`    ⚠️ [RECONCILE] Failed to list "${collectionPath}": ${err.message}`);
+    return [];
+  }
+
+  const liveDocs = docs.filter(d => d.data.removed !== true);
+  const stale = liveDocs.filter(d => !upstream.has(d.id));
+  if (stale.length === 0) return [];
+
+  const maxRemovals = Math.max(1, Math.floor(liveDocs.length * (options.maxRemovalRatio ?? getReconcileMaxRatio())));
+  if (stale.length > maxRemovals) {
+    log.warn(`    ⚠️ [RECONCILE] Refusing to remove ${stale.length}/${liveDocs.length} docs from "${collectionPath}" (cap ${maxRemovals}).`);
+    return [];
+  }
+
+  const staleIds = stale.map(d => d.id);
+  await removeDocs(collectionPath, staleIds, { ...options, mode });
+
+  log.info(`    🪦 [RECONCILE] ${mode === 'delete' ? 'Deleted' : 'Tombstoned'} ${staleIds.length} docs no longer upstream in "${collectionPath}": ${staleIds.join(', ')}`);
+  return staleIds;
+}
+
+/**
+ * Tombstone or delete docs by ID, following RECONCILE_MODE like reconcileCollection (nothing in 'off' mode).
+ * For docs the caller knows are gone: no upstream list and no removal cap.
+ * @param {Object} options - { mode, subcollections } as for reconcileCollection
+ */
+export async function removeDocs(collectionPath, ids, options = {}) {
+  const mode = options.mode || getReconcileMode();
+  const subcollections = options.subcollections || [];
+  if (mode === 'off' || ids.length === 0) return;
+
+  const storage = getStorage();
+  if (mode === 'delete') {
+    await storage.deleteDocs(collectionPath, ids, { recursive: subcollections.length > 0 });
+    return;
+  }
+
+  for (const id of ids) {
+    for (const name of subcollections) {
+      const children = await storage.listDocs(`${collectionPath}/${id}/${name}`, { fields: ['removed'] });
+      await tombstone(`${collectionPath}/${id}/${name}`, children.filter(d => d.data.removed !== true).map(d => d.id));
+    }
+  }
+  await tombstone(collectionPath, ids);
+}
+
+async function tombstone(collectionPath, ids) {
+  if (ids.length === 0) return;
+  const storage = getStorage();
+  await storage.setDocs(collectionPath, ids.map(id => ({
+    id,
+    data: { removed: true, removedAt: storage.serverTimestamp() },
+  })));
+}
+
+/**
+ * Remove RTDB nodes (e.g. live matches deleted upstream). Blind write, like updateRealtimeDB.
+ */
+export async function removeFromRealtimeDB(paths) {
+  if (paths.length === 0) return;
+  // Drop the live record hashes too, so a record that comes back is pushed again
+  const updates = await forgetLiveHashes(paths);
+  for (const path of paths) {
+    updates[path] = null;
+  }
+
+  try {
+    await getStorage().updateLive(updates);
+    log.info(`    ⚡ [RTDB] Removed ${paths.length} stale nodes`);
+  } catch (err) {
+    log.error(`    ❌ [RTDB] Failed to remove stale nodes: ${err.message}`);
+  }
+}
+
+/**
+ * Progress docs live under `sync/` ('progress' for the last run, 'checkpoint_{mode}' for resumable runs)
+ */
+export async function updateSyncProgress(progress, docId = 'progress') {
+  const storage = getStorage();
+  await storage.setDocs('sync', [{
+    id: docId,
+    data: { ...progress, lastUpdated: storage.serverTimestamp() },
+  }], { merge: true });
 }
 
-export async function getSyncProgress() {
-  const db = getFirestore();
-  const doc = await db.collection('sync').doc('progress').get();
-  return doc.exists ? doc.data() : null;
+export async function getSyncProgress(docId = 'progress') {
+  return getStorage().getDoc('sync', docId);
 }
@@ -0,0 +1,32 @@
+import { createHash } from 'crypto';
+
+/**
+ * Content hashing helpers
+ * Used to compare API payloads with stored documents independent of key order.
+ */
+
+/**
+ * JSON.stringify with object keys sorted recursively (undefined values dropped)
+ */
+export function stableStringify(value) {
+  if (value === undefined) return undefined;
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (typeof value.toDate === 'function') return JSON.stringify(value.toDate().toISOString());
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+
+  if (Array.isArray(value)) {
+    return `[${value.map(v => stableStringify(v) ?? 'null').join(',')}]`;
+  }
+
+  const parts = Object.keys(value).sort()
+    .filter(k => value[k] !== undefined)
+    .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`);
+  return `{${parts.join(',')}}`;
+}
+
+/**
+ * Short, stable content hash of a JSON-like value
+ */
+export function contentHash(value) {
+  return createHash('sha1').update(stableStringify(value) ?? '').digest('hex').slice(0, 16);
+}
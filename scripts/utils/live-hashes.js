@@ -0,0 +1,157 @@
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import { getLiveHashStore, getLiveHashFile, isDryRun } from '../config.js';
+import { getStorage } from '../storage/index.js';
+import { log } from './logger.js';
+
+/**
+ * Persistent per-record hashes of what the live sync pushed to RTDB
+ * Keyed by RTDB path (e.g. `live/{eventId}/{divId}/matches`) -> { recordId: { h, s } },
+ * where `h` is the record's content hash and `s` an optional compact summary
+ * (e.g. a match's scores) that the change feed diffs against.
+ *
+ * Stores (LIVE_HASH_STORE):
+ * - 'rtdb': mirrored under `live_hashes/...` and written in the same multi-path update as the data,
+ *   so hashes and records can never drift apart. Read once per path per process.
+ * - 'file': one JSON file (LIVE_HASH_FILE), rewritten after every change.
+ * - 'off':  in memory only (diffs still per record, but lost on restart).
+ */
+
+const HASH_ROOT = 'live_hashes';
+
+const memory = new Map(); // RTDB path -> { id: hash }
+let fileLoaded = false;
+let fileWrite = Promise.resolve();
+
+/**
+ * RTDB path holding the hashes of a `live/` path (null for paths outside `live/`)
+ */
+export function hashPathFor(rtdbPath) {
+  const match = rtdbPath.match(/^live(\/.*)?$/);
+  return match ? `${HASH_ROOT}${match[1] || ''}` : null;
+}
+
+async function loadFile() {
+  if (fileLoaded) return;
+  fileLoaded = true;
+  try {
+    const stored = JSON.parse(await readFile(getLiveHashFile(), 'utf8'));
+    for (const [key, hashes] of Object.entries(stored)) {
+      if (!memory.has(key)) memory.set(key, hashes);
+    }
+  } catch {
+    // Missing or unreadable file: start from scratch
+  }
+}
+
+function saveFile() {
+  // A dry run pushed nothing, so the file must keep describing what RTDB really holds
+  if (isDryRun()) return fileWrite;
+  const file = getLiveHashFile();
+  const snapshot = JSON.stringify(Object.fromEntries(memory));
+  // Serialize writes so an older snapshot never overwrites a newer one
+  fileWrite = fileWrite.then(async () => {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, snapshot);
+    await rename(tmp, file);
+  }).catch(err => log.warn(`    ⚠️ [LIVE HASHES] Could not write ${file}: ${err.message}`));
+  return fileWrite;
+}
+
+/**
+ * Entries last pushed for an RTDB path ({} when unknown)
+ */
+export async function getLiveHashes(rtdbPath) {
+  if (memory.has(rtdbPath)) return memory.get(rtdbPath);
+
+  const store = getLiveHashStore();
+  if (store === 'file') {
+    await loadFile();
+  } else if (store === 'rtdb') {
+    const hashPath = hashPathFor(rtdbPath);
+    if (hashPath) {
+      try {
+        const entries = await getStorage().readLive(hashPath);
+        if (!memory.has(rtdbPath)) memory.set(rtdbPath, entries || {});
+      } catch (err) {
+        log.warn(`    ⚠️ [LIVE HASHES] Could not read "${hashPath}": ${err.message}`);
+      }
+    }
+  }
+
+  if (!memory.has(rtdbPath)) memory.set(rtdbPath, {});
+  return memory.get(rtdbPath);
+}
+
+/**
+ * RTDB updates that store entry changes next to the data ('rtdb' store only, else {}).
+ * Apply them in the same update as the records (null entry = record removed).
+ */
+export function liveHashUpdates(rtdbPath, changes) {
+  const hashPath = hashPathFor(rtdbPath);
+  if (getLiveHashStore() !== 'rtdb' || !hashPath) return {};
+  const updates = {};
+  for (const [id, entry] of Object.entries(changes)) {
+    updates[`${hashPath}/${id}`] = entry;
+  }
+  return updates;
+}
+
+/**
+ * Record entry changes once the records were written (null entry = record removed)
+ */
+export function setLiveHashes(rtdbPath, changes) {
+  const hashes = { ...(memory.get(rtdbPath) || {}) };
+  for (const [id, entry] of Object.entries(changes)) {
+    if (entry === null) delete hashes[id];
+    else hashes[id] = entry;
+  }
+  memory.set(rtdbPath, hashes);
+  if (getLiveHashStore() === 'file') saveFile();
+}
+
+/**
+ * Forget hashes under removed RTDB paths (e.g. a pruned `live/{eventId}`).
+ * @returns {Object} Extra RTDB updates to apply with the removal ('rtdb' store), else {}
+ */
+export async function forgetLiveHashes(rtdbPaths) {
+  const store = getLiveHashStore();
+  if (store === 'file') await loadFile();
+
+  let changed = false;
+  for (const removed of rtdbPaths) {
+    for (const key of [...memory.keys()]) {
+      if (key === removed || key.startsWith(`${removed}/`)) {
+        memory.delete(key);
+        changed = true;
+      } else if (removed.startsWith(`${key}/`)) {
+        // A single record under a tracked path
+        const id = removed.slice(key.length + 1);
+        const hashes = memory.get(key);
+        if (!id.includes('/') && hashes[id] !== undefined) {
+          const { [id]: _, ...rest } = hashes;
+          memory.set(key, rest);
+          changed = true;
+        }
+      }
+    }
+  }
+
+  if (store === 'file' && changed) saveFile();
+  if (store !== 'rtdb') return {};
+
+  const updates = {};
+  for (const removed of rtdbPaths) {
+    const hashPath = hashPathFor(removed);
+    if (hashPath && hashPath !== HASH_ROOT) updates[hashPath] = null;
+  }
+  return updates;
+}
+
+/**
+ * Wait for pending hash file writes (call before the process exits)
+ */
+export async function flushLiveHashes() {
+  await fileWrite;
+}
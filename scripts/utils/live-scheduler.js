@@ -0,0 +1,115 @@
+/**
+ * Adaptive live polling schedule
+ * Decides, per division, when to poll next from the `scheduled` / `started` / `scored`
+ * fields of the matches we just fetched:
+ * - ACTIVE:  a match is in progress, overdue, or due soon -> poll fast
+ * - WAITING: the next match is scheduled later -> wake up shortly before it
+ * - IDLE:    nothing scheduled (lunch, alliance selection, schedule not published) -> back off
+ * - SETTLING: the final was won in a single match, which is either a best-of-1 final or F1 of a
+ *            best-of-3 (F2 / F3 only appear once F1 is scored) -> poll slowly for FINAL_GRACE_MS
+ * - DONE:    elimination matches are complete -> stop polling
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+export const POLL_FAST_MS = 30 * SECOND;
+export const POLL_IDLE_MIN_MS = 60 * SECOND;
+export const POLL_IDLE_MAX_MS = 5 * MINUTE;
+const DUE_SOON_MS = 10 * MINUTE; // a match scheduled within this window counts as due
+const WAKE_LEAD_MS = 5 * MINUTE; // wake this long before the next scheduled match
+const FINAL_GRACE_MS = 20 * MINUTE; // keep polling this long after a final won in a single match
+const BEST_OF_3_WINS = 2;
+
+// RobotEvents match rounds
+const ROUND_PRACTICE = 1;
+const ROUND_QUALIFICATION = 2;
+export const ROUND_FINAL = 5;
+export const ROUND_TOP_N = 8; // VIQRC teamwork finals
+
+export function isElim(match) {
+  return match.round !== ROUND_PRACTICE && match.round !== ROUND_QUALIFICATION;
+}
+
+// Matches as fetched, or the { red, blue } score summaries of the change feed
+function scoreOf(match, color) {
+  return color in match ? match[color] : (match.alliances || []).find(a => a.color === color)?.score;
+}
+
+/**
+ * Final matches won per alliance color (ties are replayed, so they decide nothing)
+ */
+function finalWins(matches) {
+  const wins = { red: 0, blue: 0 };
+  for (const match of matches) {
+    if (match.round !== ROUND_FINAL || !match.scored) continue;
+    const red = scoreOf(match, 'red');
+    const blue = scoreOf(match, 'blue');
+    if (red > blue) wins.red++;
+    else if (blue > red) wins.blue++;
+  }
+  return wins;
+}
+
+/**
+ * True once the division's elimination bracket has been played out: every elim is scored and an
+ * alliance has won the final (a majority of its decided matches, so 1-1 waits for F3)
+ */
+export function elimsComplete(matches) {
+  const elims = matches.filter(isElim);
+  if (elims.length === 0 || !elims.every(m => m.scored)) return false;
+  if (!elims.some(m => m.round === ROUND_FINAL)) return elims.some(m => m.round === ROUND_TOP_N);
+
+  const { red, blue } = finalWins(elims);
+  return Math.max(red, blue) >= Math.floor((red + blue) / 2) + 1;
+}
+
+/**
+ * When the last elimination match started (or was scheduled), null if unknown
+ */
+function lastElimAt(matches) {
+  const times = matches
+    .filter(isElim)
+    .map(m => new Date(m.started || m.scheduled).getTime())
+    .filter(t => !isNaN(t));
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Work out when to poll a division next
+ * @param {Array} matches - Matches just fetched for the division
+ * @param {Object} previous - Previous schedule entry ({ idleStreak }) or null
+ * @returns {Object} { state, delayMs, idleStreak, reason }
+ */
+export function planNextPoll(matches, previous = null, now = Date.now()) {
+  if (elimsComplete(matches)) {
+    const { red, blue } = finalWins(matches);
+    const lastAt = lastElimAt(matches);
+    const clinched = Math.max(red, blue) >= BEST_OF_3_WINS || !matches.some(m => m.round === ROUND_FINAL);
+    if (!clinched && lastAt !== null && now - lastAt < FINAL_GRACE_MS) {
+      return { state: 'settling', delayMs: POLL_IDLE_MAX_MS, idleStreak: 0, reason: 'final won in one match, watching for F2' };
+    }
+    return { state: 'done', delayMs: null, idleStreak: 0, reason: 'elims complete' };
+  }
+
+  const pending = matches.filter(m => !m.scored);
+  const inProgress = pending.some(m => m.started && new Date(m.started).getTime() <= now);
+  const dueTimes = pending
+    .map(m => (m.scheduled ? new Date(m.scheduled).getTime() : null))
+    .filter(t => t !== null && !isNaN(t));
+  const nextDue = dueTimes.length > 0 ? Math.min(...dueTimes) : null;
+
+  if (inProgress || (nextDue !== null && nextDue - now <= DUE_SOON_MS)) {
+    return { state: 'active', delayMs: POLL_FAST_MS, idleStreak: 0, reason: inProgress ? 'match in progress' : 'match due' };
+  }
+
+  if (nextDue !== null) {
+    const delayMs = Math.min(POLL_IDLE_MAX_MS, Math.max(POLL_FAST_MS, nextDue - now - WAKE_LEAD_MS));
+    return { state: 'waiting', delayMs, idleStreak: 0, reason: `next match at ${new Date(nextDue).toISOString()}` };
+  }
+
+  // Nothing scheduled: back off exponentially up to the idle ceiling
+  const idleStreak = (previous?.idleStreak || 0) + 1;
+  const delayMs = Math.min(POLL_IDLE_MAX_MS, POLL_IDLE_MIN_MS * Math.pow(2, idleStreak - 1));
+  return { state: 'idle', delayMs, idleStreak, reason: matches.length === 0 ? 'no schedule yet' : 'nothing scheduled' };
+}
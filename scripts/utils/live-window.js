@@ -0,0 +1,66 @@
+import { getLivePaddingHours } from '../config.js';
+import { resolveEventTimeZone, zonedMidnight, zonedDay } from './timezones.js';
+
+/**
+ * Live window helpers
+ * Decide whether an event should be polled by the live sync.
+ *
+ * An event's start/end are calendar days in the event's local timezone, so the live
+ * window runs from local midnight of the start day to local midnight after the end day,
+ * widened by LIVE_PADDING_BEFORE_HOURS / LIVE_PADDING_AFTER_HOURS.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Calendar day of an event date, as listed by RobotEvents (the date part of the string)
+function eventDay(value, timeZone) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : zonedDay(new Date(value), timeZone);
+}
+
+// The calendar day after a YYYY-MM-DD day
+function nextDay(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Absolute live window of an event
+ * @returns {Object|null} { start, end } in UTC ms, plus the resolved timeZone; null without dates
+ */
+export function getLiveWindow(event) {
+  const timeZone = resolveEventTimeZone(event);
+  const startDay = eventDay(event.start, timeZone);
+  const endDay = eventDay(event.end || event.start, timeZone);
+  if (!startDay || !endDay) return null;
+
+  const { before, after } = getLivePaddingHours();
+  const localStart = zonedMidnight(startDay, timeZone);
+  // Midnight of the next local day: a DST change makes the end day 23 or 25 hours long
+  const localEnd = zonedMidnight(nextDay(endDay), timeZone);
+
+  return {
+    timeZone,
+    start: localStart - before * HOUR,
+    end: localEnd + after * HOUR,
+  };
+}
+
+/**
+ * Event is "Live" if now falls inside its local live window
+ */
+export function isEventLive(event, now = new Date()) {
+  const window = getLiveWindow(event);
+  if (!window) return false;
+  return now.getTime() >= window.start && now.getTime() < window.end;
+}
+
+/**
+ * Milliseconds since the event's live window closed (negative while it is still open)
+ */
+export function msSinceLiveWindowEnd(event, now = new Date()) {
+  const window = getLiveWindow(event);
+  if (!window) return -Infinity;
+  return now.getTime() - window.end;
+}
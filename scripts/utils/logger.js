@@ -0,0 +1,62 @@
+import { getLogLevel, getLogFormat } from '../config.js';
+
+/**
+ * Leveled logger
+ * LOG_FORMAT=text (default) prints the message as before; LOG_FORMAT=json prints one object per line:
+ *   { "ts": "...", "level": "info", "msg": "...", "runId": "...", ...fields }
+ *
+ * The second argument carries structured fields: a plain object is merged into the JSON line
+ * (text output ignores it), an Error or any other value is printed after the message in text
+ * output and stored as `error` in JSON output.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONSOLE = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+const LEADING_DECORATION = /^[\s\p{Extended_Pictographic}\uFE0F\u200D]+/u;
+
+const context = {};
+
+/**
+ * Fields added to every JSON line from now on (e.g. the runId of the current sync)
+ */
+export function setLogContext(fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) delete context[key];
+    else context[key] = value;
+  }
+}
+
+/**
+ * True when logs are JSON lines (progress output that is not a full line should be skipped)
+ */
+export function isJsonLogs() {
+  return getLogFormat() === 'json';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function write(level, message, detail) {
+  if (LEVELS[level] < LEVELS[getLogLevel()]) return;
+  const method = CONSOLE[level];
+
+  if (!isJsonLogs()) {
+    if (detail === undefined || isPlainObject(detail)) console[method](message);
+    else console[method](message, detail);
+    return;
+  }
+
+  const line = { ts: new Date().toISOString(), level, msg: String(message).replace(LEADING_DECORATION, ''), ...context };
+  if (isPlainObject(detail)) Object.assign(line, detail);
+  else if (detail instanceof Error) Object.assign(line, { error: detail.message, stack: detail.stack });
+  else if (detail !== undefined) line.error = String(detail);
+  console[method](JSON.stringify(line));
+}
+
+export const log = {
+  debug: (message, detail) => write('debug', message, detail),
+  info: (message, detail) => write('info', message, detail),
+  warn: (message, detail) => write('warn', message, detail),
+  error: (message, detail) => write('error', message, detail),
+};
@@ -1,51 +1,140 @@
+import { getMaxConcurrency } from '../config.js';
+import { runPool } from './worker-pool.js';
+import { log } from './logger.js';
+
 /**
  * Pagination handler for RobotEvents API
- * RobotEvents API uses pagination with per_page and page parameters
+ * RobotEvents API uses pagination with per_page and page parameters.
+ * Paginated responses carry a `meta` object (PageMeta in swagger.yml) with
+ * `current_page`, `last_page` and `total`, which tells us exactly how many pages to fetch.
  */
 
-export async function fetchAllPages(fetchFunction, initialParams = {}) {
-  const allData = [];
-  let page = 1;
-  let hasMore = true;
-  const perPage = 250; // Maximum per page for RobotEvents API
+const PER_PAGE = 250; // Maximum per page for RobotEvents API
+const MAX_PAGES = 1000; // Safety limit to prevent infinite loops
 
-  while (hasMore) {
-    try {
-      const params = {
-        ...initialParams,
-        per_page: perPage,
-        page: page,
-      };
-
-      const response = await fetchFunction(params);
-      const data = response.data || response;
-      
-      if (Array.isArray(data)) {
-        allData.push(...data);
-        // If we got fewer items than per_page, we've reached the end
-        hasMore = data.length === perPage;
-      } else if (data.data && Array.isArray(data.data)) {
-        allData.push(...data.data);
-        hasMore = data.data.length === perPage;
-      } else {
-        // Single object or unexpected format
-        allData.push(data);
-        hasMore = false;
-      }
+/**
+ * Split a page response into its items and PageMeta (if any)
+ */
+function parsePage(response) {
+  const data = response.data || response;
+
+  if (Array.isArray(data)) {
+    return { items: data, meta: null };
+  }
+  if (data.data && Array.isArray(data.data)) {
+    return { items: data.data, meta: data.meta || null };
+  }
+  // Single object or unexpected format
+  return { items: [data], meta: null, single: true };
+}
+
+function fetchPage(fetchFunction, initialParams, page) {
+  return fetchFunction({
+    ...initialParams,
+    per_page: PER_PAGE,
+    page: page,
+  });
+}
+
+function lastPageOf(meta) {
+  if (!meta) return null;
+  if (meta.last_page) return Math.min(meta.last_page, MAX_PAGES);
+  if (meta.total !== undefined && meta.per_page) return Math.min(Math.max(1, Math.ceil(meta.total / meta.per_page)), MAX_PAGES);
+  return null;
+}
 
-      page++;
-      
-      // Safety check to prevent infinite loops
-      if (page > 1000) {
-        console.warn('Reached maximum page limit (1000), stopping pagination');
+/**
+ * Fetch every page and return all items.
+ * Page 1 is fetched first; when it carries PageMeta the remaining pages are fetched
+ * concurrently and stop exactly at `last_page`. Without PageMeta, falls back to
+ * fetching until a short page.
+ */
+export async function fetchAllPages(fetchFunction, initialParams = {}, { concurrency = getMaxConcurrency() } = {}) {
+  let first;
+  try {
+    first = parsePage(await fetchPage(fetchFunction, initialParams, 1));
+  } catch (error) {
+    log.error(`Error fetching page 1:`, error.message);
+    throw error;
+  }
+
+  if (first.single) return first.items;
+
+  const lastPage = lastPageOf(first.meta);
+
+  // No metadata: walk pages until one comes back short
+  if (lastPage === null) {
+    const allData = [...first.items];
+    let hasMore = first.items.length === PER_PAGE;
+    let page = 2;
+
+    while (hasMore) {
+      if (page > MAX_PAGES) {
+        log.warn(`Reached maximum page limit (${MAX_PAGES}), stopping pagination`);
         break;
       }
+      try {
+        const { items } = parsePage(await fetchPage(fetchFunction, initialParams, page));
+        allData.push(...items);
+        hasMore = items.length === PER_PAGE;
+        page++;
+      } catch (error) {
+        log.error(`Error fetching page ${page}:`, error.message);
+        throw error;
+      }
+    }
+    return allData;
+  }
+
+  // Remaining pages in parallel, reassembled in page order
+  const remaining = [];
+  for (let page = 2; page <= lastPage; page++) remaining.push(page);
+
+  const pages = new Array(remaining.length);
+  await runPool(remaining, async (page, i) => {
+    try {
+      pages[i] = parsePage(await fetchPage(fetchFunction, initialParams, page)).items;
     } catch (error) {
-      console.error(`Error fetching page ${page}:`, error.message);
+      log.error(`Error fetching page ${page}:`, error.message);
       throw error;
     }
-  }
+  }, { concurrency });
 
-  return allData;
+  return first.items.concat(...pages);
 }
 
+/**
+ * Stream items page by page instead of buffering the whole collection.
+ * The next page is prefetched while the current one is being consumed.
+ *
+ *   for await (const event of iterateAllPages(fetchPage)) { ... }
+ */
+export async function* iterateAllPages(fetchFunction, initialParams = {}) {
+  let page = 1;
+  let pending = fetchPage(fetchFunction, initialParams, page);
+
+  while (pending) {
+    let parsed;
+    try {
+      parsed = parsePage(await pending);
+    } catch (error) {
+      log.error(`Error fetching page ${page}:`, error.message);
+      throw error;
+    }
+
+    const lastPage = lastPageOf(parsed.meta);
+    const hasMore = !parsed.single && (lastPage !== null ? page < lastPage : parsed.items.length === PER_PAGE);
+
+    if (hasMore && page >= MAX_PAGES) {
+      log.warn(`Reached maximum page limit (${MAX_PAGES}), stopping pagination`);
+    }
+
+    // Prefetch the next page before handing out this one
+    page++;
+    pending = hasMore && page <= MAX_PAGES ? fetchPage(fetchFunction, initialParams, page) : null;
+    // Avoid an unhandled rejection if the consumer stops early
+    pending?.catch(() => {});
+
+    yield* parsed.items;
+  }
+}
@@ -1,30 +1,276 @@
 /**
  * Rate limiter utility for RobotEvents API
+ * Per-key token buckets that learn each key's budget from the response headers
+ * (X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset) and honor Retry-After.
  */
 
-let currentKeyIndex = 0;
+// Budget assumed for a key until its response headers tell us otherwise
+const DEFAULT_LIMIT = 120; // requests per window
+const DEFAULT_WINDOW_MS = 60000;
+const DEFAULT_BURST = 5; // tokens a fresh key may spend at once
+const DEFAULT_COOLDOWN_MS = 60000; // 429 without Retry-After / reset headers
 
-export function getNextApiKey(apiKeys) {
+const keyStates = new Map(); // key -> bucket + stats
+
+function createState() {
+  return {
+    capacity: DEFAULT_BURST,
+    tokens: DEFAULT_BURST,
+    refillPerMs: DEFAULT_LIMIT / DEFAULT_WINDOW_MS,
+    lastRefill: Date.now(),
+    cooldownUntil: 0,
+    blacklisted: false,
+    inFlight: false,
+    learned: false,
+    stats: {
+      requests: 0,
+      successes: 0,
+      rateLimited: 0,
+      unauthorized: 0,
+      serverErrors: 0,
+      networkErrors: 0,
+      totalLatencyMs: 0,
+      limit: null,
+      remaining: null,
+      lastStatus: null,
+    },
+  };
+}
+
+function getState(key) {
+  if (!keyStates.has(key)) keyStates.set(key, createState());
+  return keyStates.get(key);
+}
+
+function refill(state, now) {
+  const elapsed = now - state.lastRefill;
+  if (elapsed > 0) {
+    state.tokens = Math.min(state.capacity, state.tokens + elapsed * state.refillPerMs);
+    state.lastRefill = now;
+  }
+}
+
+function isHealthy(state, now) {
+  return !state.blacklisted && state.cooldownUntil <= now;
+}
+
+// Read a header regardless of casing (axios lowercases, AxiosHeaders exposes get())
+function header(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    const value = headers.get(name);
+    if (value !== undefined && value !== null) return value;
+  }
+  return headers[name.toLowerCase()] ?? headers[name];
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// X-RateLimit-Reset can be an epoch timestamp or seconds until reset
+function parseResetMs(value, now) {
+  const num = Number(value);
+  if (value === undefined || value === null || isNaN(num)) return null;
+  return num > 1e9 ? Math.max(0, num * 1000 - now) : Math.max(0, num * 1000);
+}
+
+/**
+ * Jittered exponential backoff ("equal jitter") for 5xx responses and network errors
+ */
+export function backoffDelay(attempt, baseMs = 1000, maxMs = 30000) {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Lease a key for one request.
+ * Picks the healthy, idle key with the most tokens and spends one token.
+ * @returns {Object} { key } on success, or { key: null, waitMs, reason } when the caller must wait
+ *   reason is 'busy' (keys in use by other workers), 'throttled' (buckets empty),
+ *   'cooldown' (every key rate limited) or 'exhausted' (every key blacklisted)
+ */
+export function acquireKey(apiKeys) {
   if (!apiKeys || apiKeys.length === 0) {
     throw new Error('No API keys available');
   }
 
-  // If index is out of bounds (due to changing list size), reset it
-  if (currentKeyIndex >= apiKeys.length) {
-    currentKeyIndex = 0;
+  const now = Date.now();
+  let best = null;
+  let bestState = null;
+  let soonestToken = Infinity;
+  let anyHealthy = false;
+  let anyIdle = false;
+
+  for (const key of apiKeys) {
+    const state = getState(key);
+    refill(state, now);
+    if (!isHealthy(state, now)) continue;
+    anyHealthy = true;
+    if (state.inFlight) continue;
+    anyIdle = true;
+
+    if (state.tokens >= 1) {
+      if (!bestState || state.tokens > bestState.tokens) {
+        best = key;
+        bestState = state;
+      }
+    } else {
+      soonestToken = Math.min(soonestToken, (1 - state.tokens) / state.refillPerMs);
+    }
   }
 
-  // Rotate through keys
-  const key = apiKeys[currentKeyIndex];
-  currentKeyIndex = (currentKeyIndex + 1) % apiKeys.length;
-  
-  return key;
+  if (best) {
+    bestState.tokens -= 1;
+    bestState.inFlight = true;
+    bestState.stats.requests++;
+    return { key: best };
+  }
+
+  if (anyHealthy) {
+    if (!anyIdle) return { key: null, waitMs: 100, reason: 'busy' };
+    return { key: null, waitMs: Math.max(50, Math.ceil(soonestToken)), reason: 'throttled' };
+  }
+
+  const cooldowns = apiKeys
+    .map(k => getState(k))
+    .filter(s => !s.blacklisted && s.cooldownUntil > now)
+    .map(s => s.cooldownUntil);
+
+  if (cooldowns.length === 0) {
+    return { key: null, waitMs: 0, reason: 'exhausted' };
+  }
+
+  return { key: null, waitMs: Math.min(...cooldowns) - now, reason: 'cooldown' };
 }
 
-export async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Return a leased key to the pool
+ */
+export function releaseKey(key) {
+  getState(key).inFlight = false;
+}
+
+/**
+ * Learn the key's budget from a successful response's headers
+ */
+export function recordSuccess(key, headers, latencyMs = 0) {
+  const state = getState(key);
+  const now = Date.now();
+  state.stats.successes++;
+  state.stats.totalLatencyMs += latencyMs;
+  state.stats.lastStatus = 200;
+  learnFromHeaders(state, headers, now);
+}
+
+function learnFromHeaders(state, headers, now) {
+  const limit = parseInt(header(headers, 'X-RateLimit-Limit'));
+  const remaining = parseInt(header(headers, 'X-RateLimit-Remaining'));
+  const resetMs = parseResetMs(header(headers, 'X-RateLimit-Reset'), now);
+
+  if (!isNaN(limit) && limit > 0) {
+    state.stats.limit = limit;
+    state.capacity = limit;
+    state.refillPerMs = limit / DEFAULT_WINDOW_MS; // RobotEvents throttles per minute
+    state.learned = true;
+  }
+
+  if (!isNaN(remaining)) {
+    state.stats.remaining = remaining;
+    // The server is authoritative about what's left in the window
+    state.tokens = Math.min(state.capacity, remaining);
+    state.lastRefill = now;
+
+    if (remaining <= 0) {
+      state.cooldownUntil = Math.max(state.cooldownUntil, now + (resetMs ?? 1000 / state.refillPerMs));
+    }
+  }
+}
+
+/**
+ * Put a key on cooldown after a 429, for as long as the server asks
+ * @returns {number} Cooldown applied, in ms
+ */
+export function recordRateLimited(key, headers) {
+  const state = getState(key);
+  const now = Date.now();
+  state.stats.rateLimited++;
+  state.stats.lastStatus = 429;
+
+  const cooldownMs = parseRetryAfter(header(headers, 'Retry-After'), now)
+    ?? parseResetMs(header(headers, 'X-RateLimit-Reset'), now)
+    ?? DEFAULT_COOLDOWN_MS;
+
+  state.cooldownUntil = now + cooldownMs;
+  state.tokens = 0;
+  state.lastRefill = now;
+  return cooldownMs;
+}
+
+/**
+ * Stop using a key for the rest of the process (401)
+ */
+export function blacklistKey(key) {
+  const state = getState(key);
+  state.blacklisted = true;
+  state.stats.unauthorized++;
+  state.stats.lastStatus = 401;
 }
 
-export function resetKeyRotation() {
-  currentKeyIndex = 0;
+/**
+ * Count a 5xx or network failure against a key
+ */
+export function recordFailure(key, status = null) {
+  const state = getState(key);
+  if (status) {
+    state.stats.serverErrors++;
+  } else {
+    state.stats.networkErrors++;
+  }
+  state.stats.lastStatus = status || 'network';
+}
+
+/**
+ * Keys that are neither blacklisted nor cooling down
+ */
+export function countHealthyKeys(apiKeys) {
+  const now = Date.now();
+  return apiKeys.filter(k => isHealthy(getState(k), now)).length;
+}
+
+/**
+ * Per-key stats (keys are masked to their last 6 characters)
+ */
+export function getKeyStats() {
+  const now = Date.now();
+  return [...keyStates.entries()].map(([key, state]) => {
+    refill(state, now);
+    return {
+      key: `…${key.slice(-6)}`,
+      status: state.blacklisted ? 'blacklisted' : state.cooldownUntil > now ? 'cooldown' : 'healthy',
+      tokens: Math.floor(state.tokens),
+      learnedBudget: state.learned,
+      cooldownRemainingMs: Math.max(0, state.cooldownUntil - now),
+      ...state.stats,
+      avgLatencyMs: state.stats.successes > 0 ? Math.round(state.stats.totalLatencyMs / state.stats.successes) : null,
+    };
+  });
+}
+
+/**
+ * Forget all per-key state
+ */
+export function resetKeyStates() {
+  keyStates.clear();
+}
+
+export async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -0,0 +1,244 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, rename, readdir, stat, unlink } from 'fs/promises';
+import path from 'path';
+import { getApiCacheDir, getApiCacheMode } from '../config.js';
+import { log } from './logger.js';
+
+/**
+ * Persistent HTTP response cache for the RobotEvents API
+ * Bodies are stored on disk keyed by URL + params, so the directory can be
+ * restored between GitHub Actions runs with actions/cache.
+ *
+ * Freshness:
+ * - Each endpoint has a TTL; within it the cached body is returned without a request.
+ * - Past the TTL the request is made conditional (If-None-Match / If-Modified-Since)
+ *   and a 304 reuses the cached body.
+ * - Everything under /events/{id} changes rarely once the event is over (see FINISHED_AFTER_MS):
+ *   it gets FINISHED_TTL_MS, after which an ETag revalidation still catches late corrections.
+ *   Newly finished events are recorded in memory and written once by flushResponseCache().
+ * - flushResponseCache() also prunes entries nobody stored or revalidated for PRUNE_AFTER_MS, so the
+ *   directory restored by every workflow does not grow forever.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// An event's data is treated as final this long after its end date
+const FINISHED_AFTER_MS = 3 * DAY;
+// Final data is still revalidated this often (results and awards do get corrected after the fact)
+const FINISHED_TTL_MS = 7 * DAY;
+
+// Past every TTL and unused for another week: nothing will revalidate it, so it is pruned
+const PRUNE_AFTER_MS = 2 * FINISHED_TTL_MS;
+const PRUNE_INTERVAL_MS = HOUR; // Long-lived processes (request worker) prune at most this often
+
+// First match wins; TTL 0 = always revalidate
+const ENDPOINT_TTLS = [
+  { pattern: /\/programs$/, ttl: DAY },
+  { pattern: /\/seasons$/, ttl: 6 * HOUR },
+  { pattern: /\/seasons\/\d+\/events$/, ttl: 30 * MINUTE },
+  { pattern: /\/events\/\d+$/, ttl: HOUR },
+  { pattern: /\/events\/\d+\/(teams|awards)$/, ttl: HOUR },
+];
+
+const FINISHED_EVENTS_FILE = 'finished-events.json';
+let finishedEvents = null; // Set of event IDs whose data is final
+let finishedDirty = false; // finishedEvents has IDs that are not on disk yet
+
+let modeOverride = null; // Run-scoped mode (see setCacheModeOverride)
+let lastPruneAt = 0;
+
+function cacheKey(endpoint, params) {
+  const sorted = Object.keys(params).sort().reduce((acc, k) => {
+    acc[k] = params[k];
+    return acc;
+  }, {});
+  return createHash('sha1').update(`${endpoint}?${JSON.stringify(sorted)}`).digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(getApiCacheDir(), key.slice(0, 2), `${key}.json`);
+}
+
+async function writeJsonAtomic(file, value) {
+  await mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(tmp, JSON.stringify(value));
+  await rename(tmp, file);
+}
+
+async function loadFinishedEvents() {
+  if (finishedEvents) return finishedEvents;
+  try {
+    const raw = await readFile(path.join(getApiCacheDir(), FINISHED_EVENTS_FILE), 'utf8');
+    finishedEvents = new Set(JSON.parse(raw));
+  } catch {
+    finishedEvents = new Set();
+  }
+  return finishedEvents;
+}
+
+// Remember events that are over so their subcollections are revalidated only every FINISHED_TTL_MS
+async function noteEventDetails(endpoint, data) {
+  const match = endpoint.match(/\/events\/(\d+)$/);
+  if (!match || !data?.end) return;
+
+  const ended = Date.now() - new Date(data.end).getTime() > FINISHED_AFTER_MS;
+  const finished = await loadFinishedEvents();
+  if (ended && !finished.has(match[1])) {
+    finished.add(match[1]);
+    finishedDirty = true;
+  }
+}
+
+/**
+ * Delete entries (and leftover temp files) not written for PRUNE_AFTER_MS; a revalidation rewrites the entry
+ * @returns {number} files deleted
+ */
+export async function pruneResponseCache(now = Date.now()) {
+  const root = getApiCacheDir();
+  let pruned = 0;
+
+  let shards;
+  try {
+    shards = await readdir(root, { withFileTypes: true });
+  } catch {
+    return 0; // No cache yet
+  }
+
+  for (const shard of shards.filter(entry => entry.isDirectory())) {
+    const dir = path.join(root, shard.name);
+    for (const name of await readdir(dir)) {
+      const file = path.join(dir, name);
+      try {
+        if (now - (await stat(file)).mtimeMs <= PRUNE_AFTER_MS) continue;
+        await unlink(file);
+        pruned++;
+      } catch {
+        // Removed by another process in the meantime
+      }
+    }
+  }
+
+  if (pruned > 0) log.info(`    🧹 [CACHE] Pruned ${pruned} expired responses`, { pruned });
+  return pruned;
+}
+
+/**
+ * Write the events found finished during this run and prune expired entries (once, at the end of the run)
+ */
+export async function flushResponseCache() {
+  if (finishedDirty) {
+    try {
+      await writeJsonAtomic(path.join(getApiCacheDir(), FINISHED_EVENTS_FILE), [...finishedEvents]);
+      finishedDirty = false;
+    } catch (err) {
+      log.warn(`    ⚠️ [CACHE] Failed to store the finished events: ${err.message}`);
+    }
+  }
+
+  if (isCacheEnabled() && Date.now() - lastPruneAt >= PRUNE_INTERVAL_MS) {
+    lastPruneAt = Date.now();
+    try {
+      await pruneResponseCache();
+    } catch (err) {
+      log.warn(`    ⚠️ [CACHE] Failed to prune expired responses: ${err.message}`);
+    }
+  }
+}
+
+async function getTtlMs(endpoint) {
+  const eventMatch = endpoint.match(/\/events\/(\d+)(\/|$)/);
+  if (eventMatch && (await loadFinishedEvents()).has(eventMatch[1])) {
+    return FINISHED_TTL_MS;
+  }
+  const rule = ENDPOINT_TTLS.find(r => r.pattern.test(endpoint));
+  return rule ? rule.ttl : 0;
+}
+
+/**
+ * Override API_CACHE for the current run (null restores it)
+ * On-demand syncs use 'refresh' so a fresh TTL never hides upstream changes. API_CACHE=off still wins.
+ */
+export function setCacheModeOverride(mode) {
+  modeOverride = mode;
+}
+
+function cacheMode() {
+  const mode = getApiCacheMode();
+  return mode === 'off' ? mode : modeOverride || mode;
+}
+
+/**
+ * Whether the cache is active ('off' disables it entirely)
+ */
+export function isCacheEnabled() {
+  return cacheMode() !== 'off';
+}
+
+/**
+ * Look up a cached response.
+ * @returns {Object|null} { entry, fresh } - fresh entries can be used without a request
+ */
+export async function getCachedResponse(endpoint, params = {}) {
+  if (!isCacheEnabled()) return null;
+
+  let entry;
+  try {
+    entry = JSON.parse(await readFile(entryPath(cacheKey(endpoint, params)), 'utf8'));
+  } catch {
+    return null;
+  }
+
+  // 'refresh' mode revalidates everything, ignoring TTLs
+  const ttl = cacheMode() === 'refresh' ? 0 : await getTtlMs(endpoint);
+  const fresh = Date.now() - entry.storedAt < ttl;
+  return { entry, fresh };
+}
+
+/**
+ * Conditional request headers for a stale cached entry
+ */
+export function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Store (or refresh the timestamp of) a response body
+ */
+export async function storeResponse(endpoint, params, response) {
+  if (!isCacheEnabled()) return;
+
+  const headers = response.headers || {};
+  const entry = {
+    url: endpoint,
+    params,
+    storedAt: Date.now(),
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    data: response.data,
+  };
+
+  try {
+    await writeJsonAtomic(entryPath(cacheKey(endpoint, params)), entry);
+    await noteEventDetails(endpoint, response.data);
+  } catch (err) {
+    log.warn(`    ⚠️ [CACHE] Failed to store response: ${err.message}`);
+  }
+}
+
+/**
+ * Build an axios-like response from a cache entry
+ */
+export function toCachedResponse(entry) {
+  return {
+    data: entry.data,
+    status: 200,
+    headers: { etag: entry.etag, 'last-modified': entry.lastModified },
+    fromCache: true,
+  };
+}
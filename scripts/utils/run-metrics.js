@@ -0,0 +1,163 @@
+import { randomBytes } from 'crypto';
+import { ROBOTEVENTS_API_BASE, isDryRun } from '../config.js';
+import { getStorage } from '../storage/index.js';
+import { log, setLogContext } from './logger.js';
+
+/**
+ * Per-run sync metrics
+ * The API client, the Firestore/RTDB helpers and sync.js count into the current run;
+ * finishRun() logs the totals and stores them as `sync_runs/{runId}` so sync health
+ * (API errors, write volume, failing events) can be charted over time.
+ */
+
+const RUNS_COLLECTION = 'sync_runs';
+const MAX_FAILURES = 200; // Failure details kept per run doc (the count is always exact)
+
+let run = createRun();
+
+function createRun(fields = {}) {
+  return {
+    runId: null,
+    startedAt: Date.now(),
+    ...fields,
+    api: { calls: 0, cacheHits: 0, rateLimited: 0, unauthorized: 0, serverErrors: 0, networkErrors: 0, endpoints: {} },
+    docs: { written: 0, skipped: 0, collections: {} },
+    live: { written: 0, removed: 0 },
+    quarantined: { total: 0, collections: {} },
+    events: { total: 0, synced: 0, skipped: 0, failed: 0, failures: [] },
+  };
+}
+
+// `/api/v2/events/123/divisions/1/matches` -> `/events/{id}/divisions/{id}/matches`
+function endpointOf(pathname) {
+  const base = new URL(ROBOTEVENTS_API_BASE).pathname.replace(/\/$/, '');
+  const relative = pathname.startsWith(base) ? pathname.slice(base.length) : pathname;
+  return relative.split('/').map(segment => (/^\d+$/.test(segment) ? '{id}' : segment)).join('/');
+}
+
+/**
+ * Start a new run (resets the counters). RunIds sort by start time.
+ * @param {Object} fields - stored with the run (mode...)
+ * @returns {string} runId
+ */
+export function startRun(fields = {}) {
+  const startedAt = new Date();
+  const runId = `${startedAt.toISOString().replace(/[-:.]/g, '')}_${fields.mode || 'sync'}_${randomBytes(3).toString('hex')}`;
+  run = createRun({ ...fields, runId, startedAt: startedAt.getTime() });
+  setLogContext({ runId });
+  return runId;
+}
+
+/**
+ * One API response (or failure)
+ * @param {number|string} status - HTTP status, 'cache' for a fresh cache hit or 'network'
+ */
+export function countApiCall(pathname, status) {
+  if (status === 'cache') {
+    run.api.cacheHits++;
+    return;
+  }
+  const endpoint = endpointOf(pathname);
+  const stats = run.api.endpoints[endpoint] || (run.api.endpoints[endpoint] = { calls: 0, errors: 0 });
+  run.api.calls++;
+  stats.calls++;
+
+  if (status === 'network') run.api.networkErrors++;
+  else if (status === 429) run.api.rateLimited++;
+  else if (status === 401) run.api.unauthorized++;
+  else if (status >= 500) run.api.serverErrors++;
+  if (status === 'network' || status >= 400) stats.errors++;
+}
+
+/**
+ * Docs written and skipped as unchanged by batchWriteToFirestore
+ */
+export function countDocs(collectionPath, { written = 0, skipped = 0 }) {
+  const name = collectionPath.split('/').pop();
+  const stats = run.docs.collections[name] || (run.docs.collections[name] = { written: 0, skipped: 0 });
+  run.docs.written += written;
+  run.docs.skipped += skipped;
+  stats.written += written;
+  stats.skipped += skipped;
+}
+
+/**
+ * Live records pushed to and removed from RTDB
+ */
+export function countLiveRecords({ written = 0, removed = 0 }) {
+  run.live.written += written;
+  run.live.removed += removed;
+}
+
+/**
+ * A record that failed schema validation and was not written (see schema/records.js)
+ */
+export function countQuarantined(collectionPath) {
+  const name = collectionPath.split('/').pop();
+  run.quarantined.total++;
+  run.quarantined.collections[name] = (run.quarantined.collections[name] || 0) + 1;
+}
+
+/**
+ * Outcome of one event
+ * @param {string} outcome - 'synced', 'skipped' or 'failed'
+ * @param {Object} failure - { sku, name, reason } for failed events
+ */
+export function countEvent(eventId, outcome, failure = {}) {
+  run.events.total++;
+  if (!(outcome in run.events)) return;
+  run.events[outcome]++;
+  if (outcome === 'failed' && run.events.failures.length < MAX_FAILURES) {
+    run.events.failures.push({ eventId: String(eventId), sku: failure.sku || null, name: failure.name || null, reason: failure.reason || 'unknown' });
+  }
+}
+
+/**
+ * Counters of the current run
+ */
+export function getRunMetrics() {
+  return { ...run, durationMs: Date.now() - run.startedAt };
+}
+
+/**
+ * Log the run summary and store it under `sync_runs/{runId}`
+ * @param {Object} result - status ('complete' | 'paused' | 'failed') and error
+ */
+export async function finishRun({ status, error = null }) {
+  const metrics = getRunMetrics();
+  const { api, docs, events } = metrics;
+
+  log.info(`📈 Run ${metrics.runId}: ${status} in ${(metrics.durationMs / 1000).toFixed(1)}s - ${api.calls} API calls (${api.rateLimited}× 429, ${api.unauthorized}× 401), ${docs.written} docs written, ${docs.skipped} unchanged, ${metrics.quarantined.total} quarantined, ${events.failed} events failed`, {
+    event: 'run_finished',
+    status,
+    durationMs: metrics.durationMs,
+    api,
+    docs,
+    live: metrics.live,
+    quarantined: metrics.quarantined,
+    events,
+  });
+
+  if (!metrics.runId) return metrics;
+  try {
+    const storage = getStorage();
+    await storage.setDocs(RUNS_COLLECTION, [{
+      id: metrics.runId,
+      data: {
+        ...metrics,
+        status,
+        error: error ? error.message || String(error) : null,
+        dryRun: isDryRun(),
+        startedAt: new Date(metrics.startedAt),
+        finishedAt: new Date(),
+        // For "which events keep failing" queries (array-contains)
+        failedEventIds: events.failures.map(f => f.eventId),
+      },
+    }], { merge: false });
+  } catch (err) {
+    log.warn(`⚠️ Could not store run ${metrics.runId}: ${err.message}`, { event: 'run_store_failed' });
+  } finally {
+    setLogContext({ runId: null });
+  }
+  return metrics;
+}
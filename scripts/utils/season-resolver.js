@@ -0,0 +1,92 @@
+import { getTargetSeasonIds, getTargetPrograms } from '../config.js';
+import { scrapePrograms } from '../scrapers/programs-scraper.js';
+import { scrapeSeasons } from '../scrapers/seasons-scraper.js';
+import { batchWriteToFirestore } from './firebase-helpers.js';
+import { log } from './logger.js';
+
+/**
+ * Season resolution
+ * Turns TARGET_SEASON_ID(S) and TARGET_PROGRAMS into the list of seasons to sync,
+ * and optionally stores the `programs` / `seasons` catalog for the app's season picker.
+ */
+
+// Older / alternate abbreviations still used in configs
+const PROGRAM_ALIASES = {
+  VRC: 'V5RC',
+  VEXU: 'VURC',
+  VIQC: 'VIQRC',
+};
+
+// Resolved once per process (the live loop calls sync() every cycle)
+let resolvedSeasonIds = null;
+
+function normalizeAbbr(abbr) {
+  const upper = String(abbr || '').toUpperCase();
+  return PROGRAM_ALIASES[upper] || upper;
+}
+
+/**
+ * Find the program matching a config token (numeric ID or abbreviation)
+ */
+export function matchProgram(programs, token) {
+  if (/^\d+$/.test(token)) {
+    return programs.find(p => p.id === parseInt(token)) || null;
+  }
+  const wanted = normalizeAbbr(token);
+  return programs.find(p => normalizeAbbr(p.abbr) === wanted) || null;
+}
+
+/**
+ * Resolve the season IDs to sync.
+ * Union of the explicit season IDs and all active seasons of the configured programs.
+ */
+export async function resolveTargetSeasonIds({ storeCatalog = false } = {}) {
+  if (resolvedSeasonIds && !storeCatalog) return resolvedSeasonIds;
+
+  const seasonIds = new Set(getTargetSeasonIds());
+  const programTokens = getTargetPrograms();
+
+  let programs = [];
+  let activeSeasons = [];
+
+  if (programTokens.length > 0 || storeCatalog) {
+    programs = await scrapePrograms();
+    activeSeasons = await scrapeSeasons({ active: true });
+  }
+
+  if (programTokens.length > 0) {
+    const programIds = programTokens.map(token => {
+      const program = matchProgram(programs, token);
+      if (!program) log.warn(`⚠️ Unknown program "${token}" in TARGET_PROGRAMS, ignoring.`);
+      return program?.id;
+    }).filter(Boolean);
+
+    for (const season of activeSeasons) {
+      if (programIds.includes(season.program?.id)) {
+        seasonIds.add(season.id);
+      }
+    }
+  }
+
+  if (storeCatalog) {
+    await storeSeasonCatalog(programs, activeSeasons);
+  }
+
+  resolvedSeasonIds = [...seasonIds];
+  return resolvedSeasonIds;
+}
+
+/**
+ * Store the programs and seasons catalog collections
+ */
+async function storeSeasonCatalog(programs, activeSeasons) {
+  log.info(`📚 Storing programs and seasons catalog...`);
+  const activeIds = new Set(activeSeasons.map(s => s.id));
+  const seasons = await scrapeSeasons();
+
+  await batchWriteToFirestore('programs', programs.map(p => ({ id: String(p.id), data: p })));
+  await batchWriteToFirestore('seasons', seasons.map(s => ({
+    id: String(s.id),
+    data: { ...s, active: activeIds.has(s.id) }
+  })));
+}
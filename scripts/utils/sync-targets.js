@@ -0,0 +1,102 @@
+import { searchEvents } from '../scrapers/events-scraper.js';
+import { scrapeEventDetails } from '../scrapers/event-details-scraper.js';
+import { scrapeTeams, scrapeTeamEvents } from '../scrapers/teams-scraper.js';
+
+/**
+ * On-demand sync targets and the sync.js command line
+ *
+ *   sync.js [--full|--new|--live] [filters]     season sync (default)
+ *   sync.js event <id|sku>                       one event, always re-synced
+ *   sync.js team <number> [filters]              every event of a team in the target seasons
+ *
+ * Filters (the /events query parameters of swagger.yml):
+ *   --region=<name>  --level=<World,National,State,Signature,Other>
+ *   --from=<date>  --to=<date>  --type=<tournament,league,workshop,virtual>
+ */
+
+export const SYNC_USAGE = `Usage:
+  node scripts/sync.js [--full|--new|--live] [--region=Texas] [--level=State,National] [--from=2024-10-01] [--to=2024-12-31] [--type=tournament]
+  node scripts/sync.js event <id|sku>
+  node scripts/sync.js team <number> [--from=...] [--to=...] [--level=...]`;
+
+const LEVELS = ['World', 'National', 'State', 'Signature', 'Other'];
+const EVENT_TYPES = ['tournament', 'league', 'workshop', 'virtual'];
+const COMMANDS = ['season', 'event', 'team'];
+
+// `State,national` -> ['State', 'National'] (case-insensitive against the allowed values)
+function parseList(flag, value, allowed) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean).map(v => {
+    const match = allowed.find(a => a.toLowerCase() === v.toLowerCase());
+    if (!match) throw new Error(`Invalid --${flag} "${v}" (expected one of ${allowed.join(', ')})`);
+    return match;
+  });
+}
+
+function parseDate(flag, value) {
+  const date = new Date(value);
+  if (value === true || Number.isNaN(date.getTime())) throw new Error(`Invalid --${flag} date "${value}"`);
+  return date.toISOString();
+}
+
+/**
+ * Parse the sync.js arguments. Unknown flags are ignored (config.js reads --storage, --dry-run...).
+ * @returns {Object} { command, ref, mode, filters } - filters use the API parameter names
+ */
+export function parseSyncArgs(argv = process.argv.slice(2)) {
+  const flags = {};
+  const positional = [];
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [name, ...value] = arg.slice(2).split('=');
+      flags[name] = value.length > 0 ? value.join('=') : true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [command = 'season', ref = null] = positional;
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"`);
+  if (command !== 'season' && !ref) throw new Error(`Missing the ${command === 'event' ? 'event ID or SKU' : 'team number'}`);
+  if (command !== 'season' && (flags.live || flags.new)) throw new Error(`"${command}" always runs a full sync of its events`);
+
+  const filters = {};
+  if (flags.region) filters.region = String(flags.region);
+  if (flags.level) filters.level = parseList('level', flags.level, LEVELS);
+  if (flags.from) filters.start = parseDate('from', flags.from);
+  if (flags.to) filters.end = parseDate('to', flags.to);
+  if (flags.type) filters.eventTypes = parseList('type', flags.type, EVENT_TYPES);
+  if (command === 'event' && Object.keys(filters).length > 0) throw new Error('"event" does not take filters');
+  if (command === 'team' && (filters.region || filters.eventTypes)) throw new Error('"team" only supports --from, --to and --level');
+
+  const mode = command !== 'season' ? 'full' : flags.live ? 'live' : flags.new ? 'new' : 'full';
+  return { command, ref, mode, filters };
+}
+
+/**
+ * Events matching an event ID or SKU
+ */
+export async function findEventsByRef(ref) {
+  if (/^\d+$/.test(ref)) {
+    try {
+      return [await scrapeEventDetails(ref)];
+    } catch (error) {
+      if (error.response?.status === 404) return [];
+      throw error;
+    }
+  }
+  return searchEvents({ sku: [ref] });
+}
+
+/**
+ * Events of every team with this number (a number can exist in several programs), deduplicated
+ * @param {Object} options - seasonIds, filters (start, end, level)
+ */
+export async function findTeamEvents(number, { seasonIds = [], filters = {} } = {}) {
+  const teams = await scrapeTeams({ number: [number] });
+  const events = new Map();
+  for (const team of teams) {
+    const teamEvents = await scrapeTeamEvents(team.id, { ...(seasonIds.length > 0 ? { season: seasonIds } : {}), ...filters });
+    for (const event of teamEvents) events.set(event.id, event);
+  }
+  return { teams, events: [...events.values()] };
+}
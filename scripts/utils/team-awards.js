@@ -0,0 +1,37 @@
+import { getStorage } from '../storage/index.js';
+import { extractTeamAwards, staleTeamAwards } from '../scrapers/event-awards-scraper.js';
+import { batchWriteToFirestore, removeDocs } from './firebase-helpers.js';
+import { EVENT_COLLECTIONS } from './collections.js';
+import { log } from './logger.js';
+
+/**
+ * Team award rollups
+ * `team_awards/{teamId}/awards/{awardId}` lets the app render a trophy case without reading every event.
+ * The rollup follows the event's awards both ways: winners are upserted, and teams that are no longer
+ * a winner (a corrected result, an award dropped upstream) lose the entry, tombstoned or deleted
+ * per RECONCILE_MODE.
+ */
+
+/**
+ * The event's awards as stored before this write (tombstoned ones already took their rollups with them)
+ */
+export async function getStoredAwards(eventId) {
+  const awards = EVENT_COLLECTIONS.find(def => def.name === 'awards');
+  const docs = await getStorage().listDocs(awards.path(eventId));
+  return docs.filter(d => d.data.removed !== true).map(d => d.data);
+}
+
+/**
+ * Write the rollup of one event's awards
+ * @param {Array} previousAwards - the event's awards before this sync (see getStoredAwards)
+ */
+export async function writeTeamAwards(event, awards, previousAwards = []) {
+  for (const [teamId, docs] of Object.entries(extractTeamAwards(awards, event))) {
+    await batchWriteToFirestore(`team_awards/${teamId}/awards`, docs);
+  }
+
+  for (const [teamId, awardIds] of Object.entries(staleTeamAwards(previousAwards, awards))) {
+    await removeDocs(`team_awards/${teamId}/awards`, awardIds);
+    log.info(`    🪦 Team ${teamId} no longer holds award(s) ${awardIds.join(', ')} of event ${event.id}`, { teamId: String(teamId), eventId: String(event.id), awardIds });
+  }
+}
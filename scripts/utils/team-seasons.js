@@ -0,0 +1,239 @@
+import { getStorage } from '../storage/index.js';
+import { batchWriteToFirestore, deepEqual, cleanForComparison } from './firebase-helpers.js';
+import { SCHEMA_VERSION } from '../schema/version.js';
+import { log } from './logger.js';
+
+/**
+ * Team season rollups
+ * One `team_seasons/{teamId}_{seasonId}` doc per team and season, so a team page needs a single
+ * read instead of the teams, rankings, matches and skills of every event:
+ *   events            { [eventId]: the team's summary of that event (see teamEventEntry) }
+ *   eventsAttended, record { wins, losses, ties }, matchesPlayed, averageScore, highScore
+ *   rankings          ranking finish per event, in event order
+ *   bestSkills        best driver / programming score and best combined (same event) score
+ *   upcomingMatches   next scheduled matches across events (at most MAX_UPCOMING)
+ *
+ * Incremental: syncEvent records the summary of every team at each event it writes, and
+ * writeTeamSeasons() merges those into the stored docs of just those teams at the end of the run.
+ * Totals are always recomputed from the per-event summaries, so re-syncing an event never double counts.
+ *
+ * The scheduled sync, finalize-live.js and the request worker can update the same doc at once, so a
+ * write only sets its own `events.{eventId}` entries (merge) and never replaces the map; the totals
+ * are then checked against the merged doc and rewritten if another run slipped in between.
+ */
+
+const COLLECTION = 'team_seasons';
+const MAX_UPCOMING = 10;
+const READ_CHUNK = 500;
+
+// `${teamId}_${seasonId}` -> { teamId, teamNumber, seasonId, events: { [eventId]: entry } }
+let pending = new Map();
+
+const byScheduled = (a, b) => new Date(a.scheduled).getTime() - new Date(b.scheduled).getTime();
+
+const num = value => (value === null || value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+
+function allianceOf(match, teamId) {
+  return (match.alliances || []).find(a => (a.teams || []).some(t => num(t.team?.id) === teamId && !t.sitting)) || null;
+}
+
+/**
+ * Summary of one team at one event
+ * @param {Object} data - { divisions: [{ rankings, matches }], skills } as synced
+ */
+function teamEventEntry(event, teamId, data, now) {
+  const entry = {
+    eventId: num(event.id),
+    sku: event.sku || null,
+    name: event.name || null,
+    start: event.start || null,
+    end: event.end || null,
+    division: null,
+    rank: null,
+    ranking: null,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    matchesPlayed: 0,
+    totalPoints: 0,
+    highScore: null,
+    skills: {},
+    upcoming: [],
+  };
+
+  for (const { rankings = [], matches = [] } of data.divisions) {
+    const ranking = rankings.find(r => num(r.team?.id) === teamId);
+    if (ranking) {
+      entry.division = ranking.division?.name || entry.division;
+      entry.rank = num(ranking.rank);
+      entry.ranking = { rank: num(ranking.rank), wins: num(ranking.wins), losses: num(ranking.losses), ties: num(ranking.ties), wp: num(ranking.wp), ap: num(ranking.ap), sp: num(ranking.sp) };
+    }
+
+    for (const match of matches) {
+      const own = allianceOf(match, teamId);
+      if (!own) continue;
+      entry.division = entry.division || match.division?.name || null;
+
+      if (match.scored === true) {
+        const score = num(own.score) ?? 0;
+        const other = (match.alliances || []).find(a => a !== own);
+        entry.matchesPlayed++;
+        entry.totalPoints += score;
+        entry.highScore = Math.max(entry.highScore ?? score, score);
+        if (other) {
+          const otherScore = num(other.score) ?? 0;
+          if (score > otherScore) entry.wins++;
+          else if (score < otherScore) entry.losses++;
+          else entry.ties++;
+        }
+      } else if (match.scheduled && new Date(match.scheduled).getTime() >= now.getTime()) {
+        entry.upcoming.push({ matchId: num(match.id), name: match.name || null, division: match.division?.name || null, scheduled: match.scheduled, field: match.field || null, alliance: own.color || null });
+      }
+    }
+  }
+
+  for (const skill of data.skills) {
+    if (num(skill.team?.id) !== teamId || !skill.type) continue;
+    const score = num(skill.score);
+    if (score !== null && score > (entry.skills[skill.type] ?? -1)) entry.skills[skill.type] = score;
+  }
+
+  entry.upcoming.sort(byScheduled);
+  return entry;
+}
+
+/**
+ * Record the summary of every team at an event that was just synced (teams, rankings, matches and skills)
+ * @param {Object} data - { divisions: [{ rankings, matches }], teams, skills }
+ */
+export function recordTeamEvent(event, data, now = new Date()) {
+  const seasonId = num(event.season?.id);
+  if (seasonId === null) return;
+
+  // Team ID -> number, for every team seen at the event
+  const teams = new Map();
+  const see = (id, number) => {
+    const teamId = num(id);
+    if (teamId !== null && (!teams.has(teamId) || !teams.get(teamId))) teams.set(teamId, number || null);
+  };
+  for (const t of data.teams || []) see(t.id, t.number);
+  for (const { rankings = [], matches = [] } of data.divisions || []) {
+    for (const r of rankings) see(r.team?.id, r.team?.name);
+    for (const m of matches) for (const a of m.alliances || []) for (const t of a.teams || []) see(t.team?.id, t.team?.name);
+  }
+  for (const s of data.skills || []) see(s.team?.id, s.team?.name);
+
+  const eventData = { divisions: data.divisions || [], skills: data.skills || [] };
+  for (const [teamId, teamNumber] of teams) {
+    const key = `${teamId}_${seasonId}`;
+    const rollup = pending.get(key) || { teamId, teamNumber, seasonId, events: {} };
+    rollup.teamNumber = rollup.teamNumber || teamNumber;
+    rollup.events[String(event.id)] = teamEventEntry(event, teamId, eventData, now);
+    pending.set(key, rollup);
+  }
+}
+
+/**
+ * Team season doc from its per-event summaries
+ */
+export function buildTeamSeason({ teamId, teamNumber, seasonId, events }, now = new Date()) {
+  const entries = Object.values(events).sort((a, b) => (a.start || '').localeCompare(b.start || '') || (a.eventId ?? 0) - (b.eventId ?? 0));
+  const record = { wins: 0, losses: 0, ties: 0 };
+  let matchesPlayed = 0;
+  let totalPoints = 0;
+  let highScore = null;
+  const bestSkills = {};
+
+  for (const e of entries) {
+    record.wins += e.wins;
+    record.losses += e.losses;
+    record.ties += e.ties;
+    matchesPlayed += e.matchesPlayed;
+    totalPoints += e.totalPoints;
+    if (e.highScore !== null) highScore = Math.max(highScore ?? e.highScore, e.highScore);
+
+    for (const [type, score] of Object.entries(e.skills || {})) {
+      if (!bestSkills[type] || score > bestSkills[type].score) bestSkills[type] = { score, eventId: e.eventId, sku: e.sku };
+    }
+    const combined = (e.skills?.driver ?? 0) + (e.skills?.programming ?? 0);
+    if (combined > 0 && (!bestSkills.combined || combined > bestSkills.combined.score)) bestSkills.combined = { score: combined, eventId: e.eventId, sku: e.sku };
+  }
+
+  const upcomingMatches = entries
+    .flatMap(e => (e.upcoming || []).map(m => ({ ...m, eventId: e.eventId, sku: e.sku })))
+    .filter(m => new Date(m.scheduled).getTime() >= now.getTime())
+    .sort(byScheduled)
+    .slice(0, MAX_UPCOMING);
+
+  return {
+    teamId,
+    teamNumber,
+    seasonId,
+    events,
+    eventsAttended: entries.length,
+    record,
+    matchesPlayed,
+    averageScore: matchesPlayed > 0 ? Math.round((totalPoints / matchesPlayed) * 10) / 10 : null,
+    highScore,
+    rankings: entries.filter(e => e.rank !== null).map(e => ({ eventId: e.eventId, sku: e.sku, name: e.name, start: e.start, division: e.division, rank: e.rank })),
+    bestSkills,
+    upcomingMatches,
+  };
+}
+
+const TOTAL_FIELDS = ['eventsAttended', 'record', 'matchesPlayed', 'averageScore', 'highScore', 'rankings', 'bestSkills', 'upcomingMatches'];
+
+function totalsOf(doc) {
+  return Object.fromEntries(TOTAL_FIELDS.map(field => [field, doc[field] ?? null]));
+}
+
+/**
+ * Merge the recorded summaries into the stored `team_seasons` docs of the touched teams
+ * @returns {number} docs written
+ */
+export async function writeTeamSeasons(now = new Date()) {
+  if (pending.size === 0) return 0;
+  const rollups = [...pending.values()];
+  pending = new Map();
+
+  log.info(`🧮 Updating ${rollups.length} team season rollups...`);
+  const storage = getStorage();
+  const docs = [];
+  for (let i = 0; i < rollups.length; i += READ_CHUNK) {
+    const chunk = rollups.slice(i, i + READ_CHUNK);
+    const existing = await storage.getDocs(COLLECTION, chunk.map(r => `${r.teamId}_${r.seasonId}`));
+    chunk.forEach((rollup, index) => {
+      const stored = existing[index];
+      const teamNumber = rollup.teamNumber || stored?.teamNumber || null;
+      const merged = buildTeamSeason({ ...rollup, teamNumber, events: { ...(stored?.events || {}), ...rollup.events } }, now);
+      // Only this run's events: the merge leaves the other entries of the map alone
+      docs.push({ id: `${rollup.teamId}_${rollup.seasonId}`, data: { ...merged, events: rollup.events, schemaVersion: SCHEMA_VERSION } });
+    });
+  }
+
+  const written = await batchWriteToFirestore(COLLECTION, docs, true);
+  if (written > 0) await reconcileTotals(docs.map(d => d.id), now);
+  return written;
+}
+
+/**
+ * Recompute the totals from the merged docs and rewrite those that another run made stale
+ */
+async function reconcileTotals(ids, now) {
+  const storage = getStorage();
+  const stale = [];
+  for (let i = 0; i < ids.length; i += READ_CHUNK) {
+    const chunk = ids.slice(i, i + READ_CHUNK);
+    const stored = await storage.getDocs(COLLECTION, chunk);
+    stored.forEach((doc, index) => {
+      if (!doc) return;
+      const totals = totalsOf(buildTeamSeason({ ...doc, events: doc.events || {} }, now));
+      if (!deepEqual(cleanForComparison(totalsOf(doc)), cleanForComparison(totals))) stale.push({ id: chunk[index], data: totals });
+    });
+  }
+
+  if (stale.length > 0) {
+    log.info(`  🧮 ${stale.length} team season totals changed under a concurrent run, rewriting them`);
+    await batchWriteToFirestore(COLLECTION, stale);
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Offline timezone lookup for event locations
+ * Resolves an IANA timezone from an Event's `location` (country, region, coordinates)
+ * without any network calls. Multi-zone countries are resolved by region first,
+ * then by longitude; unknown countries fall back to a fixed offset from longitude.
+ */
+
+// Single-zone countries, or the most common zone for multi-zone ones (lowercase names as sent by RobotEvents)
+const COUNTRY_ZONES = {
+  'united states': 'America/New_York',
+  'canada': 'America/Toronto',
+  'mexico': 'America/Mexico_City',
+  'guatemala': 'America/Guatemala',
+  'honduras': 'America/Tegucigalpa',
+  'el salvador': 'America/El_Salvador',
+  'nicaragua': 'America/Managua',
+  'costa rica': 'America/Costa_Rica',
+  'panama': 'America/Panama',
+  'puerto rico': 'America/Puerto_Rico',
+  'dominican republic': 'America/Santo_Domingo',
+  'jamaica': 'America/Jamaica',
+  'trinidad and tobago': 'America/Port_of_Spain',
+  'bahamas': 'America/Nassau',
+  'colombia': 'America/Bogota',
+  'venezuela': 'America/Caracas',
+  'ecuador': 'America/Guayaquil',
+  'peru': 'America/Lima',
+  'bolivia': 'America/La_Paz',
+  'chile': 'America/Santiago',
+  'argentina': 'America/Argentina/Buenos_Aires',
+  'uruguay': 'America/Montevideo',
+  'paraguay': 'America/Asuncion',
+  'brazil': 'America/Sao_Paulo',
+  'united kingdom': 'Europe/London',
+  'ireland': 'Europe/Dublin',
+  'iceland': 'Atlantic/Reykjavik',
+  'portugal': 'Europe/Lisbon',
+  'spain': 'Europe/Madrid',
+  'france': 'Europe/Paris',
+  'belgium': 'Europe/Brussels',
+  'netherlands': 'Europe/Amsterdam',
+  'luxembourg': 'Europe/Luxembourg',
+  'germany': 'Europe/Berlin',
+  'switzerland': 'Europe/Zurich',
+  'austria': 'Europe/Vienna',
+  'italy': 'Europe/Rome',
+  'malta': 'Europe/Malta',
+  'denmark': 'Europe/Copenhagen',
+  'norway': 'Europe/Oslo',
+  'sweden': 'Europe/Stockholm',
+  'finland': 'Europe/Helsinki',
+  'estonia': 'Europe/Tallinn',
+  'latvia': 'Europe/Riga',
+  'lithuania': 'Europe/Vilnius',
+  'poland': 'Europe/Warsaw',
+  'czech republic': 'Europe/Prague',
+  'czechia': 'Europe/Prague',
+  'slovakia': 'Europe/Bratislava',
+  'hungary': 'Europe/Budapest',
+  'slovenia': 'Europe/Ljubljana',
+  'croatia': 'Europe/Zagreb',
+  'serbia': 'Europe/Belgrade',
+  'romania': 'Europe/Bucharest',
+  'bulgaria': 'Europe/Sofia',
+  'greece': 'Europe/Athens',
+  'cyprus': 'Asia/Nicosia',
+  'turkey': 'Europe/Istanbul',
+  'turkiye': 'Europe/Istanbul',
+  'ukraine': 'Europe/Kyiv',
+  'moldova': 'Europe/Chisinau',
+  'russia': 'Europe/Moscow',
+  'russian federation': 'Europe/Moscow',
+  'georgia': 'Asia/Tbilisi',
+  'armenia': 'Asia/Yerevan',
+  'azerbaijan': 'Asia/Baku',
+  'kazakhstan': 'Asia/Almaty',
+  'uzbekistan': 'Asia/Tashkent',
+  'israel': 'Asia/Jerusalem',
+  'jordan': 'Asia/Amman',
+  'lebanon': 'Asia/Beirut',
+  'saudi arabia': 'Asia/Riyadh',
+  'united arab emirates': 'Asia/Dubai',
+  'qatar': 'Asia/Qatar',
+  'bahrain': 'Asia/Bahrain',
+  'kuwait': 'Asia/Kuwait',
+  'oman': 'Asia/Muscat',
+  'egypt': 'Africa/Cairo',
+  'morocco': 'Africa/Casablanca',
+  'tunisia': 'Africa/Tunis',
+  'nigeria': 'Africa/Lagos',
+  'ghana': 'Africa/Accra',
+  'kenya': 'Africa/Nairobi',
+  'ethiopia': 'Africa/Addis_Ababa',
+  'south africa': 'Africa/Johannesburg',
+  'pakistan': 'Asia/Karachi',
+  'india': 'Asia/Kolkata',
+  'sri lanka': 'Asia/Colombo',
+  'nepal': 'Asia/Kathmandu',
+  'bangladesh': 'Asia/Dhaka',
+  'myanmar': 'Asia/Yangon',
+  'thailand': 'Asia/Bangkok',
+  'vietnam': 'Asia/Ho_Chi_Minh',
+  'viet nam': 'Asia/Ho_Chi_Minh',
+  'cambodia': 'Asia/Phnom_Penh',
+  'malaysia': 'Asia/Kuala_Lumpur',
+  'singapore': 'Asia/Singapore',
+  'indonesia': 'Asia/Jakarta',
+  'philippines': 'Asia/Manila',
+  'china': 'Asia/Shanghai',
+  'hong kong': 'Asia/Hong_Kong',
+  'macau': 'Asia/Macau',
+  'macao': 'Asia/Macau',
+  'chinese taipei': 'Asia/Taipei',
+  'taiwan': 'Asia/Taipei',
+  'mongolia': 'Asia/Ulaanbaatar',
+  'japan': 'Asia/Tokyo',
+  'korea, republic of': 'Asia/Seoul',
+  'south korea': 'Asia/Seoul',
+  'korea': 'Asia/Seoul',
+  'australia': 'Australia/Sydney',
+  'new zealand': 'Pacific/Auckland',
+  'guam': 'Pacific/Guam',
+};
+
+// Regions (states/provinces) of multi-zone countries whose zone differs from the country default
+const REGION_ZONES = {
+  'united states': {
+    // Central
+    'alabama': 'America/Chicago', 'arkansas': 'America/Chicago', 'illinois': 'America/Chicago',
+    'iowa': 'America/Chicago', 'kansas': 'America/Chicago', 'louisiana': 'America/Chicago',
+    'minnesota': 'America/Chicago', 'mississippi': 'America/Chicago', 'missouri': 'America/Chicago',
+    'nebraska': 'America/Chicago', 'north dakota': 'America/Chicago', 'oklahoma': 'America/Chicago',
+    'south dakota': 'America/Chicago', 'texas': 'America/Chicago', 'wisconsin': 'America/Chicago',
+    'tennessee': 'America/Chicago',
+    // Mountain
+    'colorado': 'America/Denver', 'idaho': 'America/Boise', 'montana': 'America/Denver',
+    'new mexico': 'America/Denver', 'utah': 'America/Denver', 'wyoming': 'America/Denver',
+    'arizona': 'America/Phoenix',
+    // Pacific
+    'california': 'America/Los_Angeles', 'nevada': 'America/Los_Angeles', 'oregon': 'America/Los_Angeles',
+    'washington': 'America/Los_Angeles',
+    // Non-contiguous
+    'alaska': 'America/Anchorage', 'hawaii': 'Pacific/Honolulu',
+  },
+  'canada': {
+    'british columbia': 'America/Vancouver', 'alberta': 'America/Edmonton',
+    'saskatchewan': 'America/Regina', 'manitoba': 'America/Winnipeg',
+    'quebec': 'America/Toronto', 'québec': 'America/Toronto', 'ontario': 'America/Toronto',
+    'new brunswick': 'America/Halifax', 'nova scotia': 'America/Halifax',
+    'prince edward island': 'America/Halifax', 'newfoundland and labrador': 'America/St_Johns',
+    'yukon': 'America/Whitehorse', 'northwest territories': 'America/Yellowknife', 'nunavut': 'America/Iqaluit',
+  },
+  'australia': {
+    'new south wales': 'Australia/Sydney', 'australian capital territory': 'Australia/Sydney',
+    'victoria': 'Australia/Melbourne', 'tasmania': 'Australia/Hobart', 'queensland': 'Australia/Brisbane',
+    'south australia': 'Australia/Adelaide', 'northern territory': 'Australia/Darwin',
+    'western australia': 'Australia/Perth',
+  },
+  'mexico': {
+    'baja california': 'America/Tijuana', 'baja california sur': 'America/Mazatlan',
+    'sonora': 'America/Hermosillo', 'sinaloa': 'America/Mazatlan', 'chihuahua': 'America/Chihuahua',
+    'quintana roo': 'America/Cancun',
+  },
+  'brazil': {
+    'amazonas': 'America/Manaus', 'mato grosso': 'America/Cuiaba', 'mato grosso do sul': 'America/Campo_Grande',
+    'rondônia': 'America/Porto_Velho', 'rondonia': 'America/Porto_Velho', 'acre': 'America/Rio_Branco',
+    'pernambuco': 'America/Recife', 'bahia': 'America/Bahia', 'ceará': 'America/Fortaleza', 'ceara': 'America/Fortaleza',
+  },
+  'indonesia': {
+    'bali': 'Asia/Makassar', 'papua': 'Asia/Jayapura',
+  },
+};
+
+// Longitude bands for multi-zone countries when the region is unknown (west edge of each band)
+const LONGITUDE_BANDS = {
+  'united states': [[-180, 'Pacific/Honolulu'], [-150, 'America/Anchorage'], [-125, 'America/Los_Angeles'], [-114.5, 'America/Denver'], [-101, 'America/Chicago'], [-87.5, 'America/New_York']],
+  'canada': [[-141, 'America/Vancouver'], [-120, 'America/Edmonton'], [-102, 'America/Winnipeg'], [-90, 'America/Toronto'], [-67, 'America/Halifax'], [-59, 'America/St_Johns']],
+  'australia': [[112, 'Australia/Perth'], [129, 'Australia/Adelaide'], [141, 'Australia/Sydney']],
+  'brazil': [[-74, 'America/Rio_Branco'], [-67, 'America/Manaus'], [-51, 'America/Sao_Paulo']],
+  'russia': [[19, 'Europe/Moscow'], [50, 'Asia/Yekaterinburg'], [73, 'Asia/Novosibirsk'], [100, 'Asia/Irkutsk'], [120, 'Asia/Vladivostok']],
+  'indonesia': [[95, 'Asia/Jakarta'], [115, 'Asia/Makassar'], [125, 'Asia/Jayapura']],
+};
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function fromLongitudeBands(bands, lon) {
+  let zone = bands[0][1];
+  for (const [west, bandZone] of bands) {
+    if (lon >= west) zone = bandZone;
+  }
+  return zone;
+}
+
+/**
+ * Resolve the IANA timezone of an event from its location
+ * @returns {string} IANA zone name (or an Etc/GMT fixed offset when nothing better is known)
+ */
+export function resolveEventTimeZone(event) {
+  const location = event?.location || {};
+  const country = normalize(location.country);
+  const region = normalize(location.region);
+  const lon = location.coordinates?.lon;
+
+  const regionZone = REGION_ZONES[country]?.[region];
+  if (regionZone) return regionZone;
+
+  const bandCountry = country === 'russian federation' ? 'russia' : country;
+  if (LONGITUDE_BANDS[bandCountry] && typeof lon === 'number' && lon !== 0) {
+    return fromLongitudeBands(LONGITUDE_BANDS[bandCountry], lon);
+  }
+
+  if (COUNTRY_ZONES[country]) return COUNTRY_ZONES[country];
+
+  // Unknown country: fixed offset from longitude (Etc/GMT signs are inverted)
+  if (typeof lon === 'number' && lon !== 0) {
+    const hours = Math.max(-12, Math.min(14, Math.round(lon / 15)));
+    return hours === 0 ? 'Etc/GMT' : `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+  }
+
+  return 'UTC';
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in ms
+ */
+export function getTimeZoneOffsetMs(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date).reduce((acc, p) => {
+    acc[p.type] = p.value;
+    return acc;
+  }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC instant (ms) of local midnight on a calendar day (YYYY-MM-DD) in a timezone
+ */
+export function zonedMidnight(dayStr, timeZone) {
+  const [y, m, d] = dayStr.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d);
+  const first = guess - getTimeZoneOffsetMs(timeZone, new Date(guess));
+  // Re-check in case a DST transition sits between the guess and the result
+  return guess - getTimeZoneOffsetMs(timeZone, new Date(first));
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in a timezone
+ */
+export function zonedDay(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
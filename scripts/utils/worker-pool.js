@@ -0,0 +1,52 @@
+/**
+ * Bounded worker pool
+ * Runs worker(item, index) over a list with a limited number of tasks in flight.
+ */
+
+/**
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => any
+ * @param {Object} options
+ *   - concurrency: number, or a function re-read before each task starts
+ *     (lets the pool grow/shrink with the number of healthy API keys)
+ *   - shouldStop: checked before each task starts; once true no new tasks are started
+ *   - startIndex: first item to process
+ * @returns {number} Index of the first item that was NOT started
+ */
+export async function runPool(items, worker, { concurrency = 1, shouldStop = () => false, startIndex = 0 } = {}) {
+  const getConcurrency = typeof concurrency === 'function' ? concurrency : () => concurrency;
+  let next = startIndex;
+  let active = 0;
+  let stopped = false;
+
+  return new Promise((resolve, reject) => {
+    const launch = () => {
+      while (!stopped && next < items.length && active < Math.max(1, getConcurrency())) {
+        if (shouldStop()) {
+          stopped = true;
+          break;
+        }
+
+        const index = next++;
+        active++;
+
+        Promise.resolve()
+          .then(() => worker(items[index], index))
+          .then(() => {
+            active--;
+            launch();
+          }, (error) => {
+            active--;
+            stopped = true;
+            reject(error);
+          });
+      }
+
+      if (active === 0 && (stopped || next >= items.length)) {
+        resolve(next);
+      }
+    };
+
+    launch();
+  });
+}
@@ -0,0 +1,193 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { isDryRun, getDryRunOutFile } from '../config.js';
+import { cleanForComparison, stripBookkeeping, deepEqual } from './firebase-helpers.js';
+import { log } from './logger.js';
+
+/**
+ * Write plan of a dry run
+ * The dry-run storage (storage/dry-run-storage.js) meters reads and records every write instead
+ * of committing it; batchWriteToFirestore and updateRealtimeDB add how their docs were classified
+ * (create / update / unchanged). At the end, printWritePlan() shows the plan per collection with
+ * the billable operations it would cost (through the logger, so JSON logs stay one object per line),
+ * and dumps it as JSON when DRY_RUN_OUT is set.
+ */
+
+// Firestore (nam5 multi-region) and RTDB list prices in USD, free tier ignored
+const PRICE_PER_100K_READS = 0.06;
+const PRICE_PER_100K_WRITES = 0.18;
+const PRICE_PER_100K_DELETES = 0.02;
+const PRICE_PER_GB_DOWNLOADED = 1;
+const PRICE_PER_GB_STORED_MONTH = 5;
+const GB = 1024 * 1024 * 1024;
+
+const groups = new Map(); // collection group -> counters
+const meter = { reads: 0, writes: 0, deletes: 0, rtdbBytesWritten: 0, rtdbBytesRead: 0 };
+const dump = { firestore: [], rtdb: [] };
+const classified = new Set(); // `${collectionPath}/${id}` already dumped by planDocs
+
+// `events/123/divisions/1/matches` -> `events/{id}/divisions/{id}/matches`
+function firestoreGroup(collectionPath) {
+  return collectionPath.split('/').map((segment, i) => (i % 2 === 1 ? '{id}' : segment)).join('/');
+}
+
+// `live/123/1/matches/456` -> `live/{id}/{id}/matches` (records are counted under their parent path)
+function rtdbGroup(rtdbPath) {
+  const segments = rtdbPath.split('/').filter(Boolean).map(segment => (/^[\d-]+$/.test(segment) ? '{id}' : segment));
+  while (segments.length > 1 && segments[segments.length - 1] === '{id}') segments.pop();
+  return segments.join('/');
+}
+
+function groupFor(store, name) {
+  const key = `${store}:${name}`;
+  if (!groups.has(key)) {
+    groups.set(key, { store, name, creates: 0, updates: 0, unchanged: 0, removed: 0, writes: 0, deletes: 0, bytes: 0 });
+  }
+  return groups.get(key);
+}
+
+function dumping() {
+  return !!getDryRunOutFile();
+}
+
+// Top-level fields that differ between the stored doc and the new data
+function fieldChanges(before, after) {
+  const from = cleanForComparison(stripBookkeeping(before)) || {};
+  const to = cleanForComparison(after) || {};
+  const changes = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (!deepEqual(from[key], to[key])) changes[key] = { from: from[key] ?? null, to: to[key] ?? null };
+  }
+  return changes;
+}
+
+/**
+ * Billable reads done through the storage backend (Firestore doc reads, RTDB bytes downloaded)
+ */
+export function meterReads({ docs = 0, bytes = 0 }) {
+  meter.reads += docs;
+  meter.rtdbBytesRead += bytes;
+}
+
+/**
+ * A Firestore write the dry run did not commit
+ * @param {string} op - 'set', 'create' or 'delete'
+ */
+export function recordDocWrite(collectionPath, op, id, data = null) {
+  const group = groupFor('firestore', firestoreGroup(collectionPath));
+  if (op === 'delete') {
+    group.deletes++;
+    meter.deletes++;
+  } else {
+    group.writes++;
+    meter.writes++;
+  }
+  const docPath = `${collectionPath}/${id}`;
+  if (classified.delete(docPath) || !dumping()) return;
+  dump.firestore.push({ path: docPath, op, ...(data ? { data } : {}) });
+}
+
+/**
+ * A multi-path RTDB update the dry run did not commit
+ */
+export function recordLiveUpdate(updates) {
+  for (const [rtdbPath, value] of Object.entries(updates)) {
+    const bytes = value === null ? 0 : Buffer.byteLength(JSON.stringify(value));
+    const group = groupFor('rtdb', rtdbGroup(rtdbPath));
+    group.bytes += bytes;
+    meter.rtdbBytesWritten += bytes;
+    if (dumping()) dump.rtdb.push({ path: rtdbPath, value });
+  }
+}
+
+/**
+ * How batchWriteToFirestore classified a chunk of docs
+ * @param {Object} plan - creates/updates: [{ id, data, before? }], unchanged: count
+ */
+export function planDocs(collectionPath, { creates = [], updates = [], unchanged = 0 }) {
+  if (!isDryRun()) return;
+  const group = groupFor('firestore', firestoreGroup(collectionPath));
+  group.creates += creates.length;
+  group.updates += updates.length;
+  group.unchanged += unchanged;
+
+  if (!dumping()) return;
+  for (const { id, data } of creates) {
+    classified.add(`${collectionPath}/${id}`);
+    dump.firestore.push({ path: `${collectionPath}/${id}`, op: 'create', data });
+  }
+  for (const { id, data, before } of updates) {
+    classified.add(`${collectionPath}/${id}`);
+    dump.firestore.push({ path: `${collectionPath}/${id}`, op: 'update', ...(before ? { changes: fieldChanges(before, data) } : { data }) });
+  }
+}
+
+/**
+ * How updateRealtimeDB classified the records of a path
+ */
+export function planLiveRecords(rtdbPath, { written = 0, unchanged = 0, removed = 0 }) {
+  if (!isDryRun()) return;
+  const group = groupFor('rtdb', rtdbGroup(rtdbPath));
+  group.updates += written;
+  group.unchanged += unchanged;
+  group.removed += removed;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Planned writes and estimated cost
+ */
+export function getWritePlan() {
+  const cost = {
+    firestoreReads: meter.reads / 100000 * PRICE_PER_100K_READS,
+    firestoreWrites: meter.writes / 100000 * PRICE_PER_100K_WRITES,
+    firestoreDeletes: meter.deletes / 100000 * PRICE_PER_100K_DELETES,
+    rtdbDownload: meter.rtdbBytesRead / GB * PRICE_PER_GB_DOWNLOADED,
+    rtdbStoragePerMonth: meter.rtdbBytesWritten / GB * PRICE_PER_GB_STORED_MONTH,
+  };
+  return {
+    collections: [...groups.values()].sort((a, b) => a.store.localeCompare(b.store) || a.name.localeCompare(b.name)),
+    operations: { ...meter },
+    estimatedCostUsd: { ...cost, total: Object.values(cost).reduce((sum, v) => sum + v, 0) },
+  };
+}
+
+/**
+ * Print the plan (and write the JSON dump when configured)
+ */
+export function printWritePlan() {
+  const plan = getWritePlan();
+
+  log.info(`\n🧪 DRY RUN - nothing was written. Planned writes:`, { event: 'write_plan' });
+  log.info(`  ${'Collection'.padEnd(48)} ${'create'.padStart(7)} ${'update'.padStart(7)} ${'same'.padStart(7)} ${'writes'.padStart(7)} ${'deletes'.padStart(7)}`);
+  for (const g of plan.collections.filter(c => c.store === 'firestore')) {
+    log.info(`  ${g.name.padEnd(48)} ${String(g.creates).padStart(7)} ${String(g.updates).padStart(7)} ${String(g.unchanged).padStart(7)} ${String(g.writes).padStart(7)} ${String(g.deletes).padStart(7)}`, { event: 'write_plan_collection', ...g });
+  }
+
+  const rtdb = plan.collections.filter(c => c.store === 'rtdb');
+  if (rtdb.length > 0) {
+    log.info(`  ${'RTDB path'.padEnd(48)} ${'changed'.padStart(7)} ${'same'.padStart(7)} ${'removed'.padStart(7)} ${'upload'.padStart(10)}`);
+    for (const g of rtdb) {
+      log.info(`  ${g.name.padEnd(48)} ${String(g.updates).padStart(7)} ${String(g.unchanged).padStart(7)} ${String(g.removed).padStart(7)} ${formatBytes(g.bytes).padStart(10)}`, { event: 'write_plan_collection', ...g });
+    }
+  }
+
+  const { operations: ops, estimatedCostUsd: cost } = plan;
+  log.info(`\n💰 Estimated billable operations (list prices, free tier ignored):`, { event: 'write_plan_cost', operations: ops, estimatedCostUsd: cost });
+  log.info(`  Firestore: ${ops.reads} reads, ${ops.writes} writes, ${ops.deletes} deletes ($${(cost.firestoreReads + cost.firestoreWrites + cost.firestoreDeletes).toFixed(4)})`);
+  log.info(`  RTDB: ${formatBytes(ops.rtdbBytesRead)} downloaded ($${cost.rtdbDownload.toFixed(4)}), ${formatBytes(ops.rtdbBytesWritten)} uploaded (free, up to $${cost.rtdbStoragePerMonth.toFixed(4)}/month stored)`);
+
+  const outFile = getDryRunOutFile();
+  if (outFile) {
+    mkdirSync(path.dirname(outFile), { recursive: true });
+    writeFileSync(outFile, JSON.stringify({ ...plan, writes: dump }, null, 2));
+    log.info(`\n💾 Write plan dumped to ${outFile}`, { file: outFile });
+  }
+
+  return plan;
+}
@@ -0,0 +1,247 @@
+import { createHmac } from 'crypto';
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { getWebhooksSource, getWebhookDeadLetterFile, isDryRun } from '../config.js';
+import { getStorage } from '../storage/index.js';
+import { backoffDelay, parseRetryAfter, sleep } from '../utils/rate-limiter.js';
+import { contentHash } from '../utils/hash.js';
+import { claimNotification } from '../notifier/dedup.js';
+import { getWebhooks, webhookMatches } from './registry.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Outgoing webhook dispatcher
+ * Posts signed JSON for live change feed records (match results, rank changes, alliance
+ * selection, elims) and for awards found by full/new syncs. Deliveries run in the background,
+ * in order per webhook; call flushWebhooks() before the process exits.
+ *
+ * Each POST carries:
+ *   X-Webhook-Event      delivery type (e.g. match_scored)
+ *   X-Webhook-Delivery   stable delivery ID (same across retries)
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  sha256=HMAC_SHA256(secret, `${timestamp}.${body}`) when the webhook has a secret
+ *
+ * 429/5xx/network errors are retried with backoff; deliveries that still fail (or get another 4xx)
+ * are appended to the dead-letter log (WEBHOOK_DEAD_LETTER_FILE, plus `webhook_dead_letters` in Firestore).
+ */
+
+const MAX_ATTEMPTS = 5;
+const REQUEST_TIMEOUT_MS = 10000;
+const AWARD_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000; // Don't post awards of events that ended long ago
+
+const chains = new Map(); // webhookId -> Promise of its last delivery
+
+/**
+ * Signature sent in X-Webhook-Signature (exported for receivers and the stub server)
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Team numbers a delivery is about (for the `teams` filter)
+function teamsOf(change) {
+  switch (change.type) {
+    case 'match_scored':
+    case 'score_changed':
+      return [...(change.red?.teams || []), ...(change.blue?.teams || [])];
+    case 'rank_changed':
+      return change.team?.number ? [change.team.number] : [];
+    case 'alliance_selection_complete':
+      return (change.alliances || []).flat();
+    case 'elims_complete':
+      return change.winners || [];
+    case 'award_posted':
+      return change.teams || [];
+    default:
+      return [];
+  }
+}
+
+function formatBody(webhook, payload) {
+  const text = `[${payload.event.sku || payload.event.id}] ${payload.data.text}`;
+  if (webhook.format === 'discord') return { content: text };
+  if (webhook.format === 'slack') return { text };
+  return payload;
+}
+
+async function deadLetter(webhook, payload, attempts, error) {
+  const entry = {
+    deliveryId: payload.id,
+    webhookId: webhook.id,
+    url: webhook.url,
+    type: payload.type,
+    attempts,
+    error,
+    payload,
+    failedAt: new Date().toISOString(),
+  };
+  log.error(`    ❌ [WEBHOOK] ${payload.type} ${payload.id} to webhook ${webhook.id} failed after ${attempts} attempts: ${error}`);
+
+  try {
+    const file = getWebhookDeadLetterFile();
+    await mkdir(path.dirname(file), { recursive: true });
+    await appendFile(file, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    log.warn(`    ⚠️ [WEBHOOK] Could not write dead-letter file: ${err.message}`);
+  }
+
+  if (getWebhooksSource() === 'firestore') {
+    try {
+      const storage = getStorage();
+      const id = `${entry.failedAt.replace(/[^0-9]/g, '')}_${contentHash([webhook.id, payload.id])}`;
+      // The URL stays in the local file only (webhookId identifies the webhook)
+      const stored = { ...entry };
+      delete stored.url;
+      await storage.setDocs('webhook_dead_letters', [{ id, data: { ...stored, createdAt: storage.serverTimestamp() } }], { merge: false });
+    } catch (err) {
+      log.warn(`    ⚠️ [WEBHOOK] Could not store dead letter: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * POST one payload with retries
+ * @returns {boolean} true if delivered
+ */
+export async function deliver(webhook, payload) {
+  const body = JSON.stringify(formatBody(webhook, payload));
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    attempts = attempt;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'robotevents-firebase-sync',
+      'X-Webhook-Event': payload.type,
+      'X-Webhook-Delivery': payload.id,
+      'X-Webhook-Timestamp': String(timestamp),
+      ...(webhook.secret ? { 'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body) } : {}),
+    };
+
+    let retryAfterMs = null;
+    try {
+      const response = await axios.post(webhook.url, body, { headers, timeout: REQUEST_TIMEOUT_MS, validateStatus: () => true });
+      if (response.status >= 200 && response.status < 300) return true;
+
+      lastError = `HTTP ${response.status}`;
+      if (response.status !== 429 && response.status < 500) break; // Won't get better by retrying
+      retryAfterMs = parseRetryAfter(response.headers?.['retry-after']);
+    } catch (err) {
+      lastError = err.message;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      await sleep(retryAfterMs ?? backoffDelay(attempt - 1, 1000, 60000));
+    }
+  }
+
+  await deadLetter(webhook, payload, attempts, lastError);
+  return false;
+}
+
+/**
+ * Queue a delivery behind the webhook's previous one (keeps per-webhook order)
+ */
+function enqueue(webhook, payload, dedupKey) {
+  const previous = chains.get(webhook.id) || Promise.resolve();
+  const next = previous.then(async () => {
+    if (dedupKey && !(await claimNotification(dedupKey, { type: payload.type, webhookId: webhook.id }))) return;
+    await deliver(webhook, payload);
+  }).catch(err => log.error(`    ❌ [WEBHOOK] Delivery error: ${err.message}`));
+  chains.set(webhook.id, next);
+}
+
+async function dispatch(items) {
+  const webhooks = await getWebhooks();
+  if (webhooks.length === 0) return 0;
+
+  const dryRun = isDryRun();
+  let queued = 0;
+  for (const { payload, sku, dedup } of items) {
+    const filterInput = { type: payload.type, sku, teams: teamsOf(payload.data) };
+    for (const webhook of webhooks) {
+      if (!webhookMatches(webhook, filterInput)) continue;
+      if (!dryRun) enqueue(webhook, payload, dedup ? `wh_${webhook.id}_${payload.id}` : null);
+      queued++;
+    }
+  }
+  if (queued > 0) log.info(`    🪝 [WEBHOOK] ${dryRun ? '[DRY RUN] Would queue' : 'Queued'} ${queued} deliveries`);
+  return queued;
+}
+
+/**
+ * Queue change feed records (live sync). Change IDs are unique, so no dedup is needed.
+ */
+export async function dispatchChanges({ eventId, sku, changes }) {
+  if (changes.length === 0) return 0;
+  try {
+    return await dispatch(changes.map(change => ({
+      sku,
+      payload: {
+        id: change.id,
+        type: change.type,
+        event: { id: String(eventId), sku: sku || null },
+        division: change.division ?? null,
+        at: change.at,
+        data: change,
+      },
+    })));
+  } catch (err) {
+    log.error(`    ❌ [WEBHOOK] Dispatch failed: ${err.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Queue awards that have winners (full/new sync). Deduped per webhook, award and winners,
+ * and skipped for events that ended more than a few days ago.
+ */
+export async function dispatchAwards(event, awards, now = Date.now()) {
+  if (event.end && now - new Date(event.end).getTime() > AWARD_MAX_AGE_MS) return 0;
+
+  const items = [];
+  for (const award of awards) {
+    const teams = (award.teamWinners || []).map(w => w.team?.name).filter(Boolean);
+    const winners = [...teams, ...(award.individualWinners || [])];
+    if (winners.length === 0) continue;
+
+    const data = {
+      type: 'award_posted',
+      text: `🏆 ${award.title}: ${winners.join(', ')}`,
+      awardId: award.id,
+      title: award.title,
+      teams,
+      individuals: award.individualWinners || [],
+      qualifications: award.qualifications || [],
+    };
+    items.push({
+      sku: event.sku,
+      dedup: true,
+      payload: {
+        id: `award_${award.id}_${contentHash(winners)}`,
+        type: 'award_posted',
+        event: { id: String(event.id), sku: event.sku || null },
+        division: null,
+        at: new Date(now).toISOString(),
+        data,
+      },
+    });
+  }
+
+  try {
+    return await dispatch(items);
+  } catch (err) {
+    log.error(`    ❌ [WEBHOOK] Dispatch failed: ${err.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Wait for every queued delivery (including retries) to finish
+ */
+export async function flushWebhooks() {
+  await Promise.all([...chains.values()]);
+}
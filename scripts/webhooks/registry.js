@@ -0,0 +1,77 @@
+import { readFile } from 'fs/promises';
+import { getWebhooksSource, getWebhooksFile } from '../config.js';
+import { getStorage } from '../storage/index.js';
+import { contentHash } from '../utils/hash.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Webhook registry
+ * Each webhook is
+ *   { id, url, secret?, format?: 'json' | 'discord' | 'slack', enabled?,
+ *     filters?: { skus?: [], teams?: [], types?: [] } }
+ * read from the `webhooks` collection of the storage backend or from WEBHOOKS_FILE (a JSON array),
+ * depending on WEBHOOKS_SOURCE. Filters are ANDed; a missing or empty list matches everything.
+ * Secrets and URLs (Discord/Slack URLs are credentials on their own) must never be client-readable:
+ * firestore.rules denies client reads of `webhooks`, so it stays admin-SDK only.
+ */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cache = null; // { at, webhooks }
+
+function normalize(webhook) {
+  return {
+    ...webhook,
+    id: String(webhook.id || contentHash(webhook.url)),
+    format: webhook.format || 'json',
+    filters: webhook.filters || {},
+  };
+}
+
+async function loadWebhooks(source) {
+  if (source === 'file') {
+    const file = getWebhooksFile();
+    const list = JSON.parse(await readFile(file, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${file} must contain a JSON array of webhooks`);
+    return list;
+  }
+
+  const docs = await getStorage().listDocs('webhooks');
+  return docs.map(({ id, data }) => ({ id, ...data }));
+}
+
+/**
+ * Enabled webhooks (cached for a few minutes; [] when WEBHOOKS_SOURCE=off)
+ */
+export async function getWebhooks() {
+  const source = getWebhooksSource();
+  if (source === 'off') return [];
+  if (cache && Date.now() - cache.at < CACHE_TTL_MS) return cache.webhooks;
+
+  try {
+    const webhooks = (await loadWebhooks(source))
+      .filter(w => w && w.url && w.enabled !== false)
+      .map(normalize);
+    cache = { at: Date.now(), webhooks };
+  } catch (err) {
+    log.error(`    ❌ [WEBHOOK] Could not load webhooks from ${source}: ${err.message}`);
+    // Keep using the last good list
+    cache = { at: Date.now(), webhooks: cache?.webhooks || [] };
+  }
+  return cache.webhooks;
+}
+
+function matchesList(list, values) {
+  if (!Array.isArray(list) || list.length === 0) return true;
+  const wanted = new Set(list.map(v => String(v).toUpperCase()));
+  return values.some(v => wanted.has(String(v).toUpperCase()));
+}
+
+/**
+ * Does a webhook want this delivery?
+ * @param {Object} delivery - { type, sku, teams: [team numbers] }
+ */
+export function webhookMatches(webhook, { type, sku, teams }) {
+  const { skus, teams: teamFilter, types } = webhook.filters;
+  return matchesList(types, [type]) && matchesList(skus, sku ? [sku] : []) && matchesList(teamFilter, teams);
+}
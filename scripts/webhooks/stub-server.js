@@ -0,0 +1,91 @@
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { signPayload } from './dispatcher.js';
+
+/**
+ * Local webhook receiver for testing the dispatcher
+ * Logs every delivery, checks its signature, and can fail the first N requests
+ * with a 500 to exercise retries and the dead-letter log.
+ *
+ * Usage:
+ *   node scripts/webhooks/stub-server.js [--port=8787] [--secret=<secret>] [--fail=<n>]
+ *
+ * Then point a webhook at http://localhost:8787/ (e.g. in webhooks.json with WEBHOOKS_SOURCE=file).
+ */
+
+function verifySignature(secret, req, body) {
+  const header = req.headers['x-webhook-signature'] || '';
+  const expected = signPayload(secret, req.headers['x-webhook-timestamp'], body);
+  return header.length === expected.length && timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+/**
+ * @param {Object} options - port (0 = any free port), secret, failFirst
+ * @returns {Promise<Object>} { url, received, close() } - received lists { headers, body, signatureValid }
+ */
+export function startStubServer({ port = 8787, secret = null, failFirst = 0 } = {}) {
+  const received = [];
+  let requests = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests++;
+      if (requests <= failFirst) {
+        res.writeHead(500).end('stub failure');
+        return;
+      }
+
+      const signatureValid = secret ? verifySignature(secret, req, body) : null;
+      let parsed = null;
+      try {
+        parsed = JSON.parse(body);
+      } catch {
+        // Keep the raw body
+      }
+      received.push({ headers: req.headers, body: parsed ?? body, signatureValid });
+      res.writeHead(signatureValid === false ? 401 : 204).end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        received,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
+}
+
+// Run if called directly
+if (process.argv[1] && process.argv[1].endsWith('stub-server.js')) {
+  const secret = getArgValue('secret') || null;
+  startStubServer({
+    port: parseInt(getArgValue('port') || '8787'),
+    secret,
+    failFirst: parseInt(getArgValue('fail') || '0'),
+  }).then(({ url, received }) => {
+    console.log(`🪝 Webhook stub listening on ${url}${secret ? ' (verifying signatures)' : ''}`);
+    const log = received.push.bind(received);
+    received.push = (entry) => {
+      const event = entry.headers['x-webhook-event'];
+      const signature = entry.signatureValid === null ? '' : entry.signatureValid ? ' ✅ signed' : ' ❌ bad signature';
+      console.log(`📨 ${event} ${entry.headers['x-webhook-delivery']}${signature}`);
+      console.log(JSON.stringify(entry.body, null, 2));
+      return log(entry);
+    };
+  }).catch((error) => {
+    console.error('❌ Stub server failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,124 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync, readdirSync, utimesSync } from 'fs';
+import path from 'path';
+import { setupTestEnv, KEY_A, KEY_B } from './helpers/env.js';
+import { PAST_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv();
+const { apiGet } = await import('../scripts/utils/api-client.js');
+const { resetKeyStates, getKeyStats } = await import('../scripts/utils/rate-limiter.js');
+const { flushResponseCache, pruneResponseCache } = await import('../scripts/utils/response-cache.js');
+
+const UNKNOWN_KEY = 'eyJtest.revoked';
+const programsUrl = `${env.mock.url}/programs`;
+
+// Fresh keys have equal budgets, so the first key in ROBOTEVENTS_API_KEYS is leased first
+function useKeys(...keys) {
+  process.env.ROBOTEVENTS_API_KEYS = keys.join(',');
+}
+
+function requestLog() {
+  return env.mock.requests.map(r => `${r.key}:${r.status}`);
+}
+
+beforeEach(() => {
+  resetKeyStates();
+  env.mock.requests.length = 0;
+  useKeys(KEY_A, KEY_B);
+});
+
+after(() => env.cleanup());
+
+test('apiGet blacklists a key rejected with 401 and retries with the next one', async () => {
+  useKeys(UNKNOWN_KEY, KEY_A);
+
+  const response = await apiGet(programsUrl);
+  assert.equal(response.status, 200);
+  assert.equal(response.data.data.length, env.fixtures.programs.length);
+
+  await apiGet(programsUrl);
+  assert.deepEqual(requestLog(), [`${UNKNOWN_KEY}:401`, `${KEY_A}:200`, `${KEY_A}:200`]);
+  assert.equal(getKeyStats().find(s => s.key.endsWith(UNKNOWN_KEY.slice(-6))).status, 'blacklisted');
+});
+
+test('apiGet fails once every key is rejected with 401', async () => {
+  useKeys(UNKNOWN_KEY, 'eyJtest.also-revoked');
+  await assert.rejects(apiGet(programsUrl), /All provided RobotEvents API keys are failing with 401/);
+});
+
+test('apiGet rotates to another key on 429 and leaves the limited key cooling down', async () => {
+  env.mock.fail({ status: 429, key: KEY_A, headers: { 'Retry-After': '30' } });
+
+  const response = await apiGet(programsUrl);
+  assert.equal(response.status, 200);
+  await apiGet(programsUrl);
+
+  assert.deepEqual(requestLog(), [`${KEY_A}:429`, `${KEY_B}:200`, `${KEY_B}:200`]);
+  const stats = getKeyStats().find(s => s.key.endsWith(KEY_A.slice(-6)));
+  assert.equal(stats.status, 'cooldown');
+  assert.ok(stats.cooldownRemainingMs > 25000);
+});
+
+test('apiGet retries server errors with backoff', async () => {
+  env.mock.fail({ status: 503 });
+
+  const response = await apiGet(programsUrl);
+  assert.equal(response.status, 200);
+  assert.deepEqual(env.mock.requests.map(r => r.status), [503, 200]);
+});
+
+test('apiGet does not retry other client errors', async () => {
+  await assert.rejects(apiGet(`${env.mock.url}/events/999`), error => error.response?.status === 404);
+  assert.equal(env.mock.requests.length, 1);
+});
+
+test('finished events are cached for days, then revalidated, and recorded once per run', async () => {
+  process.env.API_CACHE = 'on';
+  const cacheDir = process.env.API_CACHE_DIR;
+  const finishedFile = path.join(cacheDir, 'finished-events.json');
+  const eventUrl = `${env.mock.url}/events/${PAST_EVENT_ID}`;
+  try {
+    await apiGet(eventUrl);
+    assert.equal(existsSync(finishedFile), false);
+    await flushResponseCache();
+    assert.deepEqual(JSON.parse(readFileSync(finishedFile, 'utf8')), [String(PAST_EVENT_ID)]);
+
+    await apiGet(eventUrl);
+    assert.equal(env.mock.requests.length, 1);
+
+    // Eight days later the entry is stale and revalidated
+    const [shard] = readdirSync(cacheDir).filter(name => name.length === 2);
+    const [file] = readdirSync(path.join(cacheDir, shard));
+    const entryFile = path.join(cacheDir, shard, file);
+    const entry = JSON.parse(readFileSync(entryFile, 'utf8'));
+    writeFileSync(entryFile, JSON.stringify({ ...entry, storedAt: Date.now() - 8 * 24 * 60 * 60 * 1000 }));
+    await apiGet(eventUrl);
+    assert.equal(env.mock.requests.length, 2);
+  } finally {
+    process.env.API_CACHE = 'off';
+  }
+});
+
+test('cache entries nobody revalidated for two weeks are pruned', async () => {
+  process.env.API_CACHE = 'on';
+  const cacheDir = process.env.API_CACHE_DIR;
+  const entries = () => readdirSync(cacheDir).filter(name => name.length === 2).flatMap(shard => readdirSync(path.join(cacheDir, shard)).map(file => path.join(cacheDir, shard, file)));
+  try {
+    await apiGet(programsUrl);
+    await apiGet(`${env.mock.url}/seasons`);
+    const before = entries();
+    assert.ok(before.length >= 2);
+
+    const old = before.find(file => JSON.parse(readFileSync(file, 'utf8')).url.endsWith('/seasons'));
+    const fifteenDaysAgo = new Date(Date.now() - 15 * 24 * 60 * 60 * 1000);
+    utimesSync(old, fifteenDaysAgo, fifteenDaysAgo);
+
+    assert.equal(await pruneResponseCache(), 1);
+    assert.equal(existsSync(old), false);
+    assert.equal(entries().length, before.length - 1);
+    assert.ok(existsSync(path.join(cacheDir, 'finished-events.json')), 'bookkeeping files are kept');
+  } finally {
+    process.env.API_CACHE = 'off';
+  }
+});
@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv();
+const { sync } = await import('../scripts/sync.js');
+const { audit } = await import('../scripts/audit.js');
+const { getStorage, flushStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+const outDir = path.join(env.storageDir, 'reports');
+
+after(async () => {
+  await flushStorage();
+  await env.cleanup();
+});
+
+test('audit --repair clears drift the audit flags, including stale and extra stored fields', async () => {
+  await sync({ mode: 'full' });
+  assert.equal((await audit({ outDir, repair: false })).summary.mismatchedDocs, 0);
+
+  const [team] = await storage.listDocs(`events/${PAST_EVENT_ID}/teams`);
+  const [match] = await storage.listDocs(`events/${PAST_EVENT_ID}/divisions/1/matches`);
+  await storage.setDocs(`events/${PAST_EVENT_ID}/teams`, [{ id: team.id, data: { staleField: 'left over' } }]);
+  await storage.setDocs(`events/${PAST_EVENT_ID}/divisions/1/matches`, [{ id: match.id, data: { scored: !match.data.scored } }]);
+  await storage.setDocs('events', [{ id: String(PAST_EVENT_ID), data: { finalized: true, extra: 1 } }]);
+
+  const before = await audit({ outDir, repair: false });
+  assert.equal(before.summary.mismatchedDocs, 3);
+
+  const repaired = await audit({ outDir, repair: true });
+  assert.equal(repaired.summary.mismatchedDocs, 3);
+
+  const afterRepair = await audit({ outDir, repair: false });
+  assert.equal(afterRepair.summary.mismatchedDocs, 0);
+  assert.equal(afterRepair.summary.eventsBroken, 0);
+  assert.equal((await storage.getDoc(`events/${PAST_EVENT_ID}/teams`, team.id)).staleField, undefined);
+  assert.equal((await storage.getDoc('events', String(PAST_EVENT_ID))).finalized, true, 'finalize flags survive the overwrite');
+});
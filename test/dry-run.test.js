@@ -0,0 +1,65 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID, LIVE_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv({ env: { DRY_RUN: 'true' } });
+const outFile = path.join(env.storageDir, 'plan.json');
+process.env.DRY_RUN_OUT = outFile;
+
+const { sync } = await import('../scripts/sync.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+const { getWritePlan, printWritePlan } = await import('../scripts/utils/write-plan.js');
+
+// Reads go through to the real backend, so this also shows what was actually stored
+const storage = getStorage();
+const group = name => getWritePlan().collections.find(c => c.name === name);
+
+after(() => env.cleanup());
+
+test('a dry run fetches everything but writes nothing', async () => {
+  const { complete } = await sync({ mode: 'full' });
+  assert.equal(complete, true);
+  assert.match(storage.name, /dry run/);
+
+  assert.ok(env.mock.requests.some(r => r.path === `/events/${PAST_EVENT_ID}/divisions/1/matches`));
+  assert.deepEqual(await storage.listDocs('events'), []);
+  assert.equal(await storage.getDoc('sync', 'checkpoint_full'), null);
+});
+
+test('the write plan counts creates per collection group and estimates the cost', () => {
+  const plan = getWritePlan();
+
+  assert.equal(group('events').creates, 2);
+  assert.equal(group('events/{id}/teams').creates, 8);
+  assert.equal(group('events/{id}/divisions/{id}/rankings').creates, 8);
+  assert.ok(plan.operations.reads > 0);
+  assert.ok(plan.operations.writes >= plan.collections.reduce((sum, c) => sum + c.creates + c.updates, 0));
+  assert.ok(plan.estimatedCostUsd.total > 0);
+});
+
+test('the JSON dump lists every planned doc write', () => {
+  const dump = JSON.parse(readFileSync(outFile, 'utf8'));
+  const paths = dump.writes.firestore.map(w => w.path);
+
+  assert.ok(paths.includes(`events/${LIVE_EVENT_ID}`));
+  assert.equal(dump.writes.firestore.find(w => w.path === `events/${PAST_EVENT_ID}`).op, 'create');
+  assert.ok(paths.includes('sync/checkpoint_full'));
+});
+
+test('the printed plan is one JSON object per line with JSON logs', () => {
+  const lines = [];
+  const consoleLog = console.log;
+  console.log = line => lines.push(line);
+  try {
+    printWritePlan();
+  } finally {
+    console.log = consoleLog;
+  }
+
+  const entries = lines.map(line => JSON.parse(line));
+  assert.ok(entries.some(e => e.event === 'write_plan_collection' && e.name === 'events' && e.creates === 2));
+  assert.ok(entries.some(e => e.event === 'write_plan_cost' && e.operations.writes > 0));
+});
@@ -0,0 +1,105 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers/env.js';
+
+const env = await setupTestEnv();
+const { batchWriteToFirestore, reconcileCollection, updateRealtimeDB, deepEqual } = await import('../scripts/utils/firebase-helpers.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+
+const teams = () => [
+  { id: '1', data: { number: '1001A', team_name: 'Alpha', location: { city: 'Dallas' } } },
+  { id: '2', data: { number: '1002B', team_name: 'Bravo', location: { city: 'Austin' } } },
+  { id: '3', data: { number: '1003C', team_name: 'Charlie', location: { city: 'Houston' } } },
+];
+
+after(() => env.cleanup());
+
+test('batchWriteToFirestore writes new docs and stamps lastUpdated', async () => {
+  assert.equal(await batchWriteToFirestore('bw_teams', teams()), 3);
+
+  const stored = await storage.getDoc('bw_teams', '1');
+  assert.equal(stored.team_name, 'Alpha');
+  assert.ok(stored.lastUpdated);
+});
+
+test('batchWriteToFirestore skips docs whose content is unchanged', async () => {
+  assert.equal(await batchWriteToFirestore('bw_teams', teams()), 0);
+});
+
+test('batchWriteToFirestore only writes the docs that changed', async () => {
+  const docs = teams();
+  docs[1].data.location.city = 'San Antonio';
+  assert.equal(await batchWriteToFirestore('bw_teams', docs), 1);
+  assert.equal((await storage.getDoc('bw_teams', '2')).location.city, 'San Antonio');
+});
+
+test('batchWriteToFirestore writes everything when checkBeforeWrite is off', async () => {
+  assert.equal(await batchWriteToFirestore('bw_teams', teams(), true, false), 3);
+});
+
+test('reconcileCollection tombstones docs gone upstream and a rewrite revives them', async () => {
+  assert.deepEqual(await reconcileCollection('bw_teams', ['1', '2'], { mode: 'tombstone' }), ['3']);
+  const tombstoned = await storage.getDoc('bw_teams', '3');
+  assert.equal(tombstoned.removed, true);
+  assert.ok(tombstoned.removedAt);
+
+  // Unchanged content, but the tombstone forces a write that clears it
+  assert.equal(await batchWriteToFirestore('bw_teams', teams()), 1);
+  const revived = await storage.getDoc('bw_teams', '3');
+  assert.equal(revived.removed, undefined);
+  assert.equal(revived.removedAt, undefined);
+});
+
+test('reconcileCollection never acts on an empty upstream list or past its removal cap', async () => {
+  assert.deepEqual(await reconcileCollection('bw_teams', [], { mode: 'delete' }), []);
+  assert.deepEqual(await reconcileCollection('bw_teams', ['1'], { mode: 'delete', maxRemovalRatio: 0.5 }), []);
+  assert.equal((await storage.listDocs('bw_teams')).length, 3);
+
+  assert.deepEqual(await reconcileCollection('bw_teams', ['1', '2'], { mode: 'delete' }), ['3']);
+  assert.equal(await storage.getDoc('bw_teams', '3'), null);
+});
+
+test('reconcileCollection tombstones the subcollections of a removed doc, or deletes them recursively', async () => {
+  const divisions = [{ id: '1', data: { name: 'Science' } }, { id: '2', data: { name: 'Technology' } }];
+  await batchWriteToFirestore('bw_events/9/divisions', divisions);
+  await batchWriteToFirestore('bw_events/9/divisions/2/matches', [{ id: '21', data: { round: 2 } }, { id: '22', data: { round: 2 } }]);
+  await batchWriteToFirestore('bw_events/9/divisions/2/rankings', [{ id: '31', data: { rank: 1 } }]);
+  await batchWriteToFirestore('bw_events/9/divisions/1/matches', [{ id: '11', data: { round: 2 } }]);
+
+  const options = { mode: 'tombstone', maxRemovalRatio: 1, subcollections: ['matches', 'rankings'] };
+  assert.deepEqual(await reconcileCollection('bw_events/9/divisions', ['1'], options), ['2']);
+  assert.equal((await storage.getDoc('bw_events/9/divisions', '2')).removed, true);
+  assert.ok((await storage.listDocs('bw_events/9/divisions/2/matches')).every(d => d.data.removed === true));
+  assert.equal((await storage.getDoc('bw_events/9/divisions/2/rankings', '31')).removed, true);
+  assert.equal((await storage.getDoc('bw_events/9/divisions/1/matches', '11')).removed, undefined);
+
+  await batchWriteToFirestore('bw_events/9/divisions', divisions);
+  assert.deepEqual(await reconcileCollection('bw_events/9/divisions', ['1'], { ...options, mode: 'delete' }), ['2']);
+  assert.equal(await storage.getDoc('bw_events/9/divisions', '2'), null);
+  assert.deepEqual(await storage.listDocs('bw_events/9/divisions/2/matches'), []);
+});
+
+test('updateRealtimeDB with diff only pushes changed records and removes missing ones', async () => {
+  const path = 'live/1/1/matches';
+  const records = [{ id: 'a', data: { scored: false } }, { id: 'b', data: { scored: false } }];
+
+  assert.deepEqual(await updateRealtimeDB(path, records, { diff: true }), { written: 2, removed: 0 });
+  assert.deepEqual(await updateRealtimeDB(path, records, { diff: true }), { written: 0, removed: 0 });
+
+  assert.deepEqual(await updateRealtimeDB(path, [{ id: 'a', data: { scored: true } }], { diff: true }), { written: 1, removed: 1 });
+  const live = await storage.readLive(path);
+  assert.deepEqual(Object.keys(live), ['a']);
+  assert.equal(live.a.scored, true);
+
+  // An empty response never removes anything
+  assert.deepEqual(await updateRealtimeDB(path, [], { diff: true }), { written: 0, removed: 0 });
+});
+
+test('deepEqual ignores key order and compares dates by value', () => {
+  assert.ok(deepEqual({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 2] }, a: 1 }));
+  assert.ok(deepEqual(new Date(5), new Date(5)));
+  assert.ok(!deepEqual({ a: [1, 2] }, { a: [2, 1] }));
+  assert.ok(deepEqual({ a: null }, { a: undefined }));
+});
@@ -0,0 +1,159 @@
+/**
+ * RobotEvents fixtures shaped like swagger.yml (Program, Season, Event, Team, Ranking, MatchObj, Skill, Award)
+ * Dates are relative to `now`, so one event is always over and one is always live.
+ * Tests mutate the returned object (e.g. post a score) and the mock server serves the new state.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const SEASON_ID = 190;
+export const PAST_EVENT_ID = 51001;
+export const LIVE_EVENT_ID = 51002;
+
+const PROGRAM = { id: 1, name: 'VEX V5 Robotics Competition', code: 'V5RC' };
+const SEASON_INFO = { id: SEASON_ID, name: 'VEX V5 Robotics Competition 2024-2025: High Stakes', code: null };
+
+function isoDay(ms) {
+  return `${new Date(ms).toISOString().slice(0, 10)}T00:00:00-05:00`;
+}
+
+function team(id, number, name) {
+  return {
+    id,
+    number,
+    team_name: name,
+    robot_name: '',
+    organization: `${name} Robotics`,
+    location: { city: 'Dallas', region: 'Texas', country: 'United States', postcode: '75201', address_1: '', address_2: null, venue: null, coordinates: { lat: 32.78, lon: -96.8 } },
+    registered: true,
+    program: PROGRAM,
+    grade: 'High School',
+  };
+}
+
+const TEAMS = [
+  team(1001, '1001A', 'Alpha'),
+  team(1002, '1002B', 'Bravo'),
+  team(1003, '1003C', 'Charlie'),
+  team(1004, '1004D', 'Delta'),
+];
+
+const teamInfo = t => ({ id: t.id, name: t.number, code: null });
+
+function event(id, name, startMs, endMs) {
+  return {
+    id,
+    sku: `RE-V5RC-24-${id}`,
+    name,
+    start: isoDay(startMs),
+    end: isoDay(endMs),
+    season: SEASON_INFO,
+    program: PROGRAM,
+    location: { venue: 'Convention Center', address_1: '650 S Griffin St', address_2: null, city: 'Dallas', region: 'Texas', postcode: '75202', country: 'United States', coordinates: { lat: 32.77, lon: -96.8 } },
+    locations: {},
+    divisions: [{ id: 1, name: 'Division 1', order: 1 }],
+    level: 'State',
+    ongoing: false,
+    awards_finalized: false,
+    event_type: 'tournament',
+  };
+}
+
+/**
+ * Qualification match between two 2-team alliances
+ */
+export function match(eventId, matchnum, scheduledMs, [red, blue], scores = null) {
+  return {
+    id: eventId * 100 + matchnum,
+    event: { id: eventId, name: `Event ${eventId}`, code: `RE-V5RC-24-${eventId}` },
+    division: { id: 1, name: 'Division 1', code: null },
+    round: 2,
+    instance: 1,
+    matchnum,
+    scheduled: new Date(scheduledMs).toISOString(),
+    started: scores ? new Date(scheduledMs).toISOString() : null,
+    field: 'Field 1',
+    scored: !!scores,
+    name: `Qualifier #${matchnum}`,
+    alliances: [
+      { color: 'red', score: scores ? scores[0] : 0, teams: red.map(t => ({ team: teamInfo(t), sitting: false })) },
+      { color: 'blue', score: scores ? scores[1] : 0, teams: blue.map(t => ({ team: teamInfo(t), sitting: false })) },
+    ],
+  };
+}
+
+function ranking(eventId, rank, t, wins, losses) {
+  return {
+    id: eventId * 100 + rank,
+    event: { id: eventId, name: `Event ${eventId}`, code: `RE-V5RC-24-${eventId}` },
+    division: { id: 1, name: 'Division 1', code: null },
+    rank,
+    team: teamInfo(t),
+    wins,
+    losses,
+    ties: 0,
+    wp: wins * 2,
+    ap: 8,
+    sp: 40,
+    high_score: 30,
+    average_points: 20.5,
+    total_points: 82,
+  };
+}
+
+function eventData(eventId, scheduledMs, scored) {
+  const [a, b, c, d] = TEAMS;
+  return {
+    teams: TEAMS,
+    divisions: {
+      1: {
+        matches: [
+          match(eventId, 1, scheduledMs, [[a, b], [c, d]], [24, 18]),
+          match(eventId, 2, scheduledMs + 10 * 60 * 1000, [[a, c], [b, d]], scored ? [15, 30] : null),
+          match(eventId, 3, scheduledMs + 20 * 60 * 1000, [[a, d], [b, c]], scored ? [21, 21] : null),
+        ],
+        rankings: [
+          ranking(eventId, 1, a, 1, 0),
+          ranking(eventId, 2, b, 1, 0),
+          ranking(eventId, 3, c, 0, 1),
+          ranking(eventId, 4, d, 0, 1),
+        ],
+        finalistRankings: [],
+      },
+    },
+    skills: [
+      { id: eventId * 10 + 1, event: { id: eventId, name: `Event ${eventId}`, code: null }, team: teamInfo(a), type: 'driver', season: SEASON_INFO, division: { id: 1, name: 'Division 1', code: null }, rank: 1, score: 45, attempts: 2 },
+      { id: eventId * 10 + 2, event: { id: eventId, name: `Event ${eventId}`, code: null }, team: teamInfo(b), type: 'programming', season: SEASON_INFO, division: { id: 1, name: 'Division 1', code: null }, rank: 1, score: 30, attempts: 3 },
+    ],
+    awards: scored
+      ? [{ id: eventId * 10 + 1, event: { id: eventId, name: `Event ${eventId}`, code: null }, order: 1, title: 'Tournament Champions (VRC/VEXU/VAIRC)', qualifications: [], designation: 'tournament', classification: 'champion', teamWinners: [{ division: { id: 1, name: 'Division 1', code: null }, team: teamInfo(a) }], individualWinners: [] }]
+      : [],
+  };
+}
+
+/**
+ * Fresh fixture set
+ * @returns {Object} { programs, seasons, events, data: { [eventId]: { teams, skills, awards, divisions: { [divId]: { matches, rankings, finalistRankings } } } } }
+ */
+export function buildFixtures(now = Date.now()) {
+  const past = event(PAST_EVENT_ID, 'Past Signature Event', now - 30 * DAY, now - 29 * DAY);
+  past.awards_finalized = true;
+  // Yesterday..tomorrow keeps the live event inside its local window at any time of day
+  const live = event(LIVE_EVENT_ID, 'Live State Championship', now - DAY, now + DAY);
+
+  return {
+    programs: [
+      { id: 1, abbr: 'V5RC', name: 'VEX V5 Robotics Competition' },
+      { id: 41, abbr: 'VIQRC', name: 'VEX IQ Robotics Competition' },
+    ],
+    seasons: [
+      { id: SEASON_ID, name: SEASON_INFO.name, program: PROGRAM, start: new Date(now - 120 * DAY).toISOString(), end: new Date(now + 200 * DAY).toISOString(), years_start: 2024, years_end: 2025 },
+      { id: 181, name: 'VEX V5 Robotics Competition 2023-2024: Over Under', program: PROGRAM, start: new Date(now - 500 * DAY).toISOString(), end: new Date(now - 130 * DAY).toISOString(), years_start: 2023, years_end: 2024 },
+    ],
+    events: [past, live],
+    data: {
+      [PAST_EVENT_ID]: eventData(PAST_EVENT_ID, now - 30 * DAY, true),
+      [LIVE_EVENT_ID]: eventData(LIVE_EVENT_ID, now - 15 * 60 * 1000, false),
+    },
+  };
+}
@@ -0,0 +1,163 @@
+import http from 'http';
+
+/**
+ * Local RobotEvents API v2 mock
+ * Serves a fixture set (see fixtures/robotevents.js) with swagger.yml's response shapes:
+ * paginated lists as { meta: PageMeta, data }, single events as the object itself,
+ * 401 for unknown bearer tokens and 404 for unknown events.
+ *
+ * Faults can be queued to exercise retries and key rotation (`path` is matched against path + query string):
+ *   mock.fail({ status: 429, key, path: /matches/, times: 1, headers: { 'Retry-After': '1' } })
+ *
+ * `maxPerPage` caps per_page like the real API, so small fixtures still span several pages.
+ */
+
+function pageMeta(baseUrl, total, page, perPage) {
+  const lastPage = Math.max(1, Math.ceil(total / perPage));
+  const pageUrl = p => `${baseUrl}?page=${p}`;
+  const from = total === 0 ? null : (page - 1) * perPage + 1;
+  return {
+    current_page: page,
+    first_page_url: pageUrl(1),
+    from,
+    last_page: lastPage,
+    last_page_url: pageUrl(lastPage),
+    next_page_url: page < lastPage ? pageUrl(page + 1) : null,
+    path: baseUrl,
+    per_page: perPage,
+    prev_page_url: page > 1 ? pageUrl(page - 1) : null,
+    to: from === null ? null : Math.min(total, page * perPage),
+    total,
+  };
+}
+
+/**
+ * @param {Object} options - fixtures, keys (accepted bearer tokens; any token when empty), maxPerPage, port
+ * @returns {Promise<Object>} { url, requests, fail(fault), close() } - requests lists { method, path, query, key, status }
+ */
+export function startMockRobotEvents({ fixtures, keys = [], maxPerPage = 250, port = 0 } = {}) {
+  const requests = [];
+  const faults = [];
+  const validKeys = new Set(keys);
+
+  const paginate = (base, query, items) => {
+    const perPage = Math.min(Math.max(1, parseInt(query.get('per_page')) || 25), maxPerPage);
+    const page = Math.max(1, parseInt(query.get('page')) || 1);
+    return {
+      meta: pageMeta(base, items.length, page, perPage),
+      data: items.slice((page - 1) * perPage, page * perPage),
+    };
+  };
+
+  const eventData = id => fixtures.data[id] || null;
+
+  // Array filters arrive as `name[]=` (axios) or `name=`
+  const list = (q, name) => q.getAll(`${name}[]`).concat(q.getAll(name));
+
+  // The /events and /teams/{id}/events filters of swagger.yml
+  const filterEvents = (events, q) => {
+    const ids = list(q, 'id').map(Number);
+    const skus = list(q, 'sku');
+    const teams = list(q, 'team').map(Number);
+    const seasons = list(q, 'season').map(Number);
+    const levels = list(q, 'level');
+    const types = list(q, 'eventTypes');
+    const start = q.get('start') ? new Date(q.get('start')).getTime() : null;
+    const end = q.get('end') ? new Date(q.get('end')).getTime() : null;
+    return events.filter(e => (ids.length === 0 || ids.includes(e.id))
+      && (skus.length === 0 || skus.includes(e.sku))
+      && (teams.length === 0 || (eventData(e.id)?.teams || []).some(t => teams.includes(t.id)))
+      && (seasons.length === 0 || seasons.includes(e.season.id))
+      && (levels.length === 0 || levels.includes(e.level))
+      && (types.length === 0 || types.includes(e.event_type))
+      && (!q.get('region') || e.location?.region === q.get('region'))
+      && (start === null || new Date(e.start).getTime() >= start)
+      && (end === null || new Date(e.end).getTime() <= end));
+  };
+
+  const allTeams = () => {
+    const teams = new Map();
+    for (const data of Object.values(fixtures.data)) for (const t of data.teams || []) teams.set(t.id, t);
+    return [...teams.values()];
+  };
+
+  // [pattern, handler(match, query, base) -> body | null (404)]
+  const routes = [
+    [/^\/programs$/, (m, q, base) => paginate(base, q, fixtures.programs)],
+    [/^\/seasons$/, (m, q, base) => {
+      let seasons = fixtures.seasons;
+      const programs = q.getAll('program[]').concat(q.getAll('program')).map(Number);
+      if (programs.length > 0) seasons = seasons.filter(s => programs.includes(s.program.id));
+      if (q.get('active') === 'true') seasons = seasons.filter(s => new Date(s.end).getTime() > Date.now());
+      return paginate(base, q, seasons);
+    }],
+    [/^\/events$/, (m, q, base) => paginate(base, q, filterEvents(fixtures.events, q))],
+    [/^\/teams$/, (m, q, base) => {
+      const numbers = list(q, 'number');
+      const programs = list(q, 'program').map(Number);
+      return paginate(base, q, allTeams().filter(t => (numbers.length === 0 || numbers.includes(t.number)) && (programs.length === 0 || programs.includes(t.program.id))));
+    }],
+    [/^\/teams\/(\d+)\/events$/, (m, q, base) => {
+      const team = allTeams().find(t => t.id === Number(m[1]));
+      if (!team) return null;
+      const events = fixtures.events.filter(e => (eventData(e.id)?.teams || []).some(t => t.id === team.id));
+      return paginate(base, q, filterEvents(events, q));
+    }],
+    [/^\/seasons\/(\d+)\/events$/, (m, q, base) => paginate(base, q, fixtures.events.filter(e => e.season.id === Number(m[1])))],
+    [/^\/events\/(\d+)$/, m => fixtures.events.find(e => e.id === Number(m[1])) || null],
+    [/^\/events\/(\d+)\/(teams|skills|awards)$/, (m, q, base) => {
+      const data = eventData(m[1]);
+      return data ? paginate(base, q, data[m[2]] || []) : null;
+    }],
+    [/^\/events\/(\d+)\/divisions\/(\d+)\/(matches|rankings|finalistRankings)$/, (m, q, base) => {
+      const division = eventData(m[1])?.divisions[m[2]];
+      return division ? paginate(base, q, division[m[3]] || []) : null;
+    }],
+  ];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/^\/api\/v2/, '');
+    const key = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const entry = { method: req.method, path, query: Object.fromEntries(url.searchParams), key, status: 200 };
+    requests.push(entry);
+
+    const send = (status, body, headers = {}) => {
+      entry.status = status;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const faultIndex = faults.findIndex(f => (!f.key || f.key === key) && (!f.path || f.path.test(`${path}${url.search}`)));
+    if (faultIndex !== -1) {
+      const fault = faults[faultIndex];
+      if (--fault.times <= 0) faults.splice(faultIndex, 1);
+      return send(fault.status, { code: fault.status, message: 'Injected fault' }, fault.headers);
+    }
+
+    if (validKeys.size > 0 && !validKeys.has(key)) {
+      return send(401, { code: 401, message: 'Unauthenticated.' });
+    }
+
+    for (const [pattern, handler] of routes) {
+      const match = path.match(pattern);
+      if (!match) continue;
+      const body = handler(match, url.searchParams, `http://${req.headers.host}${url.pathname}`);
+      if (body === null) return send(404, { code: 404, message: 'Not Found' });
+      return send(200, body, { 'X-RateLimit-Limit': '6000', 'X-RateLimit-Remaining': '5999' });
+    }
+    send(404, { code: 404, message: 'Not Found' });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/api/v2`,
+        requests,
+        fail: fault => faults.push({ times: 1, headers: {}, ...fault }),
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
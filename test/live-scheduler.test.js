@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { elimsComplete, planNextPoll, ROUND_FINAL } from '../scripts/utils/live-scheduler.js';
+
+const MINUTE = 60 * 1000;
+const now = Date.parse('2025-03-01T18:00:00Z');
+
+function final(matchnum, red, blue, startedMinsAgo) {
+  return {
+    id: 900 + matchnum,
+    round: ROUND_FINAL,
+    instance: 1,
+    matchnum,
+    scored: red !== null,
+    started: new Date(now - startedMinsAgo * MINUTE).toISOString(),
+    alliances: [{ color: 'red', score: red }, { color: 'blue', score: blue }],
+  };
+}
+
+test('elims are complete only once an alliance has won the final', () => {
+  assert.equal(elimsComplete([final(1, 20, 20, 5)]), false);
+  assert.equal(elimsComplete([final(1, 30, 20, 30), final(2, 10, 40, 10)]), false);
+  assert.equal(elimsComplete([final(1, 30, 20, 30), final(2, 10, 40, 20), final(3, null, null, 0)]), false);
+  assert.equal(elimsComplete([final(1, 30, 20, 30), final(2, 10, 40, 20), final(3, 50, 40, 10)]), true);
+  assert.equal(elimsComplete([{ round: ROUND_FINAL, scored: true, red: 30, blue: 20 }]), true);
+});
+
+test('a final won in one match is polled slowly for a while in case F2 follows', () => {
+  const settling = planNextPoll([final(1, 30, 20, 5)], null, now);
+  assert.equal(settling.state, 'settling');
+  assert.ok(settling.delayMs > 0);
+
+  assert.equal(planNextPoll([final(1, 30, 20, 25)], null, now).state, 'done');
+  assert.equal(planNextPoll([final(1, 30, 20, 15), final(2, 40, 10, 5)], null, now).state, 'done');
+});
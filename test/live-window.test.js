@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLiveWindow } from '../scripts/utils/live-window.js';
+
+process.env.LIVE_PADDING_BEFORE_HOURS = '0';
+process.env.LIVE_PADDING_AFTER_HOURS = '0';
+
+const california = { country: 'United States', region: 'California' };
+
+test('the live window ends at local midnight after the end day, across a DST change', () => {
+  // US clocks fall back on 2025-11-02: that day lasts 25 hours in Los Angeles
+  const fallBack = getLiveWindow({ start: '2025-11-02T00:00:00-07:00', end: '2025-11-02T00:00:00-07:00', location: california });
+  assert.equal(fallBack.timeZone, 'America/Los_Angeles');
+  assert.equal(new Date(fallBack.start).toISOString(), '2025-11-02T07:00:00.000Z');
+  assert.equal(new Date(fallBack.end).toISOString(), '2025-11-03T08:00:00.000Z');
+
+  // ...and spring forward on 2025-03-09 (23 hours)
+  const springForward = getLiveWindow({ start: '2025-03-08', end: '2025-03-09', location: california });
+  assert.equal(new Date(springForward.start).toISOString(), '2025-03-08T08:00:00.000Z');
+  assert.equal(new Date(springForward.end).toISOString(), '2025-03-10T07:00:00.000Z');
+});
@@ -0,0 +1,108 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID, LIVE_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv();
+const { sync } = await import('../scripts/sync.js');
+const { runMigrations } = await import('../scripts/schema/migrate.js');
+const { SCHEMA_VERSION } = await import('../scripts/schema/version.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+const matchesPath = eventId => `events/${eventId}/divisions/1/matches`;
+
+after(() => env.cleanup());
+
+// Records the listDocs calls until restore is put back
+function spyListDocs() {
+  const listDocs = storage.listDocs;
+  const calls = [];
+  calls.restore = listDocs;
+  storage.listDocs = (collection, options = {}) => {
+    calls.push({ collection, options });
+    return listDocs.call(storage, collection, options);
+  };
+  return calls;
+}
+
+test('synced docs carry the schema version, older docs are migrated to it', async () => {
+  await sync({ mode: 'full' });
+  const [synced] = await storage.listDocs(matchesPath(PAST_EVENT_ID));
+  assert.equal(synced.data.schemaVersion, SCHEMA_VERSION);
+
+  // A match stored before versioning: raw API payload, no flattened fields
+  const legacy = env.fixtures.data[LIVE_EVENT_ID].divisions[1].matches[0];
+  await storage.setDocs(matchesPath(LIVE_EVENT_ID), [{ id: String(legacy.id), data: legacy }], { merge: false });
+
+  const [first] = await runMigrations();
+  assert.equal(first.status, 'applied');
+  assert.equal(first.migrated, 1);
+
+  const migrated = await storage.getDoc(matchesPath(LIVE_EVENT_ID), String(legacy.id));
+  assert.equal(migrated.schemaVersion, 1);
+  assert.deepEqual(migrated.redTeams, ['1001A', '1002B']);
+  assert.ok((await storage.getDoc('schema_migrations', '1')).appliedAt);
+
+  assert.equal((await runMigrations())[0].status, 'skipped');
+  assert.equal((await runMigrations({ force: true }))[0].migrated, 0);
+});
+
+test('an interrupted migration resumes after its last batch and can drop fields', async () => {
+  let failOnce = true;
+  let calls = 0;
+  const dropField = {
+    version: 2,
+    description: 'Drop match fields',
+    collections: {
+      'events/*/divisions/*/matches': (data) => {
+        if (++calls === 3 && failOnce) {
+          failOnce = false;
+          throw new Error('killed');
+        }
+        const { field, ...rest } = data;
+        return rest;
+      },
+    },
+  };
+
+  await assert.rejects(runMigrations({ migrations: [dropField], batchSize: 2 }), /killed/);
+  const checkpoint = await storage.getDoc('sync', 'migration_progress');
+  assert.equal(checkpoint.complete, false);
+  assert.equal(checkpoint.collection, matchesPath(PAST_EVENT_ID));
+  assert.equal(checkpoint.migrated, 2);
+  assert.equal(await storage.getDoc('schema_migrations', '2'), null);
+
+  // The resumed run starts after the checkpoint instead of re-reading the collection
+  const reads = spyListDocs();
+  const [result] = await runMigrations({ migrations: [dropField], batchSize: 2 });
+  storage.listDocs = reads.restore;
+  assert.equal(result.migrated, 6);
+  const resumed = reads.find(r => r.collection === matchesPath(PAST_EVENT_ID) && r.options.limit);
+  assert.equal(resumed.options.startAfter, checkpoint.lastDocId);
+  assert.ok(reads.filter(r => r.options.limit).every(r => r.options.limit === 2));
+
+  for (const eventId of [PAST_EVENT_ID, LIVE_EVENT_ID]) {
+    for (const { data } of await storage.listDocs(matchesPath(eventId))) {
+      assert.equal(data.schemaVersion, 2);
+      assert.equal(data.field, undefined);
+      assert.ok(data.redTeams);
+    }
+  }
+  assert.equal((await storage.getDoc('sync', 'migration_progress')).complete, true);
+});
+
+test('a version stamp alone reads only schemaVersion and keeps the stored data', async () => {
+  const stamp = { version: 3, description: 'Stamp teams', collections: { 'events/*/teams': null } };
+  const calls = spyListDocs();
+  const [result] = await runMigrations({ migrations: [stamp], batchSize: 3 });
+  storage.listDocs = calls.restore;
+
+  assert.equal(result.migrated, 8);
+  const pages = calls.filter(c => c.options.limit);
+  assert.ok(pages.every(c => c.options.fields?.length === 1 && c.options.fields[0] === 'schemaVersion'));
+  for (const { data } of await storage.listDocs(`events/${PAST_EVENT_ID}/teams`)) {
+    assert.equal(data.schemaVersion, 3);
+    assert.ok(data.number);
+  }
+});
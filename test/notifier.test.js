@@ -0,0 +1,85 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { setupTestEnv } from './helpers/env.js';
+
+const env = await setupTestEnv({ env: { NOTIFY_TRANSPORT: 'dry-run' } });
+const sentFile = path.join(env.storageDir, 'notifications.jsonl');
+process.env.NOTIFY_DRY_RUN_FILE = sentFile;
+
+const { notifyFollowers } = await import('../scripts/notifier/notifier.js');
+const { getTransport } = await import('../scripts/notifier/transports.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+
+// Every test uses its own event and teams: followers are cached per event and team list
+const subscribe = (id, data) => storage.setDocs('notification_subscriptions', [{ id, data: { createdAt: new Date(), ...data } }]);
+
+const sent = () => (existsSync(sentFile) ? readFileSync(sentFile, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : []);
+
+// A change feed record of a scored match (see detectMatchChanges)
+const scored = (matchId, red, blue) => ({
+  type: 'match_scored',
+  matchId,
+  name: `Q${matchId}`,
+  red: { score: 20, teams: red.map(id => `${id}A`), teamIds: red },
+  blue: { score: 10, teams: blue.map(id => `${id}A`), teamIds: blue },
+});
+
+const rankChanged = (teamId, from, to) => ({ type: 'rank_changed', team: { id: teamId, number: `${teamId}A` }, from, to, wins: 2, losses: 0, ties: 0 });
+
+after(() => env.cleanup());
+
+test('a claimed notification is sent once, even when the poll reports it again', async () => {
+  await subscribe('sub-1', { uid: 'u1', teamId: 101, token: 'token-1' });
+  const changes = [scored(1001, [101], [102])];
+
+  assert.equal(await notifyFollowers('9001', { changes }), 1);
+  assert.equal(await notifyFollowers('9001', { changes }), 0);
+
+  const messages = sent().filter(m => m.data.matchId === '1001');
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].token, 'token-1');
+  assert.equal(messages[0].data.teamId, '101');
+  assert.ok(await storage.getDoc('notifications_sent', 'scored_1001_101'));
+});
+
+test('a transport failure releases the claim so the next poll retries', async () => {
+  await subscribe('sub-2', { uid: 'u2', teamId: 201, token: 'token-2' });
+  const changes = [scored(2001, [201], [202])];
+
+  const transport = getTransport();
+  const send = transport.send;
+  transport.send = async () => { throw new Error('FCM unavailable'); };
+  try {
+    assert.equal(await notifyFollowers('9002', { changes }), 0);
+  } finally {
+    transport.send = send;
+  }
+  assert.equal(await storage.getDoc('notifications_sent', 'scored_2001_201'), null);
+
+  assert.equal(await notifyFollowers('9002', { changes }), 1);
+  assert.equal(sent().filter(m => m.data.matchId === '2001').length, 1);
+});
+
+test('subscriptions only get the notification types they ask for', async () => {
+  await subscribe('sub-3', { uid: 'u3', teamId: 301, token: 'token-3', types: ['rank_changed'] });
+
+  assert.equal(await notifyFollowers('9003', { changes: [scored(3001, [301], [302])] }), 0);
+  assert.equal(await notifyFollowers('9003', { changes: [rankChanged(301, 4, 2)] }), 1);
+
+  const messages = sent().filter(m => m.token === 'token-3');
+  assert.deepEqual(messages.map(m => m.data.type), ['rank_changed']);
+});
+
+test('an event-only subscription is notified for every team at the event', async () => {
+  await subscribe('sub-4', { uid: 'u4', eventId: '9004', token: 'token-4' });
+
+  assert.equal(await notifyFollowers('9004', { changes: [scored(4001, [401, 402], [403])] }), 3);
+
+  const messages = sent().filter(m => m.token === 'token-4');
+  assert.deepEqual(messages.map(m => m.data.teamId).sort(), ['401', '402', '403']);
+  assert.ok(messages.every(m => m.data.eventId === '9004'));
+});
@@ -0,0 +1,88 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID, LIVE_EVENT_ID, SEASON_ID, match } from './fixtures/robotevents.js';
+
+// The mock serves at most 2 records per page, so every fixture list spans several pages
+const env = await setupTestEnv({ maxPerPage: 2 });
+const { fetchAllPages, iterateAllPages } = await import('../scripts/utils/pagination.js');
+const { scrapeEventMatches } = await import('../scripts/scrapers/event-matches-scraper.js');
+const { scrapeEvents } = await import('../scripts/scrapers/events-scraper.js');
+const { apiGet } = await import('../scripts/utils/api-client.js');
+const { findLiveEvents } = await import('../scripts/sync.js');
+
+const matchesOf = () => env.fixtures.data[PAST_EVENT_ID].divisions[1].matches;
+
+beforeEach(() => {
+  env.mock.requests.length = 0;
+});
+
+after(() => env.cleanup());
+
+test('fetchAllPages follows PageMeta.last_page and keeps page order', async () => {
+  const fixtures = matchesOf();
+  for (let n = 4; n <= 7; n++) fixtures.push(match(PAST_EVENT_ID, n, Date.now(), [[], []]));
+
+  const matches = await scrapeEventMatches(PAST_EVENT_ID, 1);
+  assert.deepEqual(matches.map(m => m.id), fixtures.map(m => m.id));
+
+  const pages = env.mock.requests.map(r => Number(r.query.page)).sort((a, b) => a - b);
+  assert.deepEqual(pages, [1, 2, 3, 4]);
+  assert.ok(env.mock.requests.every(r => r.query.per_page === '250'));
+});
+
+test('fetchAllPages returns a single page without further requests', async () => {
+  const events = await scrapeEvents(SEASON_ID);
+  assert.equal(events.length, 2);
+  assert.equal(env.mock.requests.length, 1);
+});
+
+test('fetchAllPages returns [] for an empty collection', async () => {
+  const finalists = await fetchAllPages(() => Promise.resolve({ data: { meta: { current_page: 1, last_page: 1, total: 0 }, data: [] } }));
+  assert.deepEqual(finalists, []);
+});
+
+test('fetchAllPages without PageMeta walks pages until a short one', async () => {
+  const requested = [];
+  const fetchPage = async ({ page, per_page }) => {
+    requested.push(page);
+    const size = page < 3 ? per_page : 10;
+    return { data: Array.from({ length: size }, (_, i) => ({ id: (page - 1) * per_page + i })) };
+  };
+
+  const items = await fetchAllPages(fetchPage);
+  assert.deepEqual(requested, [1, 2, 3]);
+  assert.equal(items.length, 510);
+  assert.equal(items[509].id, 509);
+});
+
+test('fetchAllPages passes single objects through', async () => {
+  const details = await fetchAllPages(() => Promise.resolve({ data: { id: 1, name: 'Single' } }));
+  assert.deepEqual(details, [{ id: 1, name: 'Single' }]);
+});
+
+test('fetchAllPages fails when a later page fails', async () => {
+  env.mock.fail({ status: 404, path: /\/matches\?(.*&)?page=2(&|$)/ });
+  await assert.rejects(scrapeEventMatches(PAST_EVENT_ID, 1), error => error.response?.status === 404);
+});
+
+test('iterateAllPages streams every page in order', async () => {
+  const endpoint = `${env.mock.url}/events/${PAST_EVENT_ID}/divisions/1/matches`;
+  const ids = [];
+  for await (const m of iterateAllPages(params => apiGet(endpoint, params))) {
+    ids.push(m.id);
+  }
+  assert.deepEqual(ids, matchesOf().map(m => m.id));
+  assert.deepEqual(env.mock.requests.map(r => Number(r.query.page)), [1, 2, 3, 4]);
+});
+
+test('the live season listing is streamed and keeps only the live events', async () => {
+  const past = env.fixtures.events.find(e => e.id === PAST_EVENT_ID);
+  for (let n = 1; n <= 3; n++) env.fixtures.events.push({ ...past, id: PAST_EVENT_ID + 100 + n, sku: `${past.sku}-${n}` });
+
+  const events = await findLiveEvents({ seasonIds: [SEASON_ID] });
+  assert.deepEqual(events.map(e => e.id), [LIVE_EVENT_ID]);
+
+  const listing = env.mock.requests.filter(r => r.path === `/seasons/${SEASON_ID}/events`);
+  assert.deepEqual(listing.map(r => Number(r.query.page)), [1, 2, 3]);
+});
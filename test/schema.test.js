@@ -0,0 +1,79 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv();
+const { sync } = await import('../scripts/sync.js');
+const { normalizeRecords } = await import('../scripts/schema/records.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+const division = env.fixtures.data[PAST_EVENT_ID].divisions[1];
+const matchesPath = `events/${PAST_EVENT_ID}/divisions/1/matches`;
+
+after(() => env.cleanup());
+
+test('records are coerced to their swagger types and get stable IDs and flattened fields', () => {
+  const { docs } = normalizeRecords('match', [{ ...division.matches[0], id: String(division.matches[0].id), round: '2', scored: 'true' }], 'matches');
+  const [{ id, data }] = docs;
+  assert.equal(id, String(division.matches[0].id));
+  assert.equal(data.id, division.matches[0].id);
+  assert.equal(data.round, 2);
+  assert.equal(data.scored, true);
+  assert.deepEqual(data.redTeams, ['1001A', '1002B']);
+  assert.deepEqual(data.blueTeams, ['1003C', '1004D']);
+  assert.equal(data.redScore, 24);
+  assert.deepEqual(data.teamIds, [1001, 1002, 1003, 1004]);
+
+  // A bare team ID is expanded, and rankings/skills without an ID are keyed by team
+  const ranking = normalizeRecords('ranking', [{ rank: '3', team: 1003 }], 'rankings').docs[0];
+  assert.equal(ranking.id, 'team_1003');
+  assert.deepEqual(ranking.data.team, { id: 1003 });
+  assert.equal(ranking.data.teamId, 1003);
+  assert.equal(ranking.data.rank, 3);
+
+  const skill = normalizeRecords('skill', [{ team: { id: 1001, name: '1001A' }, type: 'driver', score: '45' }], 'skills').docs[0];
+  assert.equal(skill.id, '1001_driver');
+  assert.equal(skill.data.teamNumber, '1001A');
+});
+
+test('records without a required field or a stable ID are quarantined, not returned', () => {
+  const { docs, ids } = normalizeRecords('skill', [{ score: 10 }, { id: 7, team: { id: 1, name: '1A' }, type: 'driver' }], 'skills');
+  assert.deepEqual(docs.map(d => d.id), ['7']);
+  assert.deepEqual(ids, ['7']);
+
+  const match = { ...division.matches[1] };
+  delete match.alliances;
+  const result = normalizeRecords('match', [match], 'matches');
+  assert.deepEqual(result.docs, []);
+  assert.deepEqual(result.ids, [String(match.id)]);
+});
+
+test('a sync writes the quarantine report and keeps the stored version of invalid records', async () => {
+  await sync({ mode: 'full' });
+  const badId = String(division.matches[2].id);
+  assert.deepEqual((await storage.getDoc(matchesPath, badId)).redTeams, ['1001A', '1004D']);
+
+  division.matches[2].scored = 'maybe';
+  division.matches[2].alliances[0].score = 99;
+  await sync({ target: { event: String(PAST_EVENT_ID) } });
+
+  const stored = await storage.getDoc(matchesPath, badId);
+  assert.notEqual(stored.redScore, 99);
+  assert.notEqual(stored.removed, true);
+
+  const reportsDir = path.join(env.storageDir, 'reports');
+  const files = readdirSync(reportsDir).filter(f => f.startsWith('quarantine-'));
+  assert.equal(files.length, 1);
+  const report = JSON.parse(readFileSync(path.join(reportsDir, files[0]), 'utf8'));
+  assert.equal(report.total, 1);
+  assert.equal(report.records[0].id, badId);
+  assert.equal(report.records[0].collection, matchesPath);
+  assert.match(report.records[0].errors[0], /scored expected boolean/);
+
+  const [run] = (await storage.listDocs('sync_runs')).map(r => r.data).filter(r => r.quarantined.total > 0);
+  assert.deepEqual(run.quarantined.collections, { matches: 1 });
+});
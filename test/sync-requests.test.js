@@ -0,0 +1,141 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID, LIVE_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv({ env: { SYNC_REQUEST_USER_LIMIT: '3' } });
+const { processSyncRequests, WORKER_ID } = await import('../scripts/requests/queue.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+let nextId = 1;
+
+// A request as the app writes it
+async function addRequest(fields = {}) {
+  const id = `req${nextId++}`;
+  await storage.setDocs('sync_requests', [{
+    id,
+    data: { type: 'event', target: String(PAST_EVENT_ID), uid: 'user-a', status: 'pending', createdAt: new Date(), ...fields },
+  }]);
+  return id;
+}
+
+const request = id => storage.getDoc('sync_requests', id);
+
+beforeEach(() => {
+  env.mock.requests.length = 0;
+});
+
+after(() => env.cleanup());
+
+test('a pending request is claimed, synced and completed with the run result', async () => {
+  const id = await addRequest();
+
+  assert.deepEqual(await processSyncRequests(), { synced: 1, deduped: 0, rejected: 0, failed: 0, lost: 0 });
+
+  const done = await request(id);
+  assert.equal(done.status, 'done');
+  assert.equal(done.attempts, 1);
+  assert.equal(done.leaseOwner, WORKER_ID);
+  assert.equal(done.leaseExpiresAt, undefined);
+  assert.ok(done.finishedAt);
+  assert.equal(done.result.synced, 1);
+  assert.ok(done.result.runId);
+
+  assert.ok(await storage.getDoc('events', String(PAST_EVENT_ID)));
+  assert.equal((await storage.getDoc(`sync_requests/${id}/leases`, '1')).workerId, WORKER_ID);
+});
+
+test('a target synced during the cooldown is answered without syncing again', async () => {
+  const id = await addRequest({ uid: 'user-b' });
+
+  assert.equal((await processSyncRequests()).deduped, 1);
+  assert.equal(env.mock.requests.length, 0);
+
+  const done = await request(id);
+  assert.equal(done.status, 'done');
+  assert.equal(done.result.deduped, true);
+  assert.equal(done.result.duplicateOf, 'req1');
+});
+
+test('invalid targets and users over their hourly limit are rejected', async () => {
+  const invalid = await addRequest({ uid: 'user-c', target: '../events' });
+  const unknownType = await addRequest({ uid: 'user-c', type: 'season', target: '190' });
+  assert.equal((await processSyncRequests()).rejected, 2);
+  assert.match((await request(invalid)).error, /invalid event/);
+  assert.match((await request(unknownType)).error, /unknown request type/);
+
+  // user-a already made one request; the limit is 3 per hour
+  const ids = [];
+  for (let i = 0; i < 3; i++) ids.push(await addRequest({ type: 'team', target: '1001A' }));
+  const counts = await processSyncRequests();
+  assert.equal(counts.rejected, 1);
+  assert.equal((await request(ids[2])).status, 'rejected');
+  assert.match((await request(ids[2])).error, /rate limited/);
+});
+
+test('a request whose lease expired is reclaimed, a live lease is left alone', async () => {
+  const expired = await addRequest({ uid: 'user-d', target: String(LIVE_EVENT_ID), status: 'running', attempts: 1, leaseExpiresAt: new Date(Date.now() - 1000) });
+  const leased = await addRequest({ uid: 'user-d', target: String(LIVE_EVENT_ID), status: 'running', attempts: 1, leaseExpiresAt: new Date(Date.now() + 60000) });
+
+  assert.equal((await processSyncRequests()).synced, 1);
+  assert.equal((await request(expired)).status, 'done');
+  assert.equal((await request(expired)).attempts, 2);
+  assert.equal((await request(leased)).status, 'running');
+});
+
+test('a request claimed by another worker first is skipped', async () => {
+  const id = await addRequest({ uid: 'user-e', target: 'RE-V5RC-24-99999' });
+  await storage.createDoc(`sync_requests/${id}/leases`, '1', { workerId: 'other-worker' });
+
+  assert.equal((await processSyncRequests()).lost, 1);
+  assert.equal((await request(id)).status, 'pending');
+});
+
+test('a request for an unknown event fails with the error', async () => {
+  const id = await addRequest({ uid: 'user-f', target: '999' });
+
+  assert.equal((await processSyncRequests()).failed, 1);
+  const failed = await request(id);
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /Event 999 not found/);
+});
+
+test('the hourly limit reads at most limit + 1 requests of a flooding user', async () => {
+  const ids = [];
+  for (let i = 0; i < 6; i++) ids.push(await addRequest({ uid: 'user-g', target: '999' }));
+
+  const listDocs = storage.listDocs;
+  const reads = [];
+  storage.listDocs = async (collection, options = {}) => {
+    const docs = await listDocs.call(storage, collection, options);
+    if (options.where?.some(([field]) => field === 'uid')) reads.push(docs.length);
+    return docs;
+  };
+  try {
+    const counts = await processSyncRequests();
+    assert.equal(counts.failed, 3);
+    assert.equal(counts.rejected, 3);
+  } finally {
+    storage.listDocs = listDocs;
+  }
+
+  assert.equal(reads.length, 6);
+  assert.ok(reads.every(n => n <= 4));
+  assert.match((await request(ids[5])).error, /rate limited/);
+});
+
+test('a failed sync does not start the cooldown, so the next request syncs again', async () => {
+  await storage.deleteDocs('sync_request_targets', [`event_${LIVE_EVENT_ID}`]);
+  env.mock.fail({ status: 400, path: new RegExp(`/events/${LIVE_EVENT_ID}/teams`) });
+  const failedId = await addRequest({ uid: 'user-h', target: String(LIVE_EVENT_ID) });
+  assert.equal((await processSyncRequests()).synced, 1);
+  assert.equal((await request(failedId)).status, 'failed');
+  assert.equal(await storage.getDoc('sync_request_targets', `event_${LIVE_EVENT_ID}`), null);
+
+  const retryId = await addRequest({ uid: 'user-h', target: String(LIVE_EVENT_ID) });
+  assert.equal((await processSyncRequests()).synced, 1);
+  const retried = await request(retryId);
+  assert.equal(retried.status, 'done');
+  assert.equal(retried.result.deduped, undefined);
+});
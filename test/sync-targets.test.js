@@ -0,0 +1,118 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID, LIVE_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv();
+const { sync } = await import('../scripts/sync.js');
+const { parseSyncArgs } = await import('../scripts/utils/sync-targets.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+const requestedPaths = () => env.mock.requests.map(r => r.path);
+const storedEvents = async () => (await storage.listDocs('events')).map(d => d.id).sort();
+
+beforeEach(() => {
+  env.mock.requests.length = 0;
+});
+
+after(() => env.cleanup());
+
+test('parseSyncArgs reads the subcommand, the mode and the filters', () => {
+  assert.deepEqual(parseSyncArgs(['--new', '--storage=json']), { command: 'season', ref: null, mode: 'new', filters: {} });
+  assert.deepEqual(parseSyncArgs(['event', 'RE-V5RC-24-1234']), { command: 'event', ref: 'RE-V5RC-24-1234', mode: 'full', filters: {} });
+
+  const { filters } = parseSyncArgs(['--full', '--region=Texas', '--level=state,National', '--from=2024-10-01', '--type=tournament']);
+  assert.deepEqual(filters, { region: 'Texas', level: ['State', 'National'], start: '2024-10-01T00:00:00.000Z', eventTypes: ['tournament'] });
+
+  assert.throws(() => parseSyncArgs(['event']), /Missing the event ID or SKU/);
+  assert.throws(() => parseSyncArgs(['team', '1001A', '--live']), /always runs a full sync/);
+  assert.throws(() => parseSyncArgs(['--level=Regional']), /Invalid --level "Regional"/);
+  assert.throws(() => parseSyncArgs(['--from=someday']), /Invalid --from date/);
+  assert.throws(() => parseSyncArgs(['events']), /Unknown command "events"/);
+});
+
+test('sync event <id> syncs only that event without listing the season', async () => {
+  const { complete } = await sync({ target: { event: String(PAST_EVENT_ID) } });
+  assert.equal(complete, true);
+
+  assert.deepEqual(await storedEvents(), [String(PAST_EVENT_ID)]);
+  assert.equal((await storage.listDocs(`events/${PAST_EVENT_ID}/teams`)).length, 4);
+  assert.ok(!requestedPaths().some(p => p.startsWith('/seasons')));
+  assert.equal(await storage.getDoc('sync', 'checkpoint_full'), null);
+});
+
+test('sync event <sku> looks the event up and re-syncs it even when it is stored', async () => {
+  const sku = env.fixtures.events.find(e => e.id === PAST_EVENT_ID).sku;
+  await sync({ target: { event: sku } });
+
+  const events = env.mock.requests.find(r => r.path === '/events');
+  assert.equal(events.query['sku[]'], sku);
+  assert.ok(requestedPaths().includes(`/events/${PAST_EVENT_ID}/divisions/1/matches`));
+});
+
+test('sync event fails for an unknown event', async () => {
+  await assert.rejects(sync({ target: { event: '999' } }), /Event 999 not found/);
+});
+
+test('sync team <number> syncs every event of the team in the target seasons', async () => {
+  const { complete } = await sync({ target: { team: '1002B' } });
+  assert.equal(complete, true);
+
+  assert.deepEqual(await storedEvents(), [String(PAST_EVENT_ID), String(LIVE_EVENT_ID)]);
+  const teamEvents = env.mock.requests.find(r => r.path === '/teams/1002/events');
+  assert.equal(teamEvents.query['season[]'], '190');
+
+  await assert.rejects(sync({ target: { team: '9999Z' } }), /Team 9999Z not found/);
+});
+
+test('a filtered season sync queries /events with the filters and skips the checkpoint', async () => {
+  env.fixtures.events.find(e => e.id === LIVE_EVENT_ID).level = 'Signature';
+
+  await sync({ mode: 'full', filters: { level: ['Signature'], region: 'Texas' } });
+
+  const query = env.mock.requests.find(r => r.path === '/events').query;
+  assert.equal(query['level[]'], 'Signature');
+  assert.equal(query.region, 'Texas');
+  assert.ok(!requestedPaths().includes('/seasons/190/events'));
+  assert.ok(requestedPaths().includes(`/events/${LIVE_EVENT_ID}`));
+  assert.ok(!requestedPaths().some(p => p.startsWith(`/events/${PAST_EVENT_ID}`)));
+  assert.equal(await storage.getDoc('sync', 'checkpoint_full'), null);
+});
+
+test('on-demand syncs revalidate cached responses instead of serving them within their TTL', async () => {
+  process.env.API_CACHE = 'on';
+  try {
+    const teamsPath = `/events/${PAST_EVENT_ID}/teams`;
+    await sync({ target: { event: String(PAST_EVENT_ID) } });
+    assert.ok(requestedPaths().includes(teamsPath));
+
+    env.mock.requests.length = 0;
+    await sync({ target: { event: String(PAST_EVENT_ID) } });
+    assert.ok(requestedPaths().includes(teamsPath));
+
+    // The override ends with the run
+    const { getCachedResponse } = await import('../scripts/utils/response-cache.js');
+    const cached = await getCachedResponse(`${env.mock.url}${teamsPath}`, { per_page: 250, page: 1 });
+    assert.equal(cached?.fresh, true);
+  } finally {
+    process.env.API_CACHE = 'off';
+  }
+});
+
+test('a corrected award winner moves the team award rollup to the new winner', async () => {
+  await sync({ target: { event: String(PAST_EVENT_ID) } });
+  const [award] = env.fixtures.data[PAST_EVENT_ID].awards;
+  const oldWinner = award.teamWinners[0].team;
+  const newWinner = env.fixtures.data[PAST_EVENT_ID].skills[1].team;
+  assert.notEqual(oldWinner.id, newWinner.id);
+  assert.ok(await storage.getDoc(`team_awards/${oldWinner.id}/awards`, String(award.id)));
+
+  award.teamWinners[0].team = newWinner;
+  await sync({ target: { event: String(PAST_EVENT_ID) } });
+
+  assert.equal((await storage.getDoc(`team_awards/${oldWinner.id}/awards`, String(award.id))).removed, true);
+  const moved = await storage.getDoc(`team_awards/${newWinner.id}/awards`, String(award.id));
+  assert.equal(moved.team.id, newWinner.id);
+  assert.equal(moved.removed, undefined);
+});
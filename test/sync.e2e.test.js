@@ -0,0 +1,152 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers/env.js';
+import { PAST_EVENT_ID, LIVE_EVENT_ID, SEASON_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv();
+const { sync } = await import('../scripts/sync.js');
+const { getStorage, flushStorage } = await import('../scripts/storage/index.js');
+
+const storage = getStorage();
+const NEW_EVENT_ID = 51003;
+
+const ids = docs => docs.map(d => d.id).sort();
+const requestedPaths = () => env.mock.requests.map(r => r.path);
+
+beforeEach(() => {
+  env.mock.requests.length = 0;
+});
+
+after(async () => {
+  await flushStorage();
+  await env.cleanup();
+});
+
+test('full sync stores every event with its divisions, teams, skills, awards and the season catalog', async () => {
+  const { complete } = await sync({ mode: 'full' });
+  assert.equal(complete, true);
+
+  assert.deepEqual(ids(await storage.listDocs('events')), [String(PAST_EVENT_ID), String(LIVE_EVENT_ID)]);
+  assert.deepEqual(ids(await storage.listDocs('programs')), ['1', '41']);
+  assert.equal((await storage.getDoc('seasons', String(SEASON_ID))).active, true);
+
+  const past = env.fixtures.data[PAST_EVENT_ID];
+  assert.deepEqual(ids(await storage.listDocs(`events/${PAST_EVENT_ID}/divisions`)), ['1']);
+  assert.deepEqual(ids(await storage.listDocs(`events/${PAST_EVENT_ID}/divisions/1/matches`)), past.divisions[1].matches.map(m => String(m.id)).sort());
+  assert.equal((await storage.listDocs(`events/${PAST_EVENT_ID}/divisions/1/rankings`)).length, 4);
+  assert.equal((await storage.listDocs(`events/${PAST_EVENT_ID}/teams`)).length, 4);
+  assert.equal((await storage.listDocs(`events/${PAST_EVENT_ID}/skills`)).length, 2);
+  assert.equal((await storage.listDocs(`events/${PAST_EVENT_ID}/awards`)).length, 1);
+  assert.equal((await storage.listDocs('team_awards/1001/awards')).length, 1);
+
+  const checkpoint = await storage.getDoc('sync', 'checkpoint_full');
+  assert.equal(checkpoint.complete, true);
+  assert.equal(checkpoint.processed, 2);
+
+  // Full mode never writes the live tree
+  assert.equal(await storage.readLive('live'), null);
+});
+
+test('a second full sync skips finished events that are already stored', async () => {
+  await sync({ mode: 'full' });
+
+  const paths = requestedPaths();
+  assert.ok(!paths.includes(`/events/${PAST_EVENT_ID}`), 'past event is skipped');
+  assert.ok(paths.includes(`/events/${LIVE_EVENT_ID}`), 'ongoing event is synced again');
+});
+
+test('full sync tombstones records removed upstream', async () => {
+  env.fixtures.data[LIVE_EVENT_ID].skills.pop();
+  await sync({ mode: 'full' });
+
+  const skills = await storage.listDocs(`events/${LIVE_EVENT_ID}/skills`);
+  assert.equal(skills.length, 2);
+  assert.equal(skills.filter(s => s.data.removed === true).length, 1);
+});
+
+test('new sync only processes events that are not stored yet', async () => {
+  const template = env.fixtures.events.find(e => e.id === PAST_EVENT_ID);
+  env.fixtures.events.push({ ...template, id: NEW_EVENT_ID, sku: `RE-V5RC-24-${NEW_EVENT_ID}`, name: 'Newly Listed Event' });
+  env.fixtures.data[NEW_EVENT_ID] = structuredClone(env.fixtures.data[PAST_EVENT_ID]);
+
+  const { complete } = await sync({ mode: 'new' });
+  assert.equal(complete, true);
+
+  assert.ok(await storage.getDoc('events', String(NEW_EVENT_ID)));
+  assert.equal((await storage.listDocs(`events/${NEW_EVENT_ID}/teams`)).length, 4);
+
+  const eventPaths = requestedPaths().filter(p => p.startsWith('/events/'));
+  assert.ok(eventPaths.length > 0);
+  assert.ok(eventPaths.every(p => p.startsWith(`/events/${NEW_EVENT_ID}`)), `only the new event is fetched: ${eventPaths.join(', ')}`);
+});
+
+test('live sync pushes the live event to the live tree and nothing else', async () => {
+  await sync({ mode: 'live' });
+
+  const meta = await storage.readLive('live_meta');
+  assert.deepEqual(Object.keys(meta), [String(LIVE_EVENT_ID)]);
+
+  const live = await storage.readLive(`live/${LIVE_EVENT_ID}/1`);
+  assert.equal(Object.keys(live.matches).length, 3);
+  assert.equal(Object.keys(live.rankings).length, 4);
+  assert.ok(await storage.readLive(`live_hashes/${LIVE_EVENT_ID}/1/matches`));
+
+  // The first push is the baseline, not a change
+  assert.equal(await storage.readLive(`changes/${LIVE_EVENT_ID}`), null);
+  assert.ok(requestedPaths().every(p => !p.startsWith(`/events/${PAST_EVENT_ID}`)));
+});
+
+test('live sync writes only changed records and emits change feed records', async () => {
+  const before = await storage.readLive(`live/${LIVE_EVENT_ID}/1/matches`);
+
+  // Nothing changed upstream: nothing is rewritten
+  await sync({ mode: 'live' });
+  assert.deepEqual(await storage.readLive(`live/${LIVE_EVENT_ID}/1/matches`), before);
+
+  // Match 2 is scored and the rankings shift
+  const division = env.fixtures.data[LIVE_EVENT_ID].divisions[1];
+  const scored = division.matches[1];
+  scored.scored = true;
+  scored.started = new Date().toISOString();
+  scored.alliances[0].score = 12;
+  scored.alliances[1].score = 33;
+  division.rankings[0].rank = 2;
+  division.rankings[1].rank = 1;
+
+  await sync({ mode: 'live' });
+
+  const after = await storage.readLive(`live/${LIVE_EVENT_ID}/1/matches`);
+  assert.equal(after[String(scored.id)].scored, true);
+  const untouched = String(division.matches[2].id);
+  assert.equal(after[untouched].lastUpdated, before[untouched].lastUpdated);
+
+  const changes = Object.values(await storage.readLive(`changes/${LIVE_EVENT_ID}`));
+  const types = changes.map(c => c.type).sort();
+  assert.deepEqual(types, ['match_scored', 'rank_changed', 'rank_changed']);
+
+  const feed = await storage.listDocs(`changes/${LIVE_EVENT_ID}/feed`);
+  assert.equal(feed.length, 3);
+  assert.ok(feed.every(doc => doc.data.expiresAt));
+});
+
+test('every run stores its metrics under sync_runs, with the events that failed', async () => {
+  const ok = await sync({ target: { event: String(PAST_EVENT_ID) } });
+  const okRun = await storage.getDoc('sync_runs', ok.runId);
+  assert.equal(okRun.status, 'complete');
+  assert.equal(okRun.mode, 'full');
+  assert.ok(okRun.durationMs >= 0);
+  assert.equal(okRun.events.synced, 1);
+  assert.ok(okRun.docs.written + okRun.docs.skipped > 0);
+  assert.ok(okRun.api.endpoints['/events/{id}/divisions/{id}/matches'].calls >= 1);
+
+  env.mock.fail({ status: 404, path: new RegExp(`/events/${LIVE_EVENT_ID}(\\?|$)`) });
+  const { complete, runId } = await sync({ mode: 'full' });
+  assert.equal(complete, true);
+
+  const run = await storage.getDoc('sync_runs', runId);
+  assert.equal(run.status, 'complete');
+  assert.equal(run.events.failed, 1);
+  assert.deepEqual(run.failedEventIds, [String(LIVE_EVENT_ID)]);
+  assert.match(run.events.failures[0].reason, /404/);
+  assert.equal(run.api.endpoints['/events/{id}'].errors, 1);
+});
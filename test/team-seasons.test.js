@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers/env.js';
+import { SEASON_ID, PAST_EVENT_ID, LIVE_EVENT_ID } from './fixtures/robotevents.js';
+
+const env = await setupTestEnv();
+const { sync } = await import('../scripts/sync.js');
+const { getStorage } = await import('../scripts/storage/index.js');
+const { getRunMetrics } = await import('../scripts/utils/run-metrics.js');
+
+const storage = getStorage();
+const teamSeason = teamId => storage.getDoc('team_seasons', `${teamId}_${SEASON_ID}`);
+
+after(() => env.cleanup());
+
+test('a sync builds one rollup per team and season from the events it wrote', async () => {
+  await sync({ mode: 'full' });
+
+  const alpha = await teamSeason(1001);
+  assert.equal(alpha.teamNumber, '1001A');
+  assert.equal(alpha.eventsAttended, 2);
+  assert.deepEqual(Object.keys(alpha.events).sort(), [String(PAST_EVENT_ID), String(LIVE_EVENT_ID)]);
+
+  // Past event: won 24-18, lost 15-30, tied 21-21; live event: won 24-18 so far
+  assert.deepEqual(alpha.record, { wins: 2, losses: 1, ties: 1 });
+  assert.equal(alpha.matchesPlayed, 4);
+  assert.equal(alpha.averageScore, 21);
+  assert.equal(alpha.highScore, 24);
+  assert.deepEqual(alpha.rankings.map(r => [r.eventId, r.rank]), [[PAST_EVENT_ID, 1], [LIVE_EVENT_ID, 1]]);
+  assert.equal(alpha.bestSkills.driver.score, 45);
+
+  // Match 3 of the live event is still to be played
+  assert.deepEqual(alpha.upcomingMatches.map(m => [m.eventId, m.name, m.alliance]), [[LIVE_EVENT_ID, 'Qualifier #3', 'red']]);
+});
+
+test('later runs only update the rollups of the teams they touched, keeping their other events', async () => {
+  const live = env.fixtures.data[LIVE_EVENT_ID].divisions[1].matches[1];
+  live.scored = true;
+  live.alliances[0].score = 40;
+  live.alliances[1].score = 10;
+
+  await sync({ target: { event: String(LIVE_EVENT_ID) } });
+  assert.equal(getRunMetrics().docs.collections.team_seasons.written, 4);
+
+  const alpha = await teamSeason(1001);
+  assert.deepEqual(alpha.record, { wins: 3, losses: 1, ties: 1 });
+  assert.equal(alpha.events[String(PAST_EVENT_ID)].matchesPlayed, 3);
+  assert.equal(alpha.events[String(LIVE_EVENT_ID)].matchesPlayed, 2);
+
+  // An unchanged re-sync rewrites nothing
+  await sync({ target: { event: String(PAST_EVENT_ID) } });
+  assert.equal(getRunMetrics().docs.collections.team_seasons.written, 0);
+});
+
+test('a run racing another one keeps both event entries and fixes the totals from the merged doc', async () => {
+  const live = env.fixtures.data[LIVE_EVENT_ID].divisions[1].matches[1];
+  live.alliances[0].score = 41;
+
+  // Another run merges the summary of a third event right before this run writes
+  const foreign = { eventId: 999, sku: 'RE-OTHER', name: 'Other', start: '2025-01-01', end: '2025-01-01', division: null, rank: null, ranking: null, wins: 5, losses: 0, ties: 0, matchesPlayed: 5, totalPoints: 100, highScore: 30, skills: {}, upcoming: [] };
+  const setDocs = storage.setDocs;
+  let raced = false;
+  storage.setDocs = async (collection, docs, options) => {
+    if (collection === 'team_seasons' && !raced) {
+      raced = true;
+      await setDocs.call(storage, collection, [{ id: `1001_${SEASON_ID}`, data: { events: { 999: foreign } } }]);
+    }
+    return setDocs.call(storage, collection, docs, options);
+  };
+  try {
+    await sync({ target: { event: String(LIVE_EVENT_ID) } });
+  } finally {
+    storage.setDocs = setDocs;
+  }
+
+  const alpha = await teamSeason(1001);
+  assert.deepEqual(Object.keys(alpha.events).sort(), [String(PAST_EVENT_ID), String(LIVE_EVENT_ID), '999']);
+  assert.deepEqual(alpha.record, { wins: 8, losses: 1, ties: 1 });
+  assert.equal(alpha.eventsAttended, 3);
+  assert.equal(alpha.schemaVersion, 1);
+});
@@ -0,0 +1,75 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { setupTestEnv } from './helpers/env.js';
+
+const env = await setupTestEnv();
+const deadLetterFile = path.join(env.storageDir, 'webhook-dead-letters.jsonl');
+process.env.WEBHOOK_DEAD_LETTER_FILE = deadLetterFile;
+
+const { deliver, signPayload } = await import('../scripts/webhooks/dispatcher.js');
+const { startStubServer } = await import('../scripts/webhooks/stub-server.js');
+
+const SECRET = 'test-secret';
+const stubs = [];
+
+async function stub(options) {
+  const server = await startStubServer({ port: 0, secret: SECRET, ...options });
+  stubs.push(server);
+  return server;
+}
+
+const payload = id => ({
+  id,
+  type: 'match_scored',
+  event: { id: '9001', sku: 'RE-V5RC-24-9001' },
+  division: 1,
+  at: new Date().toISOString(),
+  data: { type: 'match_scored', text: 'Q1 scored: red 20 - 10 blue' },
+});
+
+const deadLetters = () => (existsSync(deadLetterFile) ? readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : []);
+
+after(async () => {
+  await Promise.all(stubs.map(s => s.close()));
+  await env.cleanup();
+});
+
+test('a delivery is posted with a valid HMAC signature over the timestamp and body', async () => {
+  const server = await stub();
+
+  assert.equal(await deliver({ id: 'wh1', url: server.url, secret: SECRET, format: 'json' }, payload('d1')), true);
+
+  assert.equal(server.received.length, 1);
+  const [{ headers, body, signatureValid }] = server.received;
+  assert.equal(signatureValid, true);
+  assert.equal(headers['x-webhook-event'], 'match_scored');
+  assert.equal(headers['x-webhook-delivery'], 'd1');
+  assert.equal(headers['x-webhook-signature'], signPayload(SECRET, headers['x-webhook-timestamp'], JSON.stringify(body)));
+  assert.equal(body.id, 'd1');
+});
+
+test('a 4xx goes to the dead letters without a retry', async () => {
+  const server = await stub();
+
+  // Signed with the wrong secret: the stub answers 401
+  assert.equal(await deliver({ id: 'wh2', url: server.url, secret: 'wrong', format: 'json' }, payload('d2')), false);
+
+  assert.equal(server.received.length, 1);
+  const letter = deadLetters().find(l => l.deliveryId === 'd2');
+  assert.equal(letter.attempts, 1);
+  assert.equal(letter.error, 'HTTP 401');
+  assert.equal(letter.webhookId, 'wh2');
+});
+
+test('a 5xx is retried with the same delivery ID until it goes through', async () => {
+  const server = await stub({ failFirst: 1 });
+
+  assert.equal(await deliver({ id: 'wh3', url: server.url, secret: SECRET, format: 'json' }, payload('d3')), true);
+
+  assert.equal(server.received.length, 1);
+  assert.equal(server.received[0].headers['x-webhook-delivery'], 'd3');
+  assert.equal(server.received[0].signatureValid, true);
+  assert.equal(deadLetters().find(l => l.deliveryId === 'd3'), undefined);
+});